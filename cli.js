@@ -3,111 +3,575 @@
 const fs = require('fs');
 const path = require('path');
 const WorkflowAnalyzer = require('./src/workflow-analyzer');
+const { createFileSystemFetcher } = require('./src/content-fetchers');
+const { DEFAULT_WORKFLOW_DIR, findWorkflowFiles } = require('./src/workflow-files');
+const { REPORT_FORMATS, formatReports } = require('./src/report-formats');
+const { createLogger } = require('./src/logger');
+const { formatPermissions } = require('./src/permissions');
+const { loadRules } = require('./src/rule-engine');
+const packageJson = require('./package.json');
+const {
+  POLICY_PATH,
+  parsePolicy,
+  loadServerPolicy,
+  describePolicySource,
+  resolveRules,
+  getAnalysisScope,
+  findUnpinnedActions,
+  createViolation,
+  evaluatePolicy,
+  formatDecision
+} = require('./src/policy');
+const { applyExemptions, formatExemption, formatExpiry } = require('./src/exemptions');
 
-function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    console.log('Usage: node cli.js <workflow-file.yml>');
-    console.log('Example: node cli.js examples/workflow-with-local-actions.yml');
-    process.exit(1);
+const SCOPES = ['workflow', 'environment'];
+const VISIBILITIES = ['public', 'private', 'internal'];
+
+// Options handled after the unknown-option check
+const KNOWN_OPTIONS = ['--verbose', '-v', '--policy', '--environment', '-e', '--scope', '--require-pinning', '--rules', '--root', '--visibility', '--format', '-f', '--output', '-o'];
+
+function parseArgs(args) {
+  const options = {
+    files: [],
+    policyFile: null,
+    environment: null,
+    root: process.cwd(),
+    rulesDir: null,
+    requirePinning: false,
+    scope: null,
+    visibility: null,
+    quiet: false,
+    warnOnly: false,
+    help: false,
+    format: 'text',
+    outputFile: null,
+    verbose: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--quiet' || arg === '-q') {
+      options.quiet = true;
+    } else if (arg === '--warn-only') {
+      options.warnOnly = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg.length > 1 && !KNOWN_OPTIONS.includes(arg)) {
+      throw new Error(`Unknown option '${arg}'`);
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true;
+    } else if (arg === '--policy') {
+      options.policyFile = args[++i];
+    } else if (arg === '--environment' || arg === '-e') {
+      options.environment = args[++i];
+    } else if (arg === '--scope') {
+      options.scope = args[++i];
+    } else if (arg === '--require-pinning') {
+      options.requirePinning = true;
+    } else if (arg === '--rules') {
+      options.rulesDir = args[++i];
+    } else if (arg === '--visibility') {
+      options.visibility = args[++i];
+    } else if (arg === '--root') {
+      options.root = path.resolve(args[++i]);
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = args[++i];
+    } else if (arg === '--output' || arg === '-o') {
+      options.outputFile = args[++i];
+    } else {
+      options.files.push(arg);
+    }
   }
 
-  const workflowFile = args[0];
-  
-  if (!fs.existsSync(workflowFile)) {
-    console.error(`Error: File '${workflowFile}' not found`);
-    process.exit(1);
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format '${options.format}' (expected one of: ${REPORT_FORMATS.join(', ')})`);
+  }
+  // A mistyped scope or visibility would quietly analyze less than asked
+  if (options.scope !== null && !SCOPES.includes(options.scope)) {
+    throw new Error(`Unknown scope '${options.scope}' (expected one of: ${SCOPES.join(', ')})`);
+  }
+  if (options.visibility !== null && !VISIBILITIES.includes(options.visibility)) {
+    throw new Error(`Unknown visibility '${options.visibility}' (expected one of: ${VISIBILITIES.join(', ')})`);
+  }
+  if (options.outputFile && options.format === 'text') {
+    throw new Error('--output requires --format json, sarif or junit');
   }
 
-  try {
-    const workflowContent = fs.readFileSync(workflowFile, 'utf8');
-    const analyzer = new WorkflowAnalyzer();
-    const result = analyzer.getActionDetails(workflowContent);
-    
-    console.log('='.repeat(60));
-    console.log(`Analysis Results for: ${workflowFile}`);
-    console.log('='.repeat(60));
-    
-    if (result.error) {
-      console.error('❌ Error analyzing workflow:', result.error);
-      process.exit(1);
-    }
-    
-    console.log(`📊 Summary:`);
-    console.log(`   Total Jobs: ${result.jobs.length}`);
-    console.log(`   Total Steps: ${result.totalSteps}`);
-    console.log(`   Total Actions: ${result.summary.totalActions}`);
-    console.log(`   Local Actions: ${result.summary.localCount}`);
-    console.log(`   External Actions: ${result.summary.externalCount}`);
-    console.log(`   Docker Actions: ${result.summary.dockerCount}`);
+  return options;
+}
+
+function loadPolicy(policyFile, root) {
+  // Fall back to the repository policy under the repository root, then the server default
+  const repositoryPolicy = path.join(root, POLICY_PATH);
+  const file = policyFile || (fs.existsSync(repositoryPolicy) ? repositoryPolicy : null);
+
+  if (!file) {
+    return loadServerPolicy();
+  }
+
+  const { policy, errors } = parsePolicy(fs.readFileSync(file, 'utf8'), { type: 'repository', path: file });
+  if (!policy) {
+    throw new Error(`Invalid policy file ${file}: ${errors.join('; ')}`);
+  }
+  return policy;
+}
+
+// Shows the reusable workflows an action was reached through
+function formatAction(action) {
+  const via = (action.callChain || []).slice(1);
+  const where = formatSourceLocation(action.location, action.file);
+  const details = [action.jobName, via.length > 0 && `via ${via.join(' -> ')}`, where && `at ${where}`].filter(Boolean);
+  return `${action.path} (${details.join(', ')})`;
+}
+
+function describeJobPermissions(permissions) {
+  if (permissions.source === 'default') {
+    return 'repository default (no permissions block)';
+  }
+
+  const granted = typeof permissions.declared === 'string' || !permissions.scopes
+    ? String(permissions.declared)
+    : formatPermissions(permissions.scopes);
+  return `${granted} (from ${permissions.source})`;
+}
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', notice: 'ℹ️ ' };
+
+// file:line:column, the format editors and terminals recognize
+function formatSourceLocation(location, file) {
+  if (!location || !location.line) {
+    return null;
+  }
+
+  const repository = file && file.owner ? `${file.owner}/${file.repo}/` : '';
+  const filePath = file && file.path ? file.path : 'workflow';
+  return `${repository}${filePath}:${location.line}${location.column ? `:${location.column}` : ''}`;
+}
+
+function printDependencies(node, indent) {
+  node.dependencies.forEach(dependency => {
+    const details = [dependency.kind, dependency.using, dependency.jobName && `job: ${dependency.jobName}`]
+      .filter(Boolean)
+      .join(', ');
+    const status = dependency.status === 'analyzed' ? '' : ` [${dependency.status}: ${dependency.error}]`;
+
+    console.log(`${indent}- ${dependency.uses} (${details})${status}`);
+    printDependencies(dependency, `${indent}  `);
+  });
+}
+
+// Exit codes: 0 = every workflow would be approved, 1 = a workflow would be rejected, 2 = usage or analysis error
+const EXIT_APPROVED = 0;
+const EXIT_REJECTED = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = [
+  'Usage: node cli.js [workflow files, directories or globs...] [options]',
+  '',
+  'Analyzes .github/workflows when no files are given.',
+  '',
+  'Options:',
+  '  -e, --environment <name>       Environment to evaluate the policy for',
+  '  --policy <file>                Policy file (default: .github/action-checker.yml under --root, then the server default)',
+  '  --root <dir>                   Repository root used to resolve local workflows and actions',
+  '  --rules <dir>                  Load custom analyzer rules from a directory',
+  '  --scope workflow|environment   Override the analysis scope of the policy',
+  '  --visibility <visibility>      Repository visibility for the runners rule: public, private or internal',
+  '  --require-pinning              Fail when external actions are not pinned to a full commit SHA',
+  '  -q, --quiet                    Only print rejected workflows and the summary',
+  '  -f, --format <format>          Output format: text (default), json, sarif or junit',
+  '  -o, --output <file>            Write json, sarif or junit output to a file instead of stdout',
+  '  --warn-only                    Report rejections but exit 0',
+  '  -v, --verbose                  Log debug diagnostics, such as dependencies that could not be analyzed',
+  '  -h, --help                     Show this help',
+  '',
+  'Exit codes: 0 approved, 1 rejected, 2 usage or analysis error',
+  'Example: node cli.js .github/workflows --environment production'
+].join('\n');
+
+// Diagnostics go to stderr in readable form, so stdout only carries the report
+function createCliLogger(env, verbose) {
+  return createLogger({ LOG_FORMAT: 'pretty', ...env, ...(verbose ? { LOG_LEVEL: 'debug' } : {}) }, { stream: process.stderr });
+}
+
+async function analyzeFile(workflowFile, policy, options, logger) {
+  const scope = options.scope || getAnalysisScope(policy, options.environment);
+  const analyzer = new WorkflowAnalyzer({ logger, rules: options.rules });
+
+  // Local reusable workflows are resolved from the repository root on disk
+  const workflowPath = path.relative(options.root, path.resolve(workflowFile));
+  const result = await analyzer.analyzeWorkflowTree(fs.readFileSync(workflowFile, 'utf8'), {
+    fetchContent: createFileSystemFetcher(options.root),
+    workflowPath,
+    environment: scope === 'environment' ? options.environment : null,
+  });
+
+  if (result.error) {
+    return { file: workflowFile, workflowPath, result, error: result.error };
+  }
+
+  // Owners exempt from pinning come from the policy, even when it does not require pinning
+  const pinningRule = resolveRules(policy, options.environment).pinning;
+  const unpinned = findUnpinnedActions(result, (pinningRule && pinningRule.setting.exempt_owners) || []);
+  // Only exemptions of the policy file apply; those naming a repository need the app to know it
+  const evaluation = applyExemptions(
+    evaluatePolicy(policy, options.environment, result, { visibility: options.visibility }),
+    policy.exemptions || [],
+    { repository: null, environment: options.environment, workflowPath }
+  );
+  const violations = [...evaluation.violations];
+
+  // --require-pinning fails like a policy rule unless the policy already reported the same actions
+  if (options.requirePinning && unpinned.length > 0 && !violations.some(violation => violation.rule.endsWith('.pinning'))) {
+    violations.push({
+      rule: 'cli.require-pinning',
+      ...createViolation(`actions not pinned to a full commit SHA: ${[...new Set(unpinned.map(action => `${action.path} [${action.refType}]`))].join(', ')}`, unpinned)
+    });
+  }
+
+  return { file: workflowFile, workflowPath, result, evaluation, violations, unpinned, error: null };
+}
+
+function printViolations(violations, indent) {
+  violations.forEach(violation => {
+    console.log(`${indent}Rule ${violation.rule}: ${violation.message}`);
+    violation.locations.forEach(location => {
+      const where = formatSourceLocation(location, location.file);
+      if (where) {
+        console.log(`${indent}  at ${where} (${location.yamlPath})`);
+      }
+    });
+  });
+}
+
+function printReport(report, options, logger) {
+  const { file: workflowFile, result, evaluation, unpinned } = report;
+
+  console.log('='.repeat(60));
+  console.log(`Analysis Results for: ${workflowFile}`);
+  console.log('='.repeat(60));
+
+  if (report.error) {
+    logger.error('❌ Error analyzing workflow', { file: report.file, error: report.error });
     console.log();
-    
-    if (result.hasLocalActions) {
-      console.log('🚨 LOCAL ACTIONS DETECTED:');
-      result.localActions.forEach(action => {
-        console.log(`   - ${action}`);
-      });
-      console.log();
-      
-      console.log('📍 Local Action Details:');
-      result.actionBreakdown.local.forEach(action => {
-        console.log(`   Job: ${action.jobName}`);
-        console.log(`   Step: ${action.stepName}`);
-        console.log(`   Action: ${action.path}`);
-        console.log('   ---');
-      });
-    } else {
-      console.log('✅ No local actions detected');
-    }
-    
+    return;
+  }
+
+  console.log(`📊 Summary:`);
+  console.log(`   Triggers: ${result.triggers && result.triggers.length > 0 ? result.triggers.join(', ') : '(none)'}`);
+  console.log(`   Total Jobs: ${result.jobs.length}`);
+  console.log(`   Total Steps: ${result.totalSteps}`);
+  console.log(`   Total Actions: ${result.summary.totalActions}`);
+  console.log(`   Local Actions: ${result.summary.localCount}`);
+  console.log(`   External Actions: ${result.summary.externalCount}`);
+  console.log(`   Docker Actions: ${result.summary.dockerCount}`);
+  console.log(`   Container Images: ${result.summary.containerImageCount}`);
+  console.log(`   Runners: ${result.summary.runnerCount}`);
+  console.log(`   Reusable Workflows: ${result.summary.reusableWorkflowCount}`);
+  console.log(`   Script Injections: ${result.summary.scriptInjectionCount}`);
+  console.log(`   Rule Findings: ${evaluation.findings.length}`);
+  console.log();
+
+  if (result.scope) {
+    console.log(`🎯 Jobs deploying to ${result.scope.environment}:`);
+    result.jobs.forEach(job => {
+      console.log(`   ${job.inScope ? '✅' : '⏭️ '} ${job.name}: ${job.scopeReason}`);
+    });
     console.log();
-    console.log('🔍 All Actions Used:');
-    
-    if (result.actionBreakdown.local.length > 0) {
-      console.log('   Local Actions:');
-      result.actionBreakdown.local.forEach(action => {
-        console.log(`     - ${action.path} (${action.jobName})`);
-      });
-    }
-    
-    if (result.actionBreakdown.external.length > 0) {
-      console.log('   External Actions:');
-      result.actionBreakdown.external.forEach(action => {
-        console.log(`     - ${action.path} (${action.jobName})`);
-      });
+  }
+
+  if (result.hasLocalActions) {
+    console.log('🚨 LOCAL ACTIONS DETECTED:');
+    result.localActions.forEach(action => {
+      console.log(`   - ${action}`);
+    });
+    console.log();
+
+    console.log('📍 Local Action Details:');
+    result.actionBreakdown.local.forEach(action => {
+      console.log(`   Job: ${action.jobName}`);
+      console.log(`   Step: ${action.stepName}`);
+      console.log(`   Action: ${action.path}`);
+      console.log(`   Location: ${formatSourceLocation(action.location, action.file)} (${action.location.yamlPath})`);
+      if (action.callChain.length > 1) {
+        console.log(`   Called via: ${action.callChain.join(' -> ')}`);
+      }
+      console.log('   ---');
+    });
+  } else {
+    console.log('✅ No local actions detected');
+  }
+
+  console.log();
+  console.log('🔍 All Actions Used:');
+
+  if (result.actionBreakdown.local.length > 0) {
+    console.log('   Local Actions:');
+    result.actionBreakdown.local.forEach(action => {
+      console.log(`     - ${formatAction(action)}`);
+    });
+  }
+
+  if (result.actionBreakdown.external.length > 0) {
+    console.log('   External Actions:');
+    result.actionBreakdown.external.forEach(action => {
+      console.log(`     - ${formatAction(action)} [${action.kind}]`);
+    });
+  }
+
+  if (result.actionBreakdown.invalid.length > 0) {
+    console.log('   Invalid References:');
+    result.actionBreakdown.invalid.forEach(action => {
+      console.log(`     - ${formatAction(action)}`);
+    });
+  }
+
+  if (result.actionBreakdown.docker.length > 0) {
+    console.log('   Docker Actions:');
+    result.actionBreakdown.docker.forEach(action => {
+      console.log(`     - ${formatAction(action)}`);
+    });
+  }
+
+  if (result.actionBreakdown.containerImages.length > 0) {
+    console.log('   Container Images:');
+    result.actionBreakdown.containerImages.forEach(image => {
+      console.log(`     - ${formatAction(image)} [${image.kind === 'service' ? `service ${image.service}` : image.kind}]`);
+    });
+  }
+
+  if (result.actionBreakdown.reusableWorkflows.length > 0) {
+    console.log('   Reusable Workflows:');
+    result.actionBreakdown.reusableWorkflows.forEach(call => {
+      console.log(`     - ${formatAction(call)}`);
+    });
+  }
+
+  console.log();
+  console.log('🌳 Dependency Tree:');
+  console.log(`   ${result.dependencyTree.uses}`);
+  printDependencies(result.dependencyTree, '     ');
+
+  const unresolved = result.calledWorkflows.filter(call => !call.resolved);
+  if (unresolved.length > 0) {
+    console.log();
+    console.log('⚠️  Called workflows that could not be analyzed:');
+    unresolved.forEach(call => {
+      console.log(`   - ${call.callChain.join(' -> ')}: ${call.error}`);
+    });
+  }
+
+  console.log();
+  console.log('📌 SHA Pinning:');
+  if (unpinned.length === 0) {
+    console.log('   ✅ All external actions are pinned to a full commit SHA');
+  } else {
+    unpinned.forEach(action => {
+      console.log(`   - ${formatAction(action)} [${action.refType}]`);
+    });
+  }
+
+  console.log();
+  console.log('💉 Script Injection:');
+  if (result.actionBreakdown.scriptInjections.length === 0) {
+    console.log('   ✅ No untrusted input interpolated into scripts');
+  } else {
+    result.actionBreakdown.scriptInjections.forEach(injection => {
+      console.log(`   - ${formatAction(injection)}: ${injection.context} in ${injection.field}`);
+    });
+  }
+
+  console.log();
+  console.log('🔑 Permissions:');
+  result.jobs.filter(job => job.permissions).forEach(job => {
+    console.log(`   ${job.permissionFindings.length > 0 ? '⚠️ ' : '✅'} ${job.name}: ${describeJobPermissions(job.permissions)}`);
+    job.permissionFindings.forEach(finding => {
+      console.log(`      ${finding.message}`);
+    });
+  });
+
+  console.log();
+  console.log('🖥️  Runners:');
+  if (result.actionBreakdown.runners.length === 0) {
+    console.log('   (no jobs with runs-on)');
+  } else {
+    result.actionBreakdown.runners.forEach(runner => {
+      console.log(`   - ${formatAction(runner)} [${runner.type}]`);
+    });
+  }
+
+  console.log();
+  console.log('📋 Rule Findings:');
+  if (evaluation.findings.length === 0) {
+    console.log('   ✅ No findings');
+  } else {
+    evaluation.findings.forEach(finding => {
+      const where = formatSourceLocation(finding.location, finding.file);
+      console.log(`   ${SEVERITY_ICONS[finding.severity]} [${finding.ruleId}] ${finding.message}${where ? ` (at ${where})` : ''}`);
+    });
+  }
+
+  console.log();
+  console.log('🔒 Environment Protection Decision:');
+  console.log(`   Policy: ${evaluation.policySource}`);
+  console.log(`   Environment: ${options.environment || '(defaults)'}`);
+  evaluation.exempted.forEach(({ violation, exemption }) => {
+    console.log(`   🎫 Rule ${violation.rule} exempted by ${formatExemption(exemption)}`);
+  });
+  evaluation.expiredExemptions.forEach(exemption => {
+    console.log(`   ⌛ Exemption \`${exemption.id}\` expired ${formatExpiry(exemption)} and was not applied`);
+  });
+
+  if (report.violations.length > 0) {
+    console.log('   ❌ DEPLOYMENT WOULD BE REJECTED');
+    printViolations(report.violations, '   ');
+  } else {
+    console.log('   ✅ DEPLOYMENT WOULD BE APPROVED');
+    console.log(`   ${formatDecision(evaluation, result)}`);
+  }
+  console.log();
+}
+
+// Quiet mode prints one block per workflow that would fail the check
+function printFailure(report, logger) {
+  if (report.error) {
+    logger.error(`❌ ${report.file}: ${report.error}`);
+    return;
+  }
+
+  if (report.violations.length > 0) {
+    console.log(`❌ ${report.file}: deployment would be rejected`);
+    printViolations(report.violations, '   ');
+  }
+}
+
+function isFailing(report) {
+  return Boolean(report.error) || report.violations.length > 0;
+}
+
+/**
+ * Runs the CLI and returns its exit code
+ * @param {string[]} args - Command-line arguments without node and the script path
+ * @returns {Promise<number>} 0 if every workflow would be approved, 1 if any would be rejected, 2 on errors
+ */
+async function main(args = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    createCliLogger(process.env).error(error.message);
+    console.log(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const logger = createCliLogger(process.env, options.verbose);
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_APPROVED;
+  }
+
+  const patterns = options.files.length > 0
+    ? options.files
+    : [path.relative(process.cwd(), path.join(options.root, DEFAULT_WORKFLOW_DIR)) || '.'];
+  const { files, missing } = findWorkflowFiles(patterns);
+
+  missing.forEach(pattern => {
+    logger.error(`No workflow files found for '${pattern}'`);
+  });
+  if (files.length === 0) {
+    console.log(USAGE);
+    return EXIT_ERROR;
+  }
+
+  let policy;
+  try {
+    policy = loadPolicy(options.policyFile, options.root);
+  } catch (error) {
+    logger.error('Error loading policy', { error: error.message });
+    return EXIT_ERROR;
+  }
+
+  try {
+    options.rules = options.rulesDir ? loadRules(options.rulesDir) : [];
+  } catch (error) {
+    logger.error('Error loading custom rules', { error: error.message });
+    return EXIT_ERROR;
+  }
+
+  const machineReadable = options.format !== 'text';
+  const reports = [];
+  for (const workflowFile of files) {
+    let report;
+    try {
+      report = await analyzeFile(workflowFile, policy, options, logger);
+    } catch (error) {
+      report = { file: workflowFile, error: `Error reading or analyzing workflow file: ${error.message}` };
     }
-    
-    if (result.actionBreakdown.docker.length > 0) {
-      console.log('   Docker Actions:');
-      result.actionBreakdown.docker.forEach(action => {
-        console.log(`     - ${action.path} (${action.jobName})`);
-      });
+
+    if (machineReadable) {
+      if (report.error) {
+        logger.error(`❌ ${report.file}: ${report.error}`);
+      }
+    } else if (options.quiet) {
+      printFailure(report, logger);
+    } else {
+      printReport(report, options, logger);
     }
-    
-    console.log();
-    console.log('🔒 Environment Protection Decision:');
-    const allowLocalActions = process.env.ALLOW_LOCAL_ACTIONS === 'true';
-    
-    if (result.hasLocalActions && !allowLocalActions) {
-      console.log('   ❌ DEPLOYMENT WOULD BE REJECTED');
-      console.log('   Reason: Local actions detected and ALLOW_LOCAL_ACTIONS is not set to true');
-    } else if (result.hasLocalActions && allowLocalActions) {
-      console.log('   ✅ DEPLOYMENT WOULD BE APPROVED');
-      console.log('   Reason: Local actions detected but ALLOW_LOCAL_ACTIONS is set to true');
+    reports.push(report);
+  }
+
+  const errored = reports.filter(report => report.error);
+  const rejected = reports.filter(report => !report.error && isFailing(report));
+  const approved = reports.length - errored.length - rejected.length;
+
+  if (machineReadable) {
+    const output = formatReports(options.format, reports, {
+      tool: { name: packageJson.name, version: packageJson.version },
+      environment: options.environment,
+      policySource: describePolicySource(policy)
+    });
+
+    if (options.outputFile) {
+      try {
+        fs.writeFileSync(options.outputFile, output);
+      } catch (error) {
+        logger.error('Error writing output file', { file: options.outputFile, error: error.message });
+        return EXIT_ERROR;
+      }
     } else {
-      console.log('   ✅ DEPLOYMENT WOULD BE APPROVED');
-      console.log('   Reason: No local actions detected');
+      process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
     }
-    
-  } catch (error) {
-    console.error('Error reading or analyzing workflow file:', error.message);
-    process.exit(1);
+  } else if (!options.quiet || errored.length + rejected.length > 0) {
+    console.log('='.repeat(60));
+  }
+  // Keep stdout parseable when it carries json, sarif or junit
+  const log = machineReadable ? message => logger.info(message) : console.log;
+  if (!machineReadable || options.outputFile) {
+    log(`📦 ${reports.length} workflow(s) analyzed: ${approved} approved, ${rejected.length} rejected, ${errored.length} error(s)`);
+  }
+
+  if (errored.length > 0 || missing.length > 0) {
+    return EXIT_ERROR;
+  }
+  if (rejected.length > 0) {
+    if (options.warnOnly) {
+      log('⚠️  Rejections reported as warnings (--warn-only)');
+      return EXIT_APPROVED;
+    }
+    return EXIT_REJECTED;
   }
+  return EXIT_APPROVED;
 }
 
 if (require.main === module) {
-  main();
+  main().then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    createCliLogger(process.env).error('❌ Unexpected error', { error });
+    process.exitCode = EXIT_ERROR;
+  });
 }
 
-module.exports = { main };
+module.exports = { main, parseArgs };
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./src/logger');
+const { loadRules } = require('./src/rule-engine');
+const { loadServerPolicy } = require('./src/policy');
+const { loadFixtures } = require('./src/mock-github');
+const { REPLAY_EVENT, replayDelivery } = require('./src/replay');
+
+const EXIT_APPROVED = 0;
+const EXIT_REJECTED = 1;
+const EXIT_ERROR = 2;
+
+const KNOWN_OPTIONS = ['--fixtures', '--default-policy', '--rules', '--exemptions', '--delivery-id', '--format', '-f', '--verbose', '-v', '--help', '-h'];
+
+const USAGE = [
+  'Usage: node replay.js <payload.json> [options]',
+  '',
+  `Replays a recorded ${REPLAY_EVENT} webhook through the app against a local stand-in of the GitHub`,
+  'REST API that serves the fixtures, and prints the approve/reject call the app would have made.',
+  'Nothing is sent to GitHub or to notification sinks.',
+  '',
+  'Options:',
+  '  --fixtures <dir>         run.json, deployment.json and files/ (default: fixtures next to the payload)',
+  '  --default-policy <file>  Server default policy, like DEFAULT_POLICY_FILE',
+  '  --rules <dir>            Load custom analyzer rules from a directory, like RULES_DIR',
+  '  --exemptions <file>      Server exemptions file, like EXEMPTIONS_FILE',
+  '  --delivery-id <id>       Delivery ID to replay with, as recorded in the audit log',
+  '  -f, --format <format>    Output format: text (default) or json',
+  '  -v, --verbose            Log what the app does while handling the webhook',
+  '  -h, --help               Show this help',
+  '',
+  'Exit codes: 0 approved, 1 rejected or left pending, 2 usage or replay error',
+  'Example: node replay.js examples/replay/payload.json --fixtures examples/replay/fixtures'
+].join('\n');
+
+function parseArgs(args) {
+  const options = {
+    payloadFile: null,
+    fixturesDir: null,
+    defaultPolicyFile: null,
+    rulesDir: null,
+    exemptionsFile: null,
+    deliveryId: null,
+    format: 'text',
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg.startsWith('-') && arg.length > 1 && !KNOWN_OPTIONS.includes(arg)) {
+      throw new Error(`Unknown option '${arg}'`);
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--verbose' || arg === '-v') {
+      options.verbose = true;
+    } else if (arg === '--fixtures') {
+      options.fixturesDir = args[++i];
+    } else if (arg === '--default-policy') {
+      options.defaultPolicyFile = args[++i];
+    } else if (arg === '--rules') {
+      options.rulesDir = args[++i];
+    } else if (arg === '--exemptions') {
+      options.exemptionsFile = args[++i];
+    } else if (arg === '--delivery-id') {
+      options.deliveryId = args[++i];
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = args[++i];
+    } else if (options.payloadFile) {
+      throw new Error(`Unexpected argument '${arg}': replay one payload at a time`);
+    } else {
+      options.payloadFile = arg;
+    }
+  }
+
+  if (!['text', 'json'].includes(options.format)) {
+    throw new Error(`Unknown format '${options.format}' (expected one of: text, json)`);
+  }
+  if (!options.help && !options.payloadFile) {
+    throw new Error('A payload file is required');
+  }
+  if (options.payloadFile && !options.fixturesDir) {
+    options.fixturesDir = path.join(path.dirname(options.payloadFile), 'fixtures');
+  }
+
+  return options;
+}
+
+// The handler's logs go to stderr, so stdout only carries the replay
+function createReplayLogger(env, verbose) {
+  return createLogger({ LOG_FORMAT: 'pretty', LOG_LEVEL: 'warn', ...env, ...(verbose ? { LOG_LEVEL: 'debug' } : {}) }, { stream: process.stderr });
+}
+
+function indent(text, prefix) {
+  return String(text).split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+function printReplay(payload, result) {
+  console.log(`🔁 Replayed ${REPLAY_EVENT} for ${payload.repository.full_name} to ${payload.environment}`);
+  console.log('='.repeat(60));
+
+  result.calls.forEach(call => {
+    const { state, environment_name: environmentName, comment } = call.body || {};
+    console.log(`${state === 'approved' ? '✅ Would approve' : '❌ Would reject'} the deployment`);
+    console.log(`   ${call.method} ${call.path}`);
+    console.log(`   environment_name: ${environmentName}`);
+    console.log(`   state: ${state}`);
+    console.log('   comment:');
+    console.log(indent(comment, '     '));
+  });
+
+  const { decision } = result;
+  if (!decision) {
+    console.log('⚠️  The app made no decision');
+  } else {
+    if (result.calls.length === 0) {
+      console.log(decision.outcome === 'pending'
+        ? '⏸️  Would leave the deployment pending for manual review'
+        : `⚠️  Would try to ${decision.outcome === 'approved' ? 'approve' : 'reject'} the deployment but could not: ${decision.error}`);
+      console.log(indent(decision.message, '     '));
+    }
+    console.log(`📋 Reason: ${decision.reason || 'unknown'}`);
+    if (decision.policy) {
+      console.log(`📜 Policy: ${decision.policy.source}`);
+    }
+  }
+
+  console.log(`📡 ${result.requests.length} GitHub API request(s), ${result.unmatched.length} not in the fixtures`);
+  result.unmatched.forEach(request => {
+    console.log(`   ${request.status} ${request.method} ${request.path}`);
+  });
+}
+
+function getExitCode(result) {
+  if (!result.decision) {
+    return EXIT_ERROR;
+  }
+  return result.decision.outcome === 'approved' ? EXIT_APPROVED : EXIT_REJECTED;
+}
+
+/**
+ * Runs the replay command and returns its exit code
+ * @param {string[]} args - Command-line arguments without node and the script path
+ * @returns {Promise<number>} 0 if the deployment would be approved, 1 if rejected or left pending, 2 on errors
+ */
+async function main(args = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    createReplayLogger(process.env).error(error.message);
+    console.log(USAGE);
+    return EXIT_ERROR;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_APPROVED;
+  }
+
+  const logger = createReplayLogger(process.env, options.verbose);
+
+  let payload;
+  let fixtures;
+  let serverPolicy;
+  let rules;
+  try {
+    payload = JSON.parse(fs.readFileSync(options.payloadFile, 'utf8'));
+    fixtures = loadFixtures(options.fixturesDir);
+    serverPolicy = loadServerPolicy(options.defaultPolicyFile ? { ...process.env, DEFAULT_POLICY_FILE: options.defaultPolicyFile } : process.env);
+    rules = options.rulesDir ? loadRules(options.rulesDir) : [];
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  let result;
+  try {
+    result = await replayDelivery(payload, fixtures, {
+      serverPolicy,
+      rules,
+      exemptionsFile: options.exemptionsFile,
+      deliveryId: options.deliveryId,
+      logger
+    });
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return EXIT_ERROR;
+  }
+
+  if (options.format === 'json') {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    printReplay(payload, result);
+  }
+
+  return getExitCode(result);
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,99 @@
+const { matchesGlob } = require('./glob');
+
+// What a uses value refers to
+const REFERENCE_KINDS = ['local', 'repository', 'repository-path', 'reusable-workflow', 'docker'];
+
+// GitHub owner and repository names
+const OWNER = /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/;
+const REPO = /^[A-Za-z0-9._-]+$/;
+
+// Reusable workflows must live directly in .github/workflows
+const WORKFLOW_PATH = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+
+/**
+ * Classifies the ref an action or reusable workflow reference is pinned to
+ * Tags and branches are told apart by name: version-like refs such as v4 or 1.2.3 count as tags
+ * @param {string|null} ref - The part after @
+ * @returns {string} 'sha', 'tag', 'branch' or 'missing'
+ */
+function getRefType(ref) {
+  if (!ref) {
+    return 'missing';
+  }
+
+  if (/^[0-9a-f]{40}$/i.test(ref)) {
+    return 'sha';
+  }
+
+  if (/^v?\d+(\.\d+)*([-+][\w.-]+)?$/.test(ref)) {
+    return 'tag';
+  }
+
+  return 'branch';
+}
+
+/**
+ * Parses the uses value of a step or job
+ * @param {string} uses - e.g. ./my-action, actions/checkout@v4, github/codeql-action/init@v3,
+ *   octo/shared/.github/workflows/build.yml@v1 or docker://alpine:3
+ * @returns {Object|null} { kind, local, owner, repo, path, ref, refType }, or null if it is not a valid reference;
+ *   path is relative to the repository root ('' for the root), refType is null for local and docker references,
+ *   and docker references have the image instead of a path
+ */
+function parseReference(uses) {
+  if (!uses || typeof uses !== 'string') {
+    return null;
+  }
+
+  if (uses.startsWith('docker://')) {
+    return { kind: 'docker', local: false, owner: null, repo: null, path: null, ref: null, refType: null, image: uses.substring('docker://'.length) };
+  }
+
+  // Local actions start with ./ or just .
+  if (uses.startsWith('./') || uses === '.') {
+    const path = uses.replace(/^\.\/?/, '').replace(/\/+$/, '');
+    const kind = WORKFLOW_PATH.test(path) ? 'reusable-workflow' : 'local';
+    return { kind, local: true, owner: null, repo: null, path, ref: null, refType: null };
+  }
+
+  const separator = uses.indexOf('@');
+  const target = separator === -1 ? uses : uses.substring(0, separator);
+  const ref = separator === -1 ? null : uses.substring(separator + 1) || null;
+  const [owner, repo, ...rest] = target.split('/');
+  const path = rest.join('/').replace(/\/+$/, '');
+
+  if (!OWNER.test(owner || '') || !REPO.test(repo || '') || rest.some(segment => segment === '..')) {
+    return null;
+  }
+
+  let kind = 'repository';
+  if (WORKFLOW_PATH.test(path)) {
+    kind = 'reusable-workflow';
+  } else if (path) {
+    kind = 'repository-path';
+  }
+
+  return { kind, local: false, owner, repo, path, ref, refType: getRefType(ref) };
+}
+
+/**
+ * Checks a remote reference against owner/repo patterns
+ * Patterns are globs compared case-insensitively with owner/repo, or owner/repo/path for actions in a
+ * subdirectory; a pattern without a slash names an owner
+ * @param {Object} reference - Result of parseReference
+ * @param {string[]} patterns - e.g. my-org, actions/*, github/codeql-action/*
+ * @returns {boolean} True if a pattern matches
+ */
+function matchesReference(reference, patterns) {
+  if (!reference || reference.local || !reference.owner) {
+    return false;
+  }
+
+  const repository = `${reference.owner}/${reference.repo}`;
+  const full = reference.path ? `${repository}/${reference.path}` : repository;
+  const normalized = patterns.map(pattern => (pattern.includes('/') ? pattern : `${pattern}/*`));
+
+  return matchesGlob(repository, normalized, { ignoreCase: true }) || matchesGlob(full, normalized, { ignoreCase: true });
+}
+
+module.exports = { REFERENCE_KINDS, getRefType, parseReference, matchesReference };
@@ -0,0 +1,787 @@
+const express = require('express');
+const { Webhooks } = require('@octokit/webhooks');
+const { App } = require('@octokit/app');
+const WorkflowAnalyzer = require('./workflow-analyzer');
+const { loadExemptionsFile, applyExemptions, formatExpiry } = require('./exemptions');
+const { createGitHubFetcher } = require('./content-fetchers');
+const { createAppMetrics } = require('./metrics');
+const { logger: defaultLogger, runWithContext, addContext } = require('./logger');
+const { parseAuditFilters, toCsv, isAuthorized } = require('./audit-log');
+const { DeliveryDeduplicator, JobQueue, DeadLetterList, retryWithBackoff } = require('./delivery-queue');
+const {
+  getChangedFiles,
+  listWorkflowFiles,
+  analyzeWorkflowChanges,
+  buildCheckRunOutput,
+  publishCheckRun
+} = require('./check-runs');
+const {
+  POLICY_PATH,
+  parsePolicy,
+  describePolicySource,
+  getAnalysisScope,
+  getErrorHandling,
+  isDynamicWorkflow,
+  findIgnorePattern,
+  getRepositoryVisibility,
+  evaluatePolicy,
+  formatDecision,
+  formatErrorDecision,
+  formatIgnoredDecision
+} = require('./policy');
+const { getWorkflowRun, parseRunIdFromCallbackUrl } = require('./workflow-run');
+
+// Talks to api.github.com unless another REST API is given, such as GitHub Enterprise Server or a local stand-in
+function createGitHubApp({ appId, privateKey, githubApiUrl }) {
+  const githubApp = new App({ appId, privateKey });
+  if (!githubApiUrl) {
+    return githubApp;
+  }
+
+  // Installation clients are created from the class of the app's client, so they use the same API
+  const Octokit = githubApp.octokit.constructor.defaults({ baseUrl: githubApiUrl.replace(/\/+$/, '') });
+  return new App({ appId, privateKey, Octokit });
+}
+
+/**
+ * Creates the Express app and the webhook handlers, without reading the environment or listening
+ * @param {Object} options - App options
+ * @param {string} options.appId - GitHub App ID
+ * @param {string} options.privateKey - GitHub App private key
+ * @param {string} options.webhookSecret - Secret webhook signatures are verified with
+ * @param {string} [options.githubApiUrl] - Base URL of the GitHub REST API, https://api.github.com by default
+ * @param {Object} options.serverPolicy - Policy for repositories without a policy file
+ * @param {Object[]} [options.rules] - Custom analyzer rules
+ * @param {AuditLog} options.auditLog - Where decisions are recorded
+ * @param {Notifier} [options.notifier] - Sends notifications of decisions
+ * @param {string} [options.exemptionsFile] - The server's exemptions file, read for every decision
+ * @param {string} [options.auditApiToken] - Bearer token of the audit API, which is disabled without one
+ * @param {number} [options.concurrency] - Webhook deliveries handled at the same time
+ * @param {number} [options.callbackRetries] - Times a failed decision is retried
+ * @param {Logger} [options.logger] - The logger, the one configured from the environment by default
+ * @returns {Object} { app, webhooks, webhookQueue, metrics, deadLetters }
+ */
+function createApp({
+  appId,
+  privateKey,
+  webhookSecret,
+  githubApiUrl,
+  serverPolicy,
+  rules: customRules = [],
+  auditLog,
+  notifier = null,
+  exemptionsFile,
+  auditApiToken,
+  concurrency,
+  callbackRetries,
+  logger = defaultLogger,
+}) {
+  // Prometheus metrics, served at /metrics
+  const metrics = createAppMetrics();
+
+  // Verified deliveries are deduplicated by delivery ID and handled in the background,
+  // so GitHub gets a response within its timeout and redeliveries are not processed twice
+  const deliveries = new DeliveryDeduplicator();
+  const webhookQueue = new JobQueue({ concurrency });
+
+  // Decisions that could not be sent to GitHub after retrying, served at /dead-letters
+  const deadLetters = new DeadLetterList();
+
+  const app = express();
+
+  // Initialize GitHub App
+  const githubApp = createGitHubApp({ appId, privateKey, githubApiUrl });
+
+  // Initialize webhooks
+  const webhooks = new Webhooks({
+    secret: webhookSecret,
+  });
+
+  // Middleware for webhook verification - use raw body
+  app.use('/webhook', express.raw({ type: 'application/json' }));
+  app.use('/', express.raw({ type: 'application/json', limit: '10mb' }));
+  app.use(express.json());
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      queue: { active: webhookQueue.active, pending: webhookQueue.pending },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Prometheus metrics endpoint
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+  });
+
+  // The audit and dead letter endpoints require the AUDIT_API_TOKEN bearer token
+  function requireAuditToken(req, res, next) {
+    if (!auditApiToken) {
+      res.status(404).json({ error: 'Audit API is disabled' });
+      return;
+    }
+
+    if (!isAuthorized(req.headers.authorization, auditApiToken)) {
+      res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Unauthorized' });
+      return;
+    }
+
+    next();
+  }
+
+  // Audit API: list decisions as JSON or CSV, filtered by repository, environment, outcome and date range
+  app.get(['/audit/decisions', '/audit/decisions.csv'], requireAuditToken, async (req, res) => {
+    let filters;
+    try {
+      filters = parseAuditFilters(req.query);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    try {
+      const { total, decisions } = await auditLog.query(filters);
+
+      if (req.path.endsWith('.csv') || req.query.format === 'csv') {
+        res.type('text/csv').attachment('decisions.csv').send(toCsv(decisions));
+      } else {
+        res.json({ total, decisions });
+      }
+    } catch (error) {
+      logger.error('Error reading audit log', { error });
+      res.status(500).json({ error: 'Could not read audit log' });
+    }
+  });
+
+  // Decisions that could not be sent to GitHub, newest first
+  app.get('/dead-letters', requireAuditToken, (req, res) => {
+    const entries = deadLetters.list();
+    res.json({ total: entries.length, deadLetters: entries });
+  });
+
+  // Root endpoint that shows app info for GET requests
+  app.get('/', (req, res) => {
+    res.json({ 
+      name: 'Local Action Checker',
+      description: 'GitHub App environment protection rule for local actions',
+      status: 'running',
+      endpoints: {
+        health: '/health',
+        metrics: '/metrics',
+        webhook: '/ (POST)',
+        audit: '/audit/decisions',
+        deadLetters: '/dead-letters'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Webhook endpoint at root path
+  app.post('/', (req, res) => receiveWebhook(req, res));
+
+  // Keep the /webhook endpoint for backward compatibility
+  app.post('/webhook', (req, res) => receiveWebhook(req, res));
+
+  // Verifies a delivery and queues it for handling; everything logged while handling it carries the delivery ID
+  async function receiveWebhook(req, res) {
+    const deliveryId = req.headers['x-github-delivery'];
+    const event = req.headers['x-github-event'];
+
+    metrics.webhooksReceived.inc({ event: event || 'unknown' });
+
+    await runWithContext({ deliveryId, event }, async () => {
+      logger.debug('Webhook received', {
+        path: req.path,
+        contentType: req.headers['content-type'],
+        bodyBytes: req.body ? req.body.length : 0,
+      });
+
+      const payload = Buffer.isBuffer(req.body) ? req.body.toString() : JSON.stringify(req.body);
+
+      // verify throws when the signature header is missing
+      const verified = await webhooks.verify(payload, req.headers['x-hub-signature-256']).catch(() => false);
+      if (!verified) {
+        metrics.signatureFailures.inc();
+        logger.warn('Webhook signature does not match', { path: req.path });
+        res.status(400).send('Bad Request');
+        return;
+      }
+
+      let parsedPayload;
+      try {
+        parsedPayload = JSON.parse(payload);
+      } catch (error) {
+        logger.warn('Webhook payload is not valid JSON', { path: req.path });
+        res.status(400).send('Bad Request');
+        return;
+      }
+
+      // Only claimed after verification, so forged requests cannot block a delivery ID
+      if (deliveryId && !deliveries.claim(deliveryId)) {
+        metrics.duplicateDeliveries.inc();
+        logger.info('⏭️  Skipping duplicate delivery');
+        res.status(200).send('Duplicate delivery');
+        return;
+      }
+
+      webhookQueue.push(async () => {
+        try {
+          await webhooks.receive({ id: deliveryId, name: event, payload: parsedPayload });
+        } catch (error) {
+          // Logged by webhooks.onError; a redelivery of a failed delivery is processed again
+          if (deliveryId) {
+            deliveries.release(deliveryId);
+          }
+        }
+      });
+      res.status(202).send('Accepted');
+    });
+  }
+
+  // Handle deployment protection rule events
+  webhooks.on('deployment_protection_rule.requested', async ({ id, payload }) => {
+    addContext({
+      repository: payload.repository?.full_name,
+      runId: parseRunIdFromCallbackUrl(payload.deployment_callback_url) || undefined,
+    });
+    logger.info('🚀 Deployment protection rule requested', {
+      environment: payload.environment,
+      installationId: payload.installation?.id,
+      deploymentId: payload.deployment?.id,
+    });
+
+    // Filled in as the deployment is analyzed and recorded with the decision
+    const audit = { deliveryId: id };
+    const stopDecisionTimer = metrics.decisionDuration.startTimer();
+    let installation = null;
+    // Decides what happens if analysis fails; the server default policy until the repository policy is loaded
+    let errorPolicy = serverPolicy;
+
+    try {
+      // Get installation for the repository
+      // Dynamic workflows are managed by GitHub, which does not accept decisions from apps for them
+      if (payload.deployment_callback_url?.includes('dynamic/')) {
+        logger.info('⏭️  Skipping dynamic workflow without a decision', { callbackUrl: payload.deployment_callback_url });
+        metrics.workflowsIgnored.inc();
+        return;
+      }
+
+      if (!payload.installation?.id) {
+        logger.error('No installation ID found in payload');
+        audit.reason = 'no_installation';
+        await rejectDeployment(null, payload, 'No installation ID found', audit);
+        return;
+      }
+
+      installation = await getInstallationOctokit(payload.installation.id);
+
+      // Get the workflow run details
+      const { workflowRun, reason } = await getWorkflowRun(installation, payload, logger);
+
+      if (!workflowRun) {
+        logger.warn('Could not match workflow run', { reason });
+        audit.reason = 'workflow_run_not_matched';
+        await rejectDeployment(installation, payload, `Deployment rejected: ${reason}`, audit);
+        return;
+      }
+
+      if (isDynamicWorkflow(workflowRun.path)) {
+        logger.info('⏭️  Skipping dynamic workflow without a decision', { path: workflowRun.path });
+        metrics.workflowsIgnored.inc();
+        return;
+      }
+
+      // Store the workflow run ID for approval/rejection
+      payload._workflowRunId = workflowRun.id;
+      addContext({ runId: workflowRun.id });
+      Object.assign(audit, { sha: workflowRun.head_sha, workflowPath: workflowRun.path });
+
+      // Files are read at the SHA the workflow run executes
+      const fetchContent = createGitHubFetcher(installation, {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        ref: workflowRun.head_sha,
+      });
+
+      // Load the policy for this repository at the deployment SHA
+      const { policy, errors: policyErrors } = await loadPolicy(fetchContent, payload, workflowRun.head_sha);
+
+      // An invalid policy is a mistake in the repository, not a failure to analyze, so it always rejects
+      if (!policy) {
+        logger.warn('Invalid policy file', { errors: policyErrors });
+        audit.reason = 'invalid_policy';
+        await rejectDeployment(
+          installation,
+          payload,
+          `Deployment rejected: Policy file ${POLICY_PATH} is invalid: ${policyErrors.join('; ')}`,
+          audit
+        );
+        return;
+      }
+
+      audit.policy = describePolicy(policy);
+      errorPolicy = policy;
+
+      // Workflows the policy ignores are approved without analysis
+      const ignored = findIgnorePattern(policy, payload.environment, workflowRun.path);
+      if (ignored) {
+        logger.info('⏭️  Approving ignored workflow without analysis', { path: workflowRun.path, pattern: ignored.pattern });
+        metrics.workflowsIgnored.inc();
+        audit.reason = 'ignored_workflow';
+        await approveDeployment(installation, payload, formatIgnoredDecision(policy, workflowRun.path, ignored), audit);
+        return;
+      }
+
+      // Get the workflow file content
+      const workflowContent = await getWorkflowContent(fetchContent, workflowRun);
+
+      if (!workflowContent) {
+        logger.error('Could not fetch workflow content', { path: workflowRun.path });
+        audit.reason = 'workflow_not_found';
+        await decideOnError(installation, payload, policy, `Could not fetch workflow file ${workflowRun.path}`, audit);
+        return;
+      }
+
+      // Analyze the workflow and the reusable workflows it calls for local actions
+      const analyzer = new WorkflowAnalyzer({ logger, rules: customRules });
+      const stopAnalysisTimer = metrics.analysisDuration.startTimer();
+      const analysisResult = await analyzer.analyzeWorkflowTree(workflowContent, {
+        fetchContent,
+        workflowPath: workflowRun.path,
+        // Optionally only judge the jobs that deploy to the requested environment
+        environment: getAnalysisScope(policy, payload.environment) === 'environment' ? payload.environment : null,
+      });
+      const analysisSeconds = stopAnalysisTimer();
+
+      logger.info('Workflow analyzed', {
+        path: workflowRun.path,
+        seconds: analysisSeconds,
+        error: analysisResult.error,
+        summary: analysisResult.summary,
+        localActions: analysisResult.localActions,
+      });
+      logger.debug('Workflow analysis result', { analysisResult });
+
+      if (analysisResult.error) {
+        audit.reason = 'invalid_workflow';
+        await decideOnError(
+          installation,
+          payload,
+          policy,
+          `Could not parse workflow file ${workflowRun.path}: ${analysisResult.error}`,
+          audit
+        );
+        return;
+      }
+
+      // Decide whether to approve or reject, unless an exemption covers the violations
+      const evaluation = applyExemptions(
+        evaluatePolicy(policy, payload.environment, analysisResult, {
+          visibility: getRepositoryVisibility(payload.repository),
+        }),
+        [...policy.exemptions, ...await loadServerExemptions()],
+        { repository: payload.repository.full_name, environment: payload.environment, workflowPath: workflowRun.path }
+      );
+      evaluation.exempted.forEach(({ violation, exemption }) => {
+        logger.info('Violation exempted', { rule: violation.rule, exemption: exemption.id, approvedBy: exemption.approved_by, source: exemption.source });
+      });
+      evaluation.expiredExemptions.forEach(exemption => {
+        logger.warn('Exemption expired', { exemption: exemption.id, expires: formatExpiry(exemption), source: exemption.source });
+      });
+      logger.info('Policy evaluated', {
+        policy: evaluation.policySource,
+        approved: evaluation.approved,
+        violations: evaluation.violations.map(violation => violation.rule),
+        findings: evaluation.findings.length,
+      });
+      evaluation.findings.filter(finding => finding.severity !== 'error').forEach(finding => {
+        logger.info('Rule finding', { rule: finding.ruleId, severity: finding.severity, message: finding.message, location: finding.location });
+      });
+      audit.findings = evaluation.violations;
+      audit.exemptions = evaluation.exempted.map(({ violation, exemption }) => ({
+        rule: violation.rule,
+        id: exemption.id,
+        approvedBy: exemption.approved_by,
+        expires: formatExpiry(exemption),
+      }));
+      audit.reason = getDecisionReason(evaluation);
+
+      // Findings link to the workflow files at the commit being deployed
+      const message = formatDecision(evaluation, analysisResult, {
+        repository: payload.repository.full_name,
+        ref: workflowRun.head_sha,
+        serverUrl: payload.repository.html_url ? new URL(payload.repository.html_url).origin : undefined,
+      });
+
+      if (!evaluation.approved) {
+        await rejectDeployment(installation, payload, message, audit);
+      } else {
+        await approveDeployment(installation, payload, message, audit);
+      }
+
+    } catch (error) {
+      logger.error('Error processing deployment protection rule', { error });
+
+      // Try to get installation again if it wasn't set
+      if (!installation && payload.installation?.id) {
+        try {
+          installation = await getInstallationOctokit(payload.installation.id);
+        } catch (installError) {
+          logger.error('Could not get installation for decision', { error: installError });
+        }
+      }
+
+      audit.reason = 'internal_error';
+      await decideOnError(installation, payload, errorPolicy, `Internal error during analysis: ${error.message}`, audit);
+    } finally {
+      stopDecisionTimer({ outcome: audit.outcome || 'none' });
+    }
+  });
+
+  // Check workflow changes before they reach a deployment
+  webhooks.on(['pull_request.opened', 'pull_request.synchronize', 'pull_request.reopened'], async ({ payload }) => {
+    addContext({ repository: payload.repository?.full_name });
+    logger.info('🔀 Pull request event', { pullRequest: payload.pull_request?.number, action: payload.action });
+    await checkWorkflowChanges('pull_request', payload, payload.pull_request.head.sha);
+  });
+
+  webhooks.on('push', async ({ payload }) => {
+    // Deleted branches and tags have nothing to check
+    if (payload.deleted || !payload.ref || !payload.ref.startsWith('refs/heads/')) {
+      return;
+    }
+
+    addContext({ repository: payload.repository?.full_name });
+    logger.info('⬆️  Push event', { ref: payload.ref });
+    await checkWorkflowChanges('push', payload, payload.after);
+  });
+
+  async function checkWorkflowChanges(event, payload, headSha) {
+    try {
+      if (!payload.installation?.id) {
+        logger.error('No installation ID found in payload');
+        return;
+      }
+
+      const installation = await getInstallationOctokit(payload.installation.id);
+      const target = {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        ref: headSha,
+      };
+
+      const changedFiles = await getChangedFiles(installation, event, payload);
+      const fetchContent = createGitHubFetcher(installation, target);
+
+      // The same policy the deployment protection rule enforces, at the head commit
+      const { policy, errors: policyErrors } = await loadPolicy(fetchContent, payload, headSha);
+
+      if (!policy) {
+        logger.warn('Invalid policy file', { errors: policyErrors });
+        await publishCheckRun(installation, { ...target, headSha }, {
+          conclusion: 'failure',
+          output: {
+            title: 'Invalid policy file',
+            summary: `Policy file ${POLICY_PATH} is invalid: ${policyErrors.join('; ')}`,
+            annotations: [],
+          },
+        });
+        return;
+      }
+
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows: () => listWorkflowFiles(installation, target),
+        changedFiles,
+        policy,
+        rules: customRules,
+        repository: { fullName: payload.repository.full_name, visibility: getRepositoryVisibility(payload.repository) },
+        exemptions: await loadServerExemptions(),
+        logger,
+      });
+
+      if (results.length === 0) {
+        logger.info('No workflow changes to check', { changedFiles: changedFiles.length });
+        return;
+      }
+
+      const checkRun = buildCheckRunOutput(results, policy);
+      await publishCheckRun(installation, { ...target, headSha }, checkRun);
+      logger.info('✅ Published check run', { workflows: results.length, conclusion: checkRun.conclusion });
+    } catch (error) {
+      logger.error('Error checking workflow changes', { event, error });
+    }
+  }
+
+  async function getWorkflowContent(fetchContent, workflowRun) {
+    try {
+      return await fetchContent({ path: workflowRun.path });
+    } catch (error) {
+      logger.error('Error getting workflow content', { error });
+      return null;
+    }
+  }
+
+  async function loadPolicy(fetchContent, payload, ref) {
+    const content = await fetchContent({ path: POLICY_PATH });
+
+    if (content === null) {
+      logger.info(`No ${POLICY_PATH} in repository, using server default policy`);
+      return { policy: serverPolicy, errors: [] };
+    }
+
+    logger.info(`Using policy file ${POLICY_PATH}`, { ref });
+    return parsePolicy(content, {
+      type: 'repository',
+      path: POLICY_PATH,
+      repository: payload.repository.full_name,
+      ref,
+    });
+  }
+
+  // When the workflow cannot be fetched, parsed or analyzed, the policy's on_error setting
+  // for the environment decides whether to reject, approve or leave the deployment for a human
+  async function decideOnError(installation, payload, policy, problem, audit) {
+    const errorHandling = getErrorHandling(policy, payload.environment);
+    const message = formatErrorDecision(policy, errorHandling, problem);
+
+    if (errorHandling.onError === 'approve') {
+      await approveDeployment(installation, payload, message, audit);
+    } else if (errorHandling.onError === 'pending') {
+      logger.warn('⏸️  Leaving deployment pending for manual review', { reason: message });
+      await recordDecision(payload, 'pending', message, audit, false, null);
+    } else {
+      await rejectDeployment(installation, payload, message, audit);
+    }
+  }
+
+  async function approveDeployment(installation, payload, message, audit = {}) {
+    let delivered = false;
+    let deliveryError = null;
+
+    try {
+      if (!installation || !installation.request) {
+        logger.error('Cannot approve deployment: invalid installation object');
+        deliveryError = 'Invalid installation object';
+        return;
+      }
+
+      // First, we need to get the workflow run ID from the deployment callback URL
+      const runId = await getWorkflowRunIdFromPayload(payload);
+
+      if (!runId) {
+        logger.error('Cannot approve: No workflow run ID found');
+        deliveryError = 'No workflow run ID found';
+        return;
+      }
+
+      audit.attempts = await sendDecision(installation, payload, runId, 'approved', message);
+
+      delivered = true;
+      logger.info('✅ Deployment approved', { message });
+    } catch (error) {
+      deliveryError = error.message;
+      audit.attempts = error.attempts;
+      logger.error('Error approving deployment', { error, response: error.response?.data });
+    } finally {
+      await recordDecision(payload, 'approved', message, audit, delivered, deliveryError);
+    }
+  }
+
+  async function rejectDeployment(installation, payload, reason, audit = {}) {
+    let delivered = false;
+    let deliveryError = null;
+
+    try {
+      if (!installation || !installation.request) {
+        logger.error('Cannot reject deployment: invalid installation object', { reason });
+        deliveryError = 'Invalid installation object';
+        return;
+      }
+
+      // First, we need to get the workflow run ID from the deployment callback URL
+      const runId = await getWorkflowRunIdFromPayload(payload);
+
+      if (!runId) {
+        logger.error('Cannot reject: No workflow run ID found');
+        deliveryError = 'No workflow run ID found';
+        return;
+      }
+
+      audit.attempts = await sendDecision(installation, payload, runId, 'rejected', reason);
+
+      delivered = true;
+      logger.info('❌ Deployment rejected', { reason });
+    } catch (error) {
+      deliveryError = error.message;
+      audit.attempts = error.attempts;
+      logger.error('Error rejecting deployment', { error, response: error.response?.data });
+    } finally {
+      await recordDecision(payload, 'rejected', reason, audit, delivered, deliveryError);
+    }
+  }
+
+  // Posts the decision to the run's deployment callback, retrying while GitHub is unavailable or rate limiting
+  // Resolves to the number of attempts made
+  async function sendDecision(installation, payload, runId, state, comment) {
+    let attempts = 0;
+    await retryWithBackoff(() => {
+      attempts++;
+      return installation.request('POST /repos/{owner}/{repo}/actions/runs/{run_id}/deployment_protection_rule', {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        run_id: runId,
+        environment_name: payload.environment,
+        state,
+        comment,
+      });
+    }, {
+      retries: callbackRetries,
+      onRetry: (error, attempt, delayMs) => {
+        metrics.callbackRetries.inc({ state });
+        logger.warn('Retrying deployment decision', { state, attempt, delayMs, status: error.status, error: error.message });
+      },
+    });
+    return attempts;
+  }
+
+  // Installation clients count failed GitHub API requests by endpoint and status
+  async function getInstallationOctokit(installationId) {
+    const installation = await githubApp.getInstallationOctokit(installationId);
+
+    installation.hook.error('request', (error, options) => {
+      metrics.githubApiErrors.inc({
+        endpoint: `${options.method} ${options.url}`,
+        status: error.status || 'network',
+      });
+      throw error;
+    });
+
+    return installation;
+  }
+
+  // Exemptions kept by the app instead of a repository's policy file; read for every decision,
+  // so they can be added and expire without a restart. An unreadable file grants no exemptions.
+  async function loadServerExemptions() {
+    if (!exemptionsFile) {
+      return [];
+    }
+
+    try {
+      return await loadExemptionsFile(exemptionsFile);
+    } catch (error) {
+      logger.error('Could not load exemptions; none from the server are applied', { error });
+      return [];
+    }
+  }
+
+  // Decisions are recorded even if GitHub could not be told, so the log shows what was attempted
+  // Undelivered decisions also go to the dead letter list, as the deployment is left waiting;
+  // pending decisions are never sent and wait for a human on purpose
+  async function recordDecision(payload, outcome, message, audit, delivered, deliveryError) {
+    const runId = payload._workflowRunId || parseRunIdFromCallbackUrl(payload.deployment_callback_url);
+    audit.outcome = outcome;
+    metrics.decisions.inc({
+      repository: payload.repository?.full_name,
+      environment: payload.environment,
+      outcome,
+      reason: audit.reason || 'unknown',
+    });
+
+    if (!delivered && outcome !== 'pending') {
+      metrics.deadLetters.inc({ state: outcome });
+      deadLetters.add({
+        deliveryId: audit.deliveryId || null,
+        repository: payload.repository?.full_name || null,
+        environment: payload.environment || null,
+        runId,
+        state: outcome,
+        comment: message,
+        attempts: audit.attempts || 0,
+        error: deliveryError,
+      });
+    }
+
+    try {
+      await auditLog.record({
+        deliveryId: audit.deliveryId || null,
+        repository: payload.repository?.full_name || null,
+        environment: payload.environment || null,
+        runId,
+        sha: audit.sha || payload.deployment?.sha || null,
+        workflowPath: audit.workflowPath || null,
+        policy: audit.policy || null,
+        findings: audit.findings || [],
+        exemptions: audit.exemptions || [],
+        outcome,
+        reason: audit.reason || null,
+        message,
+        delivered,
+        attempts: audit.attempts || 0,
+        error: deliveryError,
+      });
+    } catch (error) {
+      logger.error('Error writing audit log', { error });
+    }
+
+    if (notifier) {
+      const results = await notifier.notify({
+        repository: payload.repository?.full_name || null,
+        environment: payload.environment || null,
+        outcome,
+        reason: audit.reason || null,
+        message,
+        findings: audit.findings || [],
+        runUrl: payload.repository?.html_url && runId ? `${payload.repository.html_url}/actions/runs/${runId}` : null,
+        workflowPath: audit.workflowPath || null,
+        sha: audit.sha || payload.deployment?.sha || null,
+        deliveryId: audit.deliveryId || null,
+        delivered,
+      });
+      results.forEach(result => metrics.notifications.inc({ sink: result.sink, result: result.sent ? 'sent' : 'failed' }));
+    }
+  }
+
+  async function getWorkflowRunIdFromPayload(payload) {
+    // First try to use the stored workflow run ID
+    if (payload._workflowRunId) {
+      return payload._workflowRunId;
+    }
+
+    const runId = parseRunIdFromCallbackUrl(payload.deployment_callback_url);
+    if (!runId) {
+      logger.warn('Could not extract run ID from callback URL', { callbackUrl: payload.deployment_callback_url });
+    }
+    return runId;
+  }
+
+  // Error handling
+  webhooks.onError((error) => {
+    logger.error('Webhook handler error', { error });
+  });
+
+  return { app, webhooks, webhookQueue, metrics, deadLetters };
+}
+
+// A short, low-cardinality reason for metrics: the violated rules, `exempted` or `compliant`
+function getDecisionReason(evaluation) {
+  if (evaluation.approved) {
+    return evaluation.exempted.length > 0 ? 'exempted' : 'compliant';
+  }
+
+  const rules = evaluation.violations.map(violation => violation.rule.split('.').pop());
+  return [...new Set(rules)].sort().join(',');
+}
+
+// Identifies the policy a decision was made under; a repository policy is pinned to its commit
+function describePolicy(policy) {
+  return {
+    source: describePolicySource(policy),
+    version: policy.version,
+    ref: (policy.source && policy.source.ref) || null,
+  };
+}
+
+module.exports = { createApp };
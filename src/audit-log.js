@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_AUDIT_LOG_FILE = 'data/audit-log.jsonl';
+const OUTCOMES = ['approved', 'rejected', 'pending'];
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  ['timestamp', entry => entry.timestamp],
+  ['delivery_id', entry => entry.deliveryId],
+  ['repository', entry => entry.repository],
+  ['environment', entry => entry.environment],
+  ['outcome', entry => entry.outcome],
+  ['delivered', entry => entry.delivered],
+  ['run_id', entry => entry.runId],
+  ['sha', entry => entry.sha],
+  ['workflow_path', entry => entry.workflowPath],
+  ['policy', entry => entry.policy && entry.policy.source],
+  ['policy_version', entry => entry.policy && entry.policy.version],
+  ['rules', entry => (entry.findings || []).map(finding => finding.rule).join('; ')],
+  ['exemptions', entry => (entry.exemptions || [])
+    .map(exemption => `${exemption.id} (${exemption.rule}, approved by ${exemption.approvedBy}, expires ${exemption.expires})`)
+    .join('; ')],
+  ['message', entry => entry.message]
+];
+
+/**
+ * Append-only JSONL log of deployment decisions
+ * Each line is one decision; lines that cannot be parsed are skipped when reading
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Path of the JSONL file, created on first write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Appends a decision to the log
+   * @param {Object} decision - { deliveryId, repository, environment, runId, sha, workflowPath, findings, policy, outcome, message, delivered, attempts }
+   * @returns {Promise<Object>} The stored entry, with its timestamp
+   */
+  async record(decision) {
+    const entry = { timestamp: new Date().toISOString(), ...decision };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /**
+   * Lists decisions, newest first
+   * @param {Object} [filters] - Result of parseAuditFilters: { repository, environment, outcome, since, until, limit }
+   * @returns {Promise<Object>} { total, decisions } where total counts all matches before the limit
+   */
+  async query(filters = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { total: 0, decisions: [] };
+      }
+      throw error;
+    }
+
+    const matches = content
+      .split('\n')
+      .map(parseLine)
+      .filter(entry => entry && matchesFilters(entry, filters))
+      .reverse();
+
+    return {
+      total: matches.length,
+      decisions: matches.slice(0, filters.limit || DEFAULT_QUERY_LIMIT)
+    };
+  }
+}
+
+function parseLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchesFilters(entry, filters) {
+  const time = Date.parse(entry.timestamp);
+
+  return (!filters.repository || (entry.repository || '').toLowerCase() === filters.repository.toLowerCase()) &&
+    (!filters.environment || entry.environment === filters.environment) &&
+    (!filters.outcome || entry.outcome === filters.outcome) &&
+    (!filters.since || time >= filters.since.getTime()) &&
+    (!filters.until || time <= filters.until.getTime());
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date or timestamp, got '${value}'`);
+  }
+  return date;
+}
+
+/**
+ * Validates the query string of the audit API
+ * @param {Object} query - { repository, environment, outcome, since, until, limit }
+ * @returns {Object} Filters for AuditLog.query
+ * @throws {Error} If a filter is invalid
+ */
+function parseAuditFilters(query = {}) {
+  // Repeated parameters arrive as arrays, and nested ones as objects
+  ['repository', 'environment', 'outcome', 'since', 'until'].forEach(name => {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      throw new Error(`${name} must be given once`);
+    }
+  });
+
+  const filters = {
+    repository: query.repository || null,
+    environment: query.environment || null,
+    outcome: query.outcome || null,
+    since: query.since ? parseDate(query.since, 'since') : null,
+    until: query.until ? parseDate(query.until, 'until') : null,
+    limit: DEFAULT_QUERY_LIMIT
+  };
+
+  if (filters.outcome && !OUTCOMES.includes(filters.outcome)) {
+    throw new Error(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+
+  // A plain date as `until` means the end of that day
+  if (filters.until && /^\d{4}-\d{2}-\d{2}$/.test(query.until)) {
+    filters.until = new Date(filters.until.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      throw new Error(`limit must be a whole number between 1 and ${MAX_QUERY_LIMIT}`);
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  // Spreadsheets run cells that start like a formula, and repository data such as branch names is untrusted
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats decisions as CSV with a header row
+ * @param {Object[]} decisions - Audit log entries
+ * @returns {string} CSV document
+ */
+function toCsv(decisions) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...decisions.map(entry => CSV_COLUMNS.map(([, get]) => get(entry)))
+  ];
+  return `${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Checks a bearer token in an Authorization header in constant time
+ * @param {string} header - The Authorization header
+ * @param {string} token - The configured token
+ * @returns {boolean} True if the header carries the token
+ */
+function isAuthorized(header, token) {
+  if (!token || typeof header !== 'string' || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const given = crypto.createHash('sha256').update(header.slice('Bearer '.length)).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { DEFAULT_AUDIT_LOG_FILE, AuditLog, parseAuditFilters, toCsv, isAuthorized };
@@ -0,0 +1,350 @@
+const WorkflowAnalyzer = require('./workflow-analyzer');
+const {
+  POLICY_PATH,
+  describePolicySource,
+  getAnalysisScope,
+  evaluatePolicy
+} = require('./policy');
+const { applyExemptions } = require('./exemptions');
+
+const CHECK_RUN_NAME = 'Local Action Checker';
+const WORKFLOW_DIR = '.github/workflows';
+// GitHub accepts at most 50 annotations per check run request
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+
+function isWorkflowPath(filePath) {
+  return /^\.github\/workflows\/[^/]+\.ya?ml$/.test(filePath);
+}
+
+function isExpression(value) {
+  return typeof value === 'string' && value.includes('${{');
+}
+
+// Only files of the analyzed repository can be changed by a pull request or push
+function isInRepository(file) {
+  return Boolean(file && file.path && !file.owner);
+}
+
+// `./actions/build/` and `actions/build` name the same directory
+function normalizeLocalPath(actionPath) {
+  return actionPath.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Lists the changed files of a pull_request or push event
+ * @param {Object} installation - Installation Octokit with a request method
+ * @param {string} event - pull_request or push
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object[]>} { filename, status } per changed file
+ */
+async function getChangedFiles(installation, event, payload) {
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+
+  if (event === 'pull_request') {
+    const files = [];
+    for (let page = 1; ; page++) {
+      const response = await installation.request('GET /repos/{owner}/{repo}/pulls/{pull_number}/files', {
+        owner,
+        repo,
+        pull_number: payload.pull_request.number,
+        per_page: 100,
+        page,
+      });
+      files.push(...response.data);
+      if (response.data.length < 100) {
+        break;
+      }
+    }
+    return files.map(file => ({ filename: file.filename, status: file.status }));
+  }
+
+  // A new branch has no previous commit to compare against
+  if (/^0+$/.test(payload.before || '')) {
+    const files = new Map();
+    (payload.commits || []).forEach(commit => {
+      (commit.added || []).forEach(filename => files.set(filename, 'added'));
+      (commit.modified || []).forEach(filename => files.set(filename, 'modified'));
+      (commit.removed || []).forEach(filename => files.set(filename, 'removed'));
+    });
+    return [...files].map(([filename, status]) => ({ filename, status }));
+  }
+
+  const response = await installation.request('GET /repos/{owner}/{repo}/compare/{basehead}', {
+    owner,
+    repo,
+    basehead: `${payload.before}...${payload.after}`,
+  });
+  return (response.data.files || []).map(file => ({ filename: file.filename, status: file.status }));
+}
+
+/**
+ * Lists the workflow files of a repository at a ref
+ * @param {Object} installation - Installation Octokit with a request method
+ * @param {Object} target - { owner, repo, ref }
+ * @returns {Promise<string[]>} Workflow file paths
+ */
+async function listWorkflowFiles(installation, { owner, repo, ref }) {
+  try {
+    const response = await installation.request('GET /repos/{owner}/{repo}/contents/{path}', {
+      owner,
+      repo,
+      path: WORKFLOW_DIR,
+      ref,
+    });
+    return response.data.filter(entry => entry.type === 'file' && isWorkflowPath(entry.path)).map(entry => entry.path);
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the environments a workflow deploys to, including those of the reusable workflows it calls
+ * Environments given as expressions cannot be evaluated and are left out
+ * @param {Object} details - Result of analyzeWorkflowTree
+ * @returns {string[]} Environment names
+ */
+function getDeploymentEnvironments(details) {
+  const environments = [
+    ...details.jobs.map(job => job.environment),
+    ...(details.calledWorkflows || []).flatMap(call => call.environments || [])
+  ];
+
+  return [...new Set(environments.filter(environment => environment && !isExpression(environment)))];
+}
+
+/**
+ * Checks whether a workflow uses a local action or local reusable workflow that was changed
+ * @param {Object} details - Result of analyzeWorkflowTree
+ * @param {string[]} changedPaths - Changed file paths
+ * @returns {boolean} True if a changed file is part of the workflow
+ */
+function dependsOnChangedFiles(details, changedPaths) {
+  const localActions = details.actionBreakdown.local
+    .filter(action => !action.file || !action.file.owner)
+    .map(action => normalizeLocalPath(action.path));
+  const dependencyFiles = [...(details.calledWorkflows || []), ...(details.calledActions || [])]
+    .filter(dependency => isInRepository(dependency.resolvedFile))
+    .map(dependency => dependency.resolvedFile.path);
+
+  return changedPaths.some(changed =>
+    dependencyFiles.includes(changed) ||
+    localActions.some(actionPath => changed === actionPath || changed.startsWith(`${actionPath}/`))
+  );
+}
+
+/**
+ * Analyzes the workflows affected by a set of changed files against the policy
+ * A workflow is affected when it changed, when it uses a changed local action or workflow,
+ * or when the policy file changed. It is evaluated for every environment it deploys to.
+ * @param {Object} options - Analysis options
+ * @param {Function} options.fetchContent - Content fetcher for the head commit
+ * @param {Function} options.listWorkflows - async () => workflow paths at the head commit
+ * @param {Object[]} options.changedFiles - { filename, status } per changed file
+ * @param {Object} options.policy - The policy to enforce
+ * @param {Object[]} [options.rules] - Custom analyzer rules
+ * @param {Object} [options.repository] - The repository being checked: { fullName, visibility }
+ * @param {Object[]} [options.exemptions] - Exemptions of the server, applied with those of the policy
+ * @param {Object} [options.logger] - Logger for the analyzer's diagnostics, the shared logger by default
+ * @returns {Promise<Object[]>} { path, environments, violations, error } per affected workflow
+ */
+async function analyzeWorkflowChanges({ fetchContent, listWorkflows, changedFiles, policy, rules, repository = {}, exemptions = [], logger }) {
+  const changedPaths = changedFiles.filter(file => file.status !== 'removed').map(file => file.filename);
+  const changedWorkflows = changedPaths.filter(isWorkflowPath);
+  const otherChanges = changedFiles.map(file => file.filename).filter(filePath => !isWorkflowPath(filePath));
+  const policyChanged = otherChanges.includes(POLICY_PATH);
+
+  // Changes outside the workflows directory can only be traced from the workflows that use them
+  const candidates = otherChanges.length > 0
+    ? [...new Set([...changedWorkflows, ...await listWorkflows()])]
+    : changedWorkflows;
+
+  // Workflows are analyzed once per environment; read each file only once
+  const cache = new Map();
+  const cachedFetch = (file) => {
+    const key = JSON.stringify([file.owner || null, file.repo || null, file.path, file.ref || null]);
+    if (!cache.has(key)) {
+      cache.set(key, Promise.resolve(fetchContent(file)));
+    }
+    return cache.get(key);
+  };
+
+  const analyzer = new WorkflowAnalyzer({ rules, logger });
+  const results = [];
+
+  for (const workflowPath of candidates.sort()) {
+    const content = await cachedFetch({ path: workflowPath });
+    if (content === null || content === undefined) {
+      continue;
+    }
+
+    const details = await analyzer.analyzeWorkflowTree(content, { fetchContent: cachedFetch, workflowPath });
+
+    if (!changedWorkflows.includes(workflowPath) && !policyChanged &&
+      (details.error || !dependsOnChangedFiles(details, otherChanges))) {
+      continue;
+    }
+
+    if (details.error) {
+      results.push({ path: workflowPath, environments: [], violations: [], error: details.error });
+      continue;
+    }
+
+    const environments = getDeploymentEnvironments(details);
+    const violations = new Map();
+
+    (environments.length > 0 ? environments : [null]).forEach(environment => {
+      const scoped = environment && getAnalysisScope(policy, environment) === 'environment'
+        ? analyzer.scopeToEnvironment(details, environment)
+        : details;
+
+      const evaluation = applyExemptions(
+        evaluatePolicy(policy, environment, scoped, repository),
+        [...(policy.exemptions || []), ...exemptions],
+        { repository: repository.fullName, environment, workflowPath }
+      );
+
+      evaluation.violations.forEach(violation => {
+        const key = `${violation.rule}\n${violation.message}`;
+        if (!violations.has(key)) {
+          violations.set(key, { ...violation, environment });
+        }
+      });
+    });
+
+    results.push({ path: workflowPath, environments, violations: [...violations.values()], error: null });
+  }
+
+  return results;
+}
+
+function createAnnotation(filePath, line, column, title, message) {
+  return {
+    path: filePath,
+    start_line: line || 1,
+    end_line: line || 1,
+    start_column: column || undefined,
+    end_column: column || undefined,
+    annotation_level: 'failure',
+    title,
+    message,
+  };
+}
+
+/**
+ * Builds the conclusion and output of a check run from analyzed workflows
+ * Findings in other repositories are annotated on the first line of the workflow using them
+ * @param {Object[]} results - Result of analyzeWorkflowChanges
+ * @param {Object} policy - The enforced policy
+ * @returns {Object} { conclusion, output: { title, summary, annotations } }
+ */
+function buildCheckRunOutput(results, policy) {
+  const failing = results.filter(result => result.error || result.violations.length > 0);
+  const annotations = [];
+  const seen = new Set();
+
+  results.forEach(result => {
+    if (result.error) {
+      annotations.push(createAnnotation(result.path, 1, null, 'Workflow could not be analyzed', result.error));
+      return;
+    }
+
+    result.violations.forEach(violation => {
+      const title = `Rule ${violation.rule}`;
+      const locations = violation.locations.filter(location => isInRepository(location.file) && location.line);
+      const targets = locations.length > 0 ? locations : [{ file: { path: result.path }, line: 1, column: null }];
+
+      targets.forEach(location => {
+        const key = [location.file.path, location.line, location.column, violation.rule].join(':');
+        if (!seen.has(key)) {
+          seen.add(key);
+          annotations.push(createAnnotation(location.file.path, location.line, location.column, title, violation.message));
+        }
+      });
+    });
+  });
+
+  const rows = results.map(result => {
+    const decision = result.error ? '⚠️ Could not be analyzed' : result.violations.length > 0 ? '❌ Would be rejected' : '✅ Compliant';
+    const environments = result.environments.length > 0 ? result.environments.join(', ') : '(defaults)';
+    return `| \`${result.path}\` | ${environments} | ${decision} |`;
+  });
+
+  const details = failing.map(result => {
+    const lines = result.error
+      ? [`- ${result.error}`]
+      : result.violations.map(violation => `- Rule \`${violation.rule}\`: ${violation.message}`);
+    return [`### \`${result.path}\``, ...lines].join('\n');
+  });
+
+  const summary = [
+    `Policy: ${describePolicySource(policy)}`,
+    '',
+    '| Workflow | Environments | Result |',
+    '|----------|--------------|--------|',
+    ...rows,
+    ...(details.length > 0 ? ['', ...details] : [])
+  ].join('\n');
+
+  return {
+    conclusion: failing.length > 0 ? 'failure' : 'success',
+    output: {
+      title: failing.length > 0
+        ? `${failing.length} of ${results.length} workflow(s) would be rejected`
+        : `${results.length} workflow(s) comply with the policy`,
+      summary,
+      annotations,
+    },
+  };
+}
+
+/**
+ * Publishes a completed check run, sending annotations in batches GitHub accepts
+ * @param {Object} installation - Installation Octokit with a request method
+ * @param {Object} target - { owner, repo, headSha }
+ * @param {Object} checkRun - { conclusion, output } from buildCheckRunOutput
+ * @returns {Promise<Object>} The created check run
+ */
+async function publishCheckRun(installation, { owner, repo, headSha }, { conclusion, output }) {
+  const batches = [];
+  for (let i = 0; i < output.annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+    batches.push(output.annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+  }
+
+  const response = await installation.request('POST /repos/{owner}/{repo}/check-runs', {
+    owner,
+    repo,
+    name: CHECK_RUN_NAME,
+    head_sha: headSha,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: { title: output.title, summary: output.summary, annotations: batches[0] || [] },
+  });
+
+  for (const batch of batches.slice(1)) {
+    await installation.request('PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}', {
+      owner,
+      repo,
+      check_run_id: response.data.id,
+      output: { title: output.title, summary: output.summary, annotations: batch },
+    });
+  }
+
+  return response.data;
+}
+
+module.exports = {
+  CHECK_RUN_NAME,
+  isWorkflowPath,
+  getChangedFiles,
+  listWorkflowFiles,
+  getDeploymentEnvironments,
+  dependsOnChangedFiles,
+  analyzeWorkflowChanges,
+  buildCheckRunOutput,
+  publishCheckRun
+};
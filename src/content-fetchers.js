@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a content fetcher that reads files through the GitHub contents API
+ * Files without an owner/repo/ref are read from the default repository and ref
+ * @param {Object} installation - Installation Octokit with a request method
+ * @param {Object} defaults - Default { owner, repo, ref } of the repository being analyzed
+ * @returns {Function} async ({ owner, repo, path, ref }) => content, or null if not found
+ */
+function createGitHubFetcher(installation, defaults) {
+  return async (file) => {
+    try {
+      const response = await installation.request('GET /repos/{owner}/{repo}/contents/{path}', {
+        owner: file.owner || defaults.owner,
+        repo: file.repo || defaults.repo,
+        path: file.path,
+        ref: file.ref || defaults.ref,
+      });
+
+      // Directories come back as a list, and symlinks and submodules have no content to read
+      if (response.data.type !== 'file') {
+        return null;
+      }
+
+      // Decode base64 content
+      return Buffer.from(response.data.content, 'base64').toString('utf8');
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Creates a content fetcher that reads files of the local repository from disk
+ * Files in other repositories cannot be resolved offline
+ * @param {string} rootDir - Root directory of the repository
+ * @returns {Function} async ({ owner, repo, path }) => content, or null if not found
+ */
+function createFileSystemFetcher(rootDir) {
+  return async (file) => {
+    if (file.owner || file.repo) {
+      throw new Error(`Cannot read ${file.owner}/${file.repo}/${file.path} from the local filesystem`);
+    }
+
+    const filePath = path.join(rootDir, file.path);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return fs.promises.readFile(filePath, 'utf8');
+  };
+}
+
+module.exports = { createGitHubFetcher, createFileSystemFetcher };
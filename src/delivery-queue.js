@@ -0,0 +1,270 @@
+const { AsyncResource } = require('async_hooks');
+
+const DEFAULT_CONCURRENCY = 4;
+// GitHub redeliveries keep the original delivery ID, and can be requested days later
+const DEFAULT_DEDUPE_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+const DEFAULT_DEDUPE_MAX_ENTRIES = 10000;
+const DEFAULT_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+// A deployment waits on the decision, so even a rate limit reset is not waited out for longer than this
+const DEFAULT_MAX_DELAY_MS = 15 * 60 * 1000;
+const DEFAULT_DEAD_LETTER_LIMIT = 1000;
+
+/**
+ * Remembers webhook delivery IDs so a delivery is only processed once
+ * IDs are forgotten after a while, oldest first once the limit is reached
+ */
+class DeliveryDeduplicator {
+  /**
+   * @param {Object} [options] - Deduplication options
+   * @param {number} [options.ttlMs] - How long a delivery ID is remembered
+   * @param {number} [options.maxEntries] - How many delivery IDs are remembered at most
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || DEFAULT_DEDUPE_TTL_MS;
+    this.maxEntries = options.maxEntries || DEFAULT_DEDUPE_MAX_ENTRIES;
+    this.now = options.now || Date.now;
+    this.seen = new Map();
+  }
+
+  /**
+   * Marks a delivery as being processed
+   * @param {string} deliveryId - The X-GitHub-Delivery header
+   * @returns {boolean} False if the delivery was already claimed
+   */
+  claim(deliveryId) {
+    const now = this.now();
+    this.prune(now);
+
+    if (this.seen.has(deliveryId)) {
+      return false;
+    }
+
+    this.seen.set(deliveryId, now);
+    if (this.seen.size > this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Forgets a delivery, so a redelivery of it is processed again
+   * @param {string} deliveryId - The X-GitHub-Delivery header
+   */
+  release(deliveryId) {
+    this.seen.delete(deliveryId);
+  }
+
+  // Entries are kept in claim order, so expired ones are at the front
+  prune(now) {
+    for (const [deliveryId, claimedAt] of this.seen) {
+      if (now - claimedAt < this.ttlMs) {
+        break;
+      }
+      this.seen.delete(deliveryId);
+    }
+  }
+}
+
+/**
+ * In-process job queue running at most `concurrency` jobs at a time
+ * Jobs run in the async context they were queued from, so log correlation fields carry over
+ */
+class JobQueue {
+  /**
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.concurrency] - Jobs run at the same time
+   * @param {Function} [options.onError] - Called with the error of a job that failed
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.onError = options.onError || (() => {});
+    this.jobs = [];
+    this.active = 0;
+    this.idleWaiters = [];
+  }
+
+  get pending() {
+    return this.jobs.length;
+  }
+
+  /**
+   * Queues a job
+   * @param {Function} job - Async function; its errors are passed to onError
+   */
+  push(job) {
+    this.jobs.push(AsyncResource.bind(job));
+    this.next();
+  }
+
+  /**
+   * Waits until every queued job has finished
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.active === 0 && this.jobs.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.jobs.length > 0) {
+      const job = this.jobs.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(job)
+        .catch(error => this.onError(error))
+        .finally(() => {
+          this.active--;
+          this.next();
+          if (this.active === 0 && this.jobs.length === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+          }
+        });
+    }
+  }
+}
+
+/**
+ * Whether a failed GitHub API request may succeed when repeated
+ * Network errors, server errors and rate limits are retried; other client errors are not
+ * @param {Error} error - Error thrown by octokit
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableError(error) {
+  if (!error.status) {
+    return true;
+  }
+
+  if (error.status >= 500 || error.status === 429) {
+    return true;
+  }
+
+  const headers = (error.response && error.response.headers) || {};
+  return error.status === 403 && (headers['retry-after'] !== undefined || headers['x-ratelimit-remaining'] === '0');
+}
+
+/**
+ * How long to wait before retrying a request
+ * Exponential backoff, or longer when GitHub's retry-after or rate limit reset headers ask for it
+ * @param {Error} error - Error thrown by octokit
+ * @param {number} attempt - The attempt that failed, starting at 1
+ * @param {Object} [options] - { baseDelayMs, maxDelayMs, now }
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(error, attempt, options = {}) {
+  const baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+  const now = options.now ? options.now() : Date.now();
+  const headers = (error.response && error.response.headers) || {};
+
+  let requestedDelayMs = 0;
+  if (headers['retry-after'] !== undefined) {
+    const seconds = Number(headers['retry-after']);
+    requestedDelayMs = Number.isNaN(seconds) ? Date.parse(headers['retry-after']) - now : seconds * 1000;
+  } else if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    requestedDelayMs = Number(headers['x-ratelimit-reset']) * 1000 - now;
+  }
+
+  const backoffMs = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(maxDelayMs, Math.max(backoffMs, requestedDelayMs || 0));
+}
+
+/**
+ * Parses a retry count from the environment, such as CALLBACK_RETRIES
+ * @param {string} [value] - The variable's value
+ * @param {string} name - The variable's name, for the error message
+ * @returns {number|undefined} The count, or undefined when unset or empty so the default applies
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseRetries(value, name) {
+  if (value === undefined || value.trim() === '') {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`${name} must be a non-negative integer, not '${value}'`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Runs a GitHub API call, retrying it with backoff while it fails with a retryable error
+ * @param {Function} fn - Async function making the request
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled for each retry after it
+ * @param {number} [options.maxDelayMs] - Longest delay between attempts
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before waiting
+ * @param {Function} [options.sleep] - Waits the given milliseconds, for tests
+ * @returns {Promise<*>} The result of fn
+ * @throws {Error} The last error, with `attempts` set to the number of attempts made
+ */
+async function retryWithBackoff(fn, options = {}) {
+  // Anything but a count, such as NaN, would retry forever
+  const retries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(error, attempt, options);
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Most recent deployment decisions that could not be sent to GitHub
+ */
+class DeadLetterList {
+  /**
+   * @param {Object} [options] - { limit } entries kept, oldest dropped first
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || DEFAULT_DEAD_LETTER_LIMIT;
+    this.entries = [];
+  }
+
+  /**
+   * Adds a failed decision
+   * @param {Object} entry - { deliveryId, repository, environment, runId, state, comment, attempts, error }
+   * @returns {Object} The stored entry, with the time it failed
+   */
+  add(entry) {
+    const stored = { failedAt: new Date().toISOString(), ...entry };
+    this.entries.push(stored);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    return stored;
+  }
+
+  /**
+   * @returns {Object[]} Entries, newest first
+   */
+  list() {
+    return [...this.entries].reverse();
+  }
+}
+
+module.exports = {
+  DeliveryDeduplicator,
+  JobQueue,
+  DeadLetterList,
+  isRetryableError,
+  getRetryDelay,
+  parseRetries,
+  retryWithBackoff
+};
@@ -0,0 +1,85 @@
+const { matchesGlob } = require('./glob');
+
+// Registry of image names without one, like node:20
+const DEFAULT_REGISTRY = 'docker.io';
+
+// e.g. sha256 followed by 64 hex digits
+const DIGEST = /^[a-z0-9]+(?:[.+_-][a-z0-9]+)*:[0-9a-f]{32,}$/i;
+const REPOSITORY = /^[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*(?:\/[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*)*$/;
+const TAG = /^[\w][\w.-]{0,127}$/;
+
+/**
+ * Parses a container image reference the way Docker resolves it
+ * @param {string} image - e.g. node:20, ghcr.io/org/app@sha256:<digest> or docker://alpine:3.19
+ * @returns {Object|null} { registry, repository, name, tag, digest } where name is registry/repository,
+ *   e.g. docker.io/library/node; null for expressions and invalid references
+ */
+function parseImageReference(image) {
+  if (typeof image !== 'string' || image.includes('${{')) {
+    return null;
+  }
+
+  let rest = image.trim().replace(/^docker:\/\//, '');
+  let digest = null;
+  let tag = null;
+
+  const at = rest.indexOf('@');
+  if (at !== -1) {
+    digest = rest.substring(at + 1);
+    rest = rest.substring(0, at);
+    if (!DIGEST.test(digest)) {
+      return null;
+    }
+  }
+
+  // A colon after the last slash starts the tag; one before it is a registry port
+  const colon = rest.lastIndexOf(':');
+  if (colon > rest.lastIndexOf('/')) {
+    tag = rest.substring(colon + 1);
+    rest = rest.substring(0, colon);
+    if (!TAG.test(tag)) {
+      return null;
+    }
+  }
+
+  const components = rest.split('/');
+  const hasRegistry = components.length > 1 &&
+    (components[0].includes('.') || components[0].includes(':') || components[0] === 'localhost');
+  let registry = hasRegistry ? components.shift().toLowerCase() : DEFAULT_REGISTRY;
+  if (registry === 'index.docker.io') {
+    registry = DEFAULT_REGISTRY;
+  }
+
+  // Official Docker Hub images live in the library namespace
+  if (registry === DEFAULT_REGISTRY && components.length === 1) {
+    components.unshift('library');
+  }
+
+  const repository = components.join('/');
+  if (!REPOSITORY.test(repository)) {
+    return null;
+  }
+
+  return { registry, repository, name: `${registry}/${repository}`, tag, digest };
+}
+
+/**
+ * Checks whether an image resolves to the latest tag: tagged latest, or neither tagged nor pinned by digest
+ * @param {Object} reference - Result of parseImageReference
+ * @returns {boolean} True if the image is whatever latest points to
+ */
+function isLatest(reference) {
+  return !reference.digest && (!reference.tag || reference.tag === 'latest');
+}
+
+/**
+ * Checks whether an image comes from an allowed registry or namespace
+ * @param {Object} reference - Result of parseImageReference
+ * @param {string[]} patterns - Glob patterns such as ghcr.io, ghcr.io/my-org or docker.io/library/*
+ * @returns {boolean} True if a pattern matches the image name or one of its parent namespaces
+ */
+function isAllowedRegistry(reference, patterns) {
+  return patterns.some(pattern => matchesGlob(reference.name, [pattern, `${pattern.replace(/\/+$/, '')}/**`], { ignoreCase: true }));
+}
+
+module.exports = { DEFAULT_REGISTRY, parseImageReference, isLatest, isAllowedRegistry };
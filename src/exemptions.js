@@ -0,0 +1,188 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { matchesGlob } = require('./glob');
+
+// Fields of an exemption; repository is required in the server's exemptions file
+const EXEMPTION_FIELDS = ['id', 'repository', 'environment', 'workflow', 'action', 'rule', 'reason', 'approved_by', 'expires'];
+const REQUIRED_FIELDS = ['id', 'environment', 'workflow', 'reason', 'approved_by', 'expires'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses the expiry of an exemption
+ * YAML dates such as 2026-11-01 are read as midnight UTC, so the exemption ends when that day starts
+ * @param {Date|string} expires - A YAML date or timestamp, or an ISO 8601 string
+ * @returns {Date|null} The expiry, or null if it is not a valid date
+ */
+function parseExpiry(expires) {
+  const date = expires instanceof Date ? expires : new Date(typeof expires === 'string' ? expires : NaN);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates a list of exemptions
+ * @param {Object[]} exemptions - The exemptions of a policy file or of the server's exemptions file
+ * @param {string} path - Where the list is, for error messages, e.g. exemptions
+ * @param {Object} [options] - { requireRepository } for exemptions not stored in the repository they exempt
+ * @returns {string[]} List of validation errors, empty when valid
+ */
+function validateExemptions(exemptions, path, { requireRepository = false } = {}) {
+  if (!Array.isArray(exemptions)) {
+    return [`${path} must be a list`];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  exemptions.forEach((exemption, index) => {
+    const itemPath = `${path}[${index}]`;
+    if (!isPlainObject(exemption)) {
+      errors.push(`${itemPath} must be a mapping`);
+      return;
+    }
+
+    Object.keys(exemption).filter(key => !EXEMPTION_FIELDS.includes(key)).forEach(key => {
+      errors.push(`${itemPath}.${key} is not a recognized setting`);
+    });
+
+    const required = requireRepository ? [...REQUIRED_FIELDS, 'repository'] : REQUIRED_FIELDS;
+    required.filter(key => exemption[key] === undefined).forEach(key => {
+      errors.push(`${itemPath}.${key} is required`);
+    });
+
+    EXEMPTION_FIELDS
+      .filter(key => key !== 'expires' && exemption[key] !== undefined && typeof exemption[key] !== 'string')
+      .forEach(key => errors.push(`${itemPath}.${key} must be of type string`));
+
+    if (exemption.action === undefined && exemption.rule === undefined) {
+      errors.push(`${itemPath} must name an action, a rule or both`);
+    }
+    if (exemption.expires !== undefined && !parseExpiry(exemption.expires)) {
+      errors.push(`${itemPath}.expires must be a date such as 2026-01-31`);
+    }
+
+    if (ids.has(exemption.id)) {
+      errors.push(`${itemPath}.id ${exemption.id} is used by another exemption`);
+    }
+    ids.add(exemption.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Reads the server's exemptions file, a YAML document with an exemptions list
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Object[]>} The exemptions, empty if the file does not exist
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+async function loadExemptionsFile(filePath) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const document = yaml.load(content) || {};
+  const exemptions = isPlainObject(document) && document.exemptions !== undefined ? document.exemptions : [];
+  const errors = validateExemptions(exemptions, 'exemptions', { requireRepository: true });
+  if (errors.length > 0) {
+    throw new Error(`Invalid exemptions file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return exemptions.map(exemption => ({ ...exemption, source: filePath }));
+}
+
+// Repository, environment and workflow are glob patterns; an exemption without a repository
+// comes from the policy file of the repository it exempts
+function isInScope(exemption, target) {
+  const repositoryMatches = !exemption.repository ||
+    (Boolean(target.repository) && matchesGlob(target.repository, exemption.repository, { ignoreCase: true }));
+
+  return repositoryMatches &&
+    Boolean(target.environment) && matchesGlob(target.environment, exemption.environment) &&
+    Boolean(target.workflowPath) && matchesGlob(target.workflowPath, exemption.workflow);
+}
+
+// Whether an exemption covers every action of a violation; rule is the last segment of the rule path
+function coversViolation(exemption, violation) {
+  if (exemption.rule && exemption.rule !== violation.rule.split('.').pop()) {
+    return false;
+  }
+  if (!exemption.action) {
+    return true;
+  }
+
+  const actions = violation.actions || [];
+  return actions.length > 0 && actions.every(action => action && matchesGlob(action, exemption.action));
+}
+
+/**
+ * Applies exemptions to a policy evaluation
+ * A violation is exempted when one unexpired exemption in scope covers its rule and every action it lists
+ * @param {Object} evaluation - Result of evaluatePolicy
+ * @param {Object[]} exemptions - Exemptions of the policy file and the server's exemptions file
+ * @param {Object} target - { repository: 'owner/repo', environment, workflowPath }
+ * @param {Date} [now] - The time to check expiries against
+ * @returns {Object} The evaluation without exempted violations, plus exempted ({ violation, exemption } for each)
+ *   and expiredExemptions (expired exemptions in scope, which no longer apply)
+ */
+function applyExemptions(evaluation, exemptions, target, now = new Date()) {
+  const inScope = exemptions.filter(exemption => isInScope(exemption, target));
+  const active = inScope.filter(exemption => parseExpiry(exemption.expires) > now);
+  const violations = [];
+  const exempted = [];
+
+  evaluation.violations.forEach(violation => {
+    const exemption = active.find(candidate => coversViolation(candidate, violation));
+    if (exemption) {
+      exempted.push({ violation, exemption });
+    } else {
+      violations.push(violation);
+    }
+  });
+
+  return {
+    ...evaluation,
+    approved: violations.length === 0,
+    violations,
+    exempted,
+    expiredExemptions: inScope.filter(exemption => !active.includes(exemption))
+  };
+}
+
+// e.g. 2026-11-01, or the full timestamp when it is not midnight UTC
+function formatExpiry(exemption) {
+  const expiry = parseExpiry(exemption.expires);
+  if (!expiry) {
+    return String(exemption.expires);
+  }
+
+  const iso = expiry.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso;
+}
+
+/**
+ * Formats an exemption for decision comments and logs
+ * @param {Object} exemption - The exemption
+ * @returns {string} e.g. `hotfix-1234` (Hotfix for INC-42, approved by alice, expires 2026-11-01)
+ */
+function formatExemption(exemption) {
+  return `\`${exemption.id}\` (${exemption.reason}, approved by ${exemption.approved_by}, expires ${formatExpiry(exemption)})`;
+}
+
+module.exports = {
+  EXEMPTION_FIELDS,
+  parseExpiry,
+  validateExemptions,
+  loadExemptionsFile,
+  applyExemptions,
+  formatExpiry,
+  formatExemption
+};
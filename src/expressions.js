@@ -0,0 +1,172 @@
+const { matchesGlob } = require('./glob');
+
+// Contexts an outside contributor controls, in normalized form (lower case, `*` for any index or key)
+// See https://securitylab.github.com/resources/github-actions-untrusted-input/
+const UNTRUSTED_CONTEXTS = [
+  'github.head_ref',
+  'github.event.issue.title',
+  'github.event.issue.body',
+  'github.event.pull_request.title',
+  'github.event.pull_request.body',
+  'github.event.pull_request.head.ref',
+  'github.event.pull_request.head.label',
+  'github.event.pull_request.head.repo.default_branch',
+  'github.event.comment.body',
+  'github.event.review.body',
+  'github.event.review_comment.body',
+  'github.event.discussion.title',
+  'github.event.discussion.body',
+  'github.event.pages.*.page_name',
+  'github.event.commits.*.message',
+  'github.event.commits.*.author.email',
+  'github.event.commits.*.author.name',
+  'github.event.head_commit.message',
+  'github.event.head_commit.author.email',
+  'github.event.head_commit.author.name',
+  'github.event.workflow_run.head_branch',
+  'github.event.workflow_run.display_title',
+  'github.event.workflow_run.head_commit.message',
+  'github.event.workflow_run.head_commit.author.email',
+  'github.event.workflow_run.head_commit.author.name',
+  'github.event.workflow_run.pull_requests.*.head.ref'
+];
+
+// Inputs of well-known actions that are run as code, by lower-case owner/repo
+const SCRIPT_INPUTS = {
+  'actions/github-script': ['script'],
+  'azure/cli': ['inlinescript'],
+  'azure/powershell': ['inlinescript']
+};
+
+// A property chain such as github.event['pull_request'].title or github.event.commits[0].message
+const CONTEXT_REFERENCE = /[A-Za-z_][\w-]*(?:\s*\.\s*(?:[A-Za-z_][\w-]*|\*)|\s*\[\s*(?:'(?:[^']|'')*'|\d+|\*)\s*\])*/g;
+
+/**
+ * Finds the ${{ }} expressions in a string
+ * @param {string} text - e.g. the script of a run step
+ * @returns {Object[]} { expression, body, index } for each expression, where index is its offset in text
+ */
+function findExpressions(text) {
+  const expressions = [];
+  let start = text.indexOf('${{');
+
+  while (start !== -1) {
+    const end = findExpressionEnd(text, start + 3);
+    if (end === -1) {
+      break;
+    }
+
+    expressions.push({ expression: text.substring(start, end + 2), body: text.substring(start + 3, end).trim(), index: start });
+    start = text.indexOf('${{', end + 2);
+  }
+
+  return expressions;
+}
+
+// `}}` inside a string literal does not end the expression
+function findExpressionEnd(text, from) {
+  let inString = false;
+
+  for (let i = from; i < text.length - 1; i++) {
+    if (text[i] === '\'') {
+      inString = !inString;
+    } else if (!inString && text[i] === '}' && text[i + 1] === '}') {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Normalizes a context reference so it can be compared with UNTRUSTED_CONTEXTS
+ * @param {string} reference - e.g. github.event['pull_request'].title or github.event.commits[0].message
+ * @returns {string} e.g. github.event.pull_request.title or github.event.commits.*.message
+ */
+function normalizeContext(reference) {
+  return reference
+    .replace(/\s+/g, '')
+    .replace(/\['((?:[^']|'')*)'\]/g, (match, key) => `.${key.replace(/''/g, '\'')}`)
+    .replace(/\[(\d+|\*)\]/g, '.*')
+    .toLowerCase();
+}
+
+/**
+ * Lists the contexts an expression reads, ignoring string literals and function names
+ * @param {string} body - The expression without ${{ }}
+ * @returns {string[]} Normalized context references
+ */
+function getContextReferences(body) {
+  // String literals other than bracketed property names are not references
+  const withoutStrings = body.replace(/'(?:[^']|'')*'/g, (literal, offset) => (
+    body.substring(0, offset).trimEnd().endsWith('[') ? literal : '\'\''
+  ));
+  const references = [];
+
+  let match;
+  CONTEXT_REFERENCE.lastIndex = 0;
+  while ((match = CONTEXT_REFERENCE.exec(withoutStrings)) !== null) {
+    const following = withoutStrings.substring(CONTEXT_REFERENCE.lastIndex).trimStart();
+    // Function calls like contains( or toJSON( are not contexts; their arguments are matched separately
+    if (!following.startsWith('(')) {
+      references.push(normalizeContext(match[0]));
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Checks whether a normalized context is controlled by whoever triggers the workflow
+ * Whole objects that contain such values, like github.event.pull_request, count too
+ * @param {string} context - A normalized context reference
+ * @returns {boolean} True if the value is untrusted
+ */
+function isUntrustedContext(context) {
+  return matchesGlob(context, UNTRUSTED_CONTEXTS) ||
+    UNTRUSTED_CONTEXTS.some(untrusted => matchesGlob(untrusted, `${context}.**`));
+}
+
+/**
+ * Finds expressions in a script that interpolate untrusted contexts
+ * @param {string} text - A run script or script input
+ * @returns {Object[]} { expression, context, index } for each untrusted context
+ */
+function findUntrustedExpressions(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const findings = [];
+  findExpressions(text).forEach(({ expression, body, index }) => {
+    [...new Set(getContextReferences(body))]
+      .filter(isUntrustedContext)
+      .forEach(context => findings.push({ expression, context, index }));
+  });
+
+  return findings;
+}
+
+/**
+ * Gets the inputs of an action that are run as code
+ * @param {string} actionRef - The uses value of a step, e.g. actions/github-script@v7
+ * @returns {string[]} Lower-case input names, empty for other actions
+ */
+function getScriptInputs(actionRef) {
+  if (typeof actionRef !== 'string') {
+    return [];
+  }
+
+  const repository = actionRef.split('@')[0].split('/').slice(0, 2).join('/').toLowerCase();
+  return SCRIPT_INPUTS[repository] || [];
+}
+
+module.exports = {
+  UNTRUSTED_CONTEXTS,
+  findExpressions,
+  normalizeContext,
+  getContextReferences,
+  isUntrustedContext,
+  findUntrustedExpressions,
+  getScriptInputs
+};
@@ -0,0 +1,59 @@
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports `**` (any number of path segments), `*` (anything except `/`) and `?`
+ * @param {string} pattern - The glob pattern
+ * @returns {RegExp} Anchored regular expression for the pattern
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` may also match zero directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a value matches any of the given glob patterns
+ * @param {string} value - The value to test
+ * @param {string|string[]} patterns - One or more glob patterns
+ * @param {Object} [options] - Matching options
+ * @param {boolean} [options.ignoreCase] - Compare case-insensitively
+ * @returns {boolean} True if at least one pattern matches
+ */
+function matchesGlob(value, patterns, options = {}) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const subject = options.ignoreCase ? value.toLowerCase() : value;
+
+  return list.some(pattern => {
+    if (typeof pattern !== 'string') {
+      return false;
+    }
+    const normalized = options.ignoreCase ? pattern.toLowerCase() : pattern;
+    return globToRegExp(normalized).test(subject);
+  });
+}
+
+module.exports = { globToRegExp, matchesGlob };
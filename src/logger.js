@@ -0,0 +1,206 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are never logged
+const SENSITIVE_KEY = /secret|token|password|passphrase|private[-_]?key|signature|authorization|cookie|api[-_]?key|credential/i;
+
+// Secrets that may appear inside otherwise harmless strings
+const SENSITIVE_VALUES = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g,
+  /\b(Bearer|token)\s+[A-Za-z0-9._~+/=-]{8,}/gi,
+  /\bsha(1|256)=[0-9a-f]{20,}\b/gi
+];
+
+// Correlation fields (delivery id, repository, run id) of the webhook being handled
+const correlation = new AsyncLocalStorage();
+
+function redactString(value) {
+  return SENSITIVE_VALUES.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+}
+
+/**
+ * Removes secrets from a value before it is logged
+ * Sensitive keys are replaced entirely; strings are scrubbed of keys, tokens and signatures
+ * @param {*} value - Any value
+ * @returns {*} A redacted copy, with errors turned into plain objects
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    if (value.status) {
+      error.status = value.status;
+    }
+    if (value.stack) {
+      error.stack = redactString(value.stack);
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    result[key] = SENSITIVE_KEY.test(key) && item !== undefined && item !== null && item !== ''
+      ? REDACTED
+      : redact(item, seen);
+  });
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const context = ['deliveryId', 'repository', 'runId']
+    .filter(key => fields[key] !== undefined)
+    .map(key => {
+      const value = fields[key];
+      delete fields[key];
+      return `${key}=${value}`;
+    });
+
+  const parts = [time.substring(11, 23), level.toUpperCase().padEnd(5)];
+  if (context.length > 0) {
+    parts.push(`[${context.join(' ')}]`);
+  }
+  parts.push(msg);
+  if (Object.keys(fields).length > 0) {
+    parts.push(util.inspect(fields, { depth: 4, breakLength: Infinity, colors: false }));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Logger writing one JSON object (or one readable line in pretty mode) per entry
+ * Entries carry the correlation fields of the current webhook, see runWithContext
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level] - debug, info, warn, error or silent
+   * @param {string} [options.format] - json or pretty
+   * @param {Object} [options.stream] - Where entries are written, stdout by default
+   * @param {Object} [options.fields] - Fields added to every entry
+   */
+  constructor(options = {}) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.format = options.format === 'pretty' ? 'pretty' : 'json';
+    this.stream = options.stream || process.stdout;
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * Creates a logger that adds fields to every entry
+   * @param {Object} fields - Fields such as { component: 'analyzer' }
+   * @returns {Logger} The child logger
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    // A bare error is logged as { error }
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...(correlation.getStore() || {}),
+      ...extra
+    });
+
+    this.stream.write(`${this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Runs a function with correlation fields attached to every entry it logs, including in async calls
+ * @param {Object} fields - e.g. { deliveryId, event }
+ * @param {Function} fn - The function to run
+ * @returns {*} The function's return value
+ */
+function runWithContext(fields, fn) {
+  return correlation.run({ ...(correlation.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Adds correlation fields once they are known, such as the repository and run id
+ * Only affects the context entered with runWithContext
+ * @param {Object} fields - Fields to add
+ */
+function addContext(fields) {
+  const store = correlation.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Creates a logger configured from the environment
+ * LOG_LEVEL sets the level; LOG_FORMAT is json or pretty, defaulting to pretty when NODE_ENV=development
+ * @param {Object} [env] - Environment variables
+ * @param {Object} [options] - Overrides, such as { stream, format }
+ * @returns {Logger} The logger
+ */
+function createLogger(env = process.env, options = {}) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  const format = (env.LOG_FORMAT || (env.NODE_ENV === 'development' ? 'pretty' : 'json')).toLowerCase();
+
+  return new Logger({ level, format, ...options });
+}
+
+// Shared by the server and the analyzer
+const logger = createLogger();
+
+module.exports = { Logger, LEVELS, createLogger, logger, redact, runWithContext, addContext };
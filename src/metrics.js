@@ -0,0 +1,237 @@
+const METRIC_PREFIX = 'local_action_checker_';
+// Seconds; a decision includes several GitHub API round trips
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Base class of metrics with labels; values are kept per distinct label set
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  // Missing labels become empty strings so every series has the same label names
+  getSeries(labels, create) {
+    const normalized = {};
+    this.labelNames.forEach(labelName => {
+      const value = labels[labelName];
+      normalized[labelName] = value === undefined || value === null ? '' : String(value);
+    });
+
+    const key = JSON.stringify(normalized);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: normalized, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+    // Without labels the single series exists from the start, so it is exported as 0
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  /**
+   * Increments the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [value] - Amount to add, 1 by default
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header();
+    this.values.forEach(series => {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    });
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (this.labelNames.length === 0) {
+      this.getSeries({}, () => this.createSeries());
+    }
+  }
+
+  createSeries() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  /**
+   * Records an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - The observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => this.createSeries());
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts timing an operation
+   * @param {Object} [labels] - Label values known at the start
+   * @returns {Function} (labels) => seconds; records the duration with both sets of labels
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    this.values.forEach(series => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics rendered together in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric
+   * @returns {string} Prometheus text format (version 0.0.4)
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render().join('\n')).join('\n')}\n`;
+  }
+}
+
+/**
+ * Creates the metrics of the protection rule service
+ * @param {MetricsRegistry} [registry] - Registry to add them to
+ * @returns {Object} The registry and each metric by name
+ */
+function createAppMetrics(registry = new MetricsRegistry()) {
+  return {
+    registry,
+    webhooksReceived: registry.counter({
+      name: `${METRIC_PREFIX}webhooks_received_total`,
+      help: 'Webhook deliveries received, by event',
+      labelNames: ['event']
+    }),
+    signatureFailures: registry.counter({
+      name: `${METRIC_PREFIX}webhook_signature_failures_total`,
+      help: 'Webhook deliveries rejected because the signature did not match'
+    }),
+    duplicateDeliveries: registry.counter({
+      name: `${METRIC_PREFIX}webhook_duplicate_deliveries_total`,
+      help: 'Webhook deliveries skipped because their delivery ID was already processed'
+    }),
+    decisions: registry.counter({
+      name: `${METRIC_PREFIX}deployment_decisions_total`,
+      help: 'Deployment protection decisions, by repository, environment, outcome and reason',
+      labelNames: ['repository', 'environment', 'outcome', 'reason']
+    }),
+    workflowsIgnored: registry.counter({
+      name: `${METRIC_PREFIX}workflows_ignored_total`,
+      help: 'Deployments from dynamic workflows, which are skipped, and from ignored workflows, approved without analysis'
+    }),
+    githubApiErrors: registry.counter({
+      name: `${METRIC_PREFIX}github_api_errors_total`,
+      help: 'Failed GitHub API requests, by endpoint and status',
+      labelNames: ['endpoint', 'status']
+    }),
+    callbackRetries: registry.counter({
+      name: `${METRIC_PREFIX}deployment_callback_retries_total`,
+      help: 'Retried attempts to send a deployment decision to GitHub, by state',
+      labelNames: ['state']
+    }),
+    deadLetters: registry.counter({
+      name: `${METRIC_PREFIX}dead_letters_total`,
+      help: 'Deployment decisions that could not be sent to GitHub, by state',
+      labelNames: ['state']
+    }),
+    notifications: registry.counter({
+      name: `${METRIC_PREFIX}notifications_total`,
+      help: 'Notifications of deployment decisions, by sink and result',
+      labelNames: ['sink', 'result']
+    }),
+    decisionDuration: registry.histogram({
+      name: `${METRIC_PREFIX}decision_duration_seconds`,
+      help: 'Time from receiving a deployment protection request to sending the decision, by outcome',
+      labelNames: ['outcome']
+    }),
+    analysisDuration: registry.histogram({
+      name: `${METRIC_PREFIX}workflow_analysis_duration_seconds`,
+      help: 'Time spent analyzing a workflow and the workflows and actions it uses'
+    })
+  };
+}
+
+module.exports = { MetricsRegistry, Counter, Histogram, createAppMetrics };
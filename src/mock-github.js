@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Token handed out for every installation; the stand-in does not check authentication
+const INSTALLATION_TOKEN = 'ghs_replay';
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not read fixture ${filePath}: ${error.message}`);
+  }
+}
+
+function notFound(res) {
+  res.status(404).json({ message: 'Not Found', documentation_url: 'https://docs.github.com/rest' });
+}
+
+/**
+ * Loads a fixtures directory recorded from a deployment
+ *
+ *   run.json          GET /repos/{owner}/{repo}/actions/runs/{run_id}
+ *   deployment.json   GET /repos/{owner}/{repo}/deployments/{deployment_id} (optional)
+ *   files/            The repository at the run's head SHA, e.g. files/.github/workflows/deploy.yml
+ *   repos/{owner}/{repo}/   Other repositories, for the reusable workflows and actions they provide
+ *
+ * @param {string} directory - The fixtures directory
+ * @returns {Object} { directory, run, deployment }
+ * @throws {Error} If the directory or run.json is missing, or a fixture is not valid JSON
+ */
+function loadFixtures(directory) {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Fixtures directory ${directory} does not exist`);
+  }
+
+  const run = readJson(path.join(directory, 'run.json'));
+  if (!run) {
+    throw new Error(`Fixtures directory ${directory} has no run.json`);
+  }
+
+  return { directory, run, deployment: readJson(path.join(directory, 'deployment.json')) };
+}
+
+/**
+ * A local stand-in for the GitHub REST API that serves fixtures
+ * It answers the requests the deployment protection rule handler makes and records every request,
+ * including the approve/reject call, which it accepts without passing it on
+ */
+class MockGitHub {
+  /**
+   * @param {Object} fixtures - Result of loadFixtures
+   * @param {Object} options - { repository: 'owner/repo' } whose files are in files/
+   */
+  constructor(fixtures, options) {
+    this.fixtures = fixtures;
+    this.repository = options.repository.toLowerCase();
+    this.requests = [];
+    this.server = null;
+    this.app = this.createRoutes();
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Requests that were answered with 404, such as files missing from the fixtures
+   * @returns {Object[]} { method, path, status, body } for each request
+   */
+  get unmatched() {
+    return this.requests.filter(request => request.status === 404);
+  }
+
+  /**
+   * The approve/reject calls the handler made
+   * @returns {Object[]} { method, path, status, body } for each call
+   */
+  get decisions() {
+    return this.requests.filter(request => request.path.endsWith('/deployment_protection_rule'));
+  }
+
+  createRoutes() {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    app.use((req, res, next) => {
+      const request = { method: req.method, path: decodeURIComponent(req.path), status: null, body: req.body && Object.keys(req.body).length > 0 ? req.body : null };
+      this.requests.push(request);
+      res.on('finish', () => {
+        request.status = res.statusCode;
+      });
+      next();
+    });
+
+    app.post('/app/installations/:installationId/access_tokens', (req, res) => {
+      res.status(201).json({
+        token: INSTALLATION_TOKEN,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        permissions: { actions: 'read', contents: 'read', deployments: 'write' },
+        repository_selection: 'all'
+      });
+    });
+
+    app.get('/repos/:owner/:repo/actions/runs/:runId', (req, res) => {
+      const { run } = this.fixtures;
+      if (!this.isRepository(req.params) || (run.id !== undefined && String(run.id) !== req.params.runId)) {
+        notFound(res);
+        return;
+      }
+      res.json(run);
+    });
+
+    app.get('/repos/:owner/:repo/deployments/:deploymentId', (req, res) => {
+      const { deployment } = this.fixtures;
+      if (!deployment || !this.isRepository(req.params) ||
+        (deployment.id !== undefined && String(deployment.id) !== req.params.deploymentId)) {
+        notFound(res);
+        return;
+      }
+      res.json(deployment);
+    });
+
+    // Files are served whatever ref is asked for, as the fixtures are a snapshot of one commit
+    app.get('/repos/:owner/:repo/contents/*', (req, res) => {
+      const filePath = this.resolveFile(req.params, req.params[0]);
+      if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        notFound(res);
+        return;
+      }
+
+      const content = fs.readFileSync(filePath);
+      res.json({
+        type: 'file',
+        encoding: 'base64',
+        name: path.basename(filePath),
+        path: req.params[0],
+        size: content.length,
+        content: content.toString('base64')
+      });
+    });
+
+    app.post('/repos/:owner/:repo/actions/runs/:runId/deployment_protection_rule', (req, res) => {
+      res.status(204).end();
+    });
+
+    app.use((req, res) => notFound(res));
+    return app;
+  }
+
+  isRepository({ owner, repo }) {
+    return `${owner}/${repo}`.toLowerCase() === this.repository;
+  }
+
+  // Path of a file in the fixtures, or null if it would be outside them
+  resolveFile(params, filePath) {
+    const root = this.isRepository(params)
+      ? path.resolve(this.fixtures.directory, 'files')
+      : path.resolve(this.fixtures.directory, 'repos', params.owner, params.repo);
+    const resolved = path.resolve(root, filePath);
+    return resolved.startsWith(`${root}${path.sep}`) ? resolved : null;
+  }
+
+  /**
+   * Starts serving on a free port of the loopback interface
+   * @returns {Promise<string>} The base URL of the API
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(0, '127.0.0.1', () => resolve(this.url));
+      this.server.once('error', reject);
+    });
+  }
+
+  /**
+   * Stops serving
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+}
+
+module.exports = { INSTALLATION_TOKEN, loadFixtures, MockGitHub };
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const nodemailer = require('nodemailer');
+const { matchesGlob } = require('./glob');
+
+// What a decision can notify about: its outcome, and error for failed analyses and undelivered decisions
+const NOTIFICATION_EVENTS = ['rejected', 'approved', 'pending', 'error'];
+const DEFAULT_EVENTS = ['rejected', 'error'];
+const SINK_TYPES = ['webhook', 'slack', 'email'];
+
+// Notifications are sent while a webhook job holds a queue slot, so a sink that hangs must give up
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Audit reasons of decisions made because the workflow could not be analyzed
+const ERROR_REASONS = ['internal_error', 'workflow_not_found', 'invalid_workflow'];
+
+// Header of the HMAC-SHA256 signature of generic webhook bodies, like GitHub's X-Hub-Signature-256
+const SIGNATURE_HEADER = 'X-Local-Action-Checker-Signature-256';
+
+const DEFAULT_TEMPLATE = [
+  'Deployment {{outcome}}: {{repository}} to {{environment}}',
+  'Workflow: {{workflow}} at {{sha}}',
+  'Run: {{run_url}}',
+  '',
+  '{{message}}',
+  '{{findings}}'
+].join('\n');
+const DEFAULT_SUBJECT = '[{{repository}}] Deployment to {{environment}} {{outcome}}';
+
+// Settings of each sink type; url, secret, username and password may be read from the environment with ${NAME}
+const SINK_SCHEMA = {
+  webhook: { required: ['url'], optional: ['secret'] },
+  slack: { required: ['url'], optional: [] },
+  email: { required: ['host', 'from', 'to'], optional: ['port', 'secure', 'starttls', 'username', 'password', 'subject'] }
+};
+const ROUTE_FIELDS = ['sinks', 'repositories', 'environments', 'events', 'template'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Replaces ${NAME} with the environment variable, so secrets stay out of the file
+function substituteEnv(value, path, env, errors) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return value.replace(/\$\{([A-Z_][A-Z0-9_]*)\}/gi, (match, name) => {
+    if (env[name] === undefined) {
+      errors.push(`${path}: environment variable ${name} is not set`);
+      return '';
+    }
+    return env[name];
+  });
+}
+
+function validateSink(name, sink, env, errors) {
+  const path = `sinks.${name}`;
+  if (!isPlainObject(sink) || !SINK_TYPES.includes(sink.type)) {
+    errors.push(`${path}.type must be one of: ${SINK_TYPES.join(', ')}`);
+    return null;
+  }
+
+  const { required, optional } = SINK_SCHEMA[sink.type];
+  Object.keys(sink).filter(key => key !== 'type' && !required.includes(key) && !optional.includes(key)).forEach(key => {
+    errors.push(`${path}.${key} is not a recognized setting`);
+  });
+  required.filter(key => sink[key] === undefined).forEach(key => errors.push(`${path}.${key} is required`));
+
+  const resolved = { name, type: sink.type };
+  Object.entries(sink).filter(([key]) => key !== 'type').forEach(([key, value]) => {
+    resolved[key] = substituteEnv(value, `${path}.${key}`, env, errors);
+  });
+
+  if (resolved.to !== undefined) {
+    resolved.to = [].concat(resolved.to);
+    if (!resolved.to.every(address => typeof address === 'string')) {
+      errors.push(`${path}.to must be an address or a list of addresses`);
+    }
+  }
+  if (resolved.port !== undefined && !Number.isInteger(resolved.port)) {
+    errors.push(`${path}.port must be a number`);
+  }
+  ['secure', 'starttls'].filter(key => resolved[key] !== undefined && typeof resolved[key] !== 'boolean').forEach(key => {
+    errors.push(`${path}.${key} must be of type boolean`);
+  });
+
+  return resolved;
+}
+
+function validateRoute(route, index, sinks, errors) {
+  const path = `routes[${index}]`;
+  if (!isPlainObject(route)) {
+    errors.push(`${path} must be a mapping`);
+    return null;
+  }
+
+  Object.keys(route).filter(key => !ROUTE_FIELDS.includes(key)).forEach(key => errors.push(`${path}.${key} is not a recognized setting`));
+  ['sinks', 'repositories', 'environments', 'events']
+    .filter(key => route[key] !== undefined && !(Array.isArray(route[key]) && route[key].every(item => typeof item === 'string')))
+    .forEach(key => errors.push(`${path}.${key} must be of type string[]`));
+
+  if (!Array.isArray(route.sinks) || route.sinks.length === 0) {
+    errors.push(`${path}.sinks must name at least one sink`);
+  } else {
+    route.sinks.filter(name => !sinks[name]).forEach(name => errors.push(`${path}.sinks: unknown sink ${name}`));
+  }
+  (Array.isArray(route.events) ? route.events : []).filter(event => !NOTIFICATION_EVENTS.includes(event)).forEach(event => {
+    errors.push(`${path}.events: ${event} is not one of: ${NOTIFICATION_EVENTS.join(', ')}`);
+  });
+  if (route.template !== undefined && typeof route.template !== 'string') {
+    errors.push(`${path}.template must be of type string`);
+  }
+
+  return {
+    sinks: route.sinks || [],
+    repositories: route.repositories || ['**'],
+    environments: route.environments || ['**'],
+    events: route.events || DEFAULT_EVENTS,
+    template: route.template || DEFAULT_TEMPLATE
+  };
+}
+
+/**
+ * Parses and validates a notifications file: named sinks, and routes that pick sinks for decisions
+ * @param {string} content - YAML with sinks and routes
+ * @param {Object} [env] - Environment variables for ${NAME} references
+ * @returns {Object} { sinks, routes }
+ * @throws {Error} Listing every problem if the file is not valid
+ */
+function parseNotificationConfig(content, env = process.env) {
+  const config = yaml.load(content) || {};
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    throw new Error('Invalid notifications config: must be a mapping');
+  }
+  Object.keys(config).filter(key => key !== 'sinks' && key !== 'routes').forEach(key => errors.push(`${key} is not a recognized setting`));
+
+  const sinks = {};
+  if (!isPlainObject(config.sinks)) {
+    errors.push('sinks must be a mapping of sink name to sink');
+  } else {
+    Object.entries(config.sinks).forEach(([name, sink]) => {
+      const resolved = validateSink(name, sink, env, errors);
+      if (resolved) {
+        sinks[name] = resolved;
+      }
+    });
+  }
+
+  const routes = Array.isArray(config.routes)
+    ? config.routes.map((route, index) => validateRoute(route, index, sinks, errors)).filter(Boolean)
+    : [];
+  if (!Array.isArray(config.routes)) {
+    errors.push('routes must be a list');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid notifications config: ${errors.join('; ')}`);
+  }
+  return { sinks, routes };
+}
+
+/**
+ * Reads a notifications file
+ * @param {string} filePath - Path of the YAML file
+ * @param {Object} [env] - Environment variables for ${NAME} references
+ * @returns {Object} { sinks, routes }
+ * @throws {Error} If the file cannot be read or is not valid
+ */
+function loadNotificationConfig(filePath, env = process.env) {
+  try {
+    return parseNotificationConfig(fs.readFileSync(filePath, 'utf8'), env);
+  } catch (error) {
+    throw new Error(`Could not load notifications from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the events a decision raises
+ * @param {Object} decision - { outcome, reason, delivered }
+ * @returns {string[]} The outcome, plus error when analysis failed or GitHub could not be told
+ */
+function getDecisionEvents(decision) {
+  const failed = ERROR_REASONS.includes(decision.reason) || (decision.delivered === false && decision.outcome !== 'pending');
+  return failed ? [decision.outcome, 'error'] : [decision.outcome];
+}
+
+/**
+ * Fills in {{name}} placeholders; unknown names become empty
+ * @param {string} template - e.g. Deployment {{outcome}}: {{repository}}
+ * @param {Object} variables - Values by name
+ * @returns {string} The rendered text
+ */
+function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{\s*([\w]+)\s*\}\}/g, (match, name) => (variables[name] === undefined || variables[name] === null ? '' : String(variables[name])))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Values templates can use
+function getTemplateVariables(decision, events) {
+  const findings = (decision.findings || []).map(finding => `- rule \`${finding.rule}\`: ${finding.message}`);
+
+  return {
+    event: events.join(', '),
+    outcome: decision.outcome,
+    reason: decision.reason,
+    repository: decision.repository,
+    environment: decision.environment,
+    workflow: decision.workflowPath,
+    sha: decision.sha ? decision.sha.substring(0, 7) : null,
+    run_url: decision.runUrl,
+    delivery_id: decision.deliveryId,
+    message: decision.message,
+    findings: findings.length > 0 ? `Findings:\n${findings.join('\n')}` : ''
+  };
+}
+
+/**
+ * Signs a webhook body with HMAC-SHA256
+ * @param {string} body - The JSON body
+ * @param {string} secret - The shared secret
+ * @returns {string} sha256=<hex digest>
+ */
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function postJson(fetchImpl, url, body, { headers = {}, timeoutMs }) {
+  // Incoming webhook URLs carry their secret in the path, so only the origin is named
+  const { origin } = new URL(url);
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new Error(error.name === 'TimeoutError' ? `${origin} did not respond within ${timeoutMs}ms` : `${origin} could not be reached: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${origin} responded ${response.status}`);
+  }
+}
+
+/**
+ * Builds nodemailer transport options for an email sink
+ * STARTTLS is required on plain connections unless the sink sets starttls: false
+ * @param {Object} sink - { host, port, secure, starttls, username, password }
+ * @param {number} timeoutMs - How long to wait for the server
+ * @returns {Object} The transport options
+ */
+function getMailTransportOptions(sink, timeoutMs) {
+  return {
+    host: sink.host,
+    port: sink.port || (sink.secure ? 465 : 587),
+    secure: Boolean(sink.secure),
+    requireTLS: !sink.secure && sink.starttls !== false,
+    ignoreTLS: !sink.secure && sink.starttls === false,
+    auth: sink.username ? { user: sink.username, pass: sink.password || '' } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  };
+}
+
+async function sendMail(sink, message, timeoutMs) {
+  const transport = nodemailer.createTransport(getMailTransportOptions(sink, timeoutMs));
+  try {
+    await transport.sendMail(message);
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * Sends decisions to the sinks of the routes they match
+ * Each sink gets a decision once, rendered with the template of the first route that picks it
+ */
+class Notifier {
+  /**
+   * @param {Object} config - Result of parseNotificationConfig
+   * @param {Object} [options] - { logger, fetch, sendMail } to replace the transports, and timeoutMs, how long
+   *   a sink may take
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.logger = options.logger || null;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.sendMail = options.sendMail || sendMail;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Notifies the sinks a decision is routed to; failures are logged, never thrown
+   * @param {Object} decision - { repository, environment, outcome, reason, message, findings, runUrl, workflowPath,
+   *   sha, deliveryId, delivered }
+   * @returns {Promise<Object[]>} { sink, sent, error } for each sink notified
+   */
+  async notify(decision) {
+    const events = getDecisionEvents(decision);
+    const selected = new Map();
+
+    this.config.routes
+      .filter(route => route.events.some(event => events.includes(event)) &&
+        matchesGlob(decision.repository || '', route.repositories, { ignoreCase: true }) &&
+        matchesGlob(decision.environment || '', route.environments))
+      .forEach(route => route.sinks.filter(name => !selected.has(name)).forEach(name => selected.set(name, route)));
+
+    return Promise.all([...selected].map(async ([name, route]) => {
+      const sink = this.config.sinks[name];
+      try {
+        await this.send(sink, renderTemplate(route.template, getTemplateVariables(decision, events)), decision, events);
+        if (this.logger) {
+          this.logger.info('📣 Notification sent', { sink: name, type: sink.type, events });
+        }
+        return { sink: name, sent: true, error: null };
+      } catch (error) {
+        if (this.logger) {
+          this.logger.error('Could not send notification', { sink: name, type: sink.type, error });
+        }
+        return { sink: name, sent: false, error: error.message };
+      }
+    }));
+  }
+
+  async send(sink, text, decision, events) {
+    if (sink.type === 'slack') {
+      await postJson(this.fetch, sink.url, JSON.stringify({ text }), { timeoutMs: this.timeoutMs });
+      return;
+    }
+
+    if (sink.type === 'webhook') {
+      const body = JSON.stringify({
+        events,
+        outcome: decision.outcome,
+        reason: decision.reason || null,
+        repository: decision.repository || null,
+        environment: decision.environment || null,
+        workflowPath: decision.workflowPath || null,
+        sha: decision.sha || null,
+        runUrl: decision.runUrl || null,
+        deliveryId: decision.deliveryId || null,
+        message: decision.message,
+        findings: decision.findings || [],
+        text,
+        timestamp: new Date().toISOString()
+      });
+      await postJson(this.fetch, sink.url, body, {
+        headers: sink.secret ? { [SIGNATURE_HEADER]: signPayload(body, sink.secret) } : {},
+        timeoutMs: this.timeoutMs
+      });
+      return;
+    }
+
+    await this.sendMail(sink, {
+      from: sink.from,
+      to: sink.to,
+      subject: renderTemplate(sink.subject || DEFAULT_SUBJECT, getTemplateVariables(decision, events)),
+      text
+    }, this.timeoutMs);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  SIGNATURE_HEADER,
+  DEFAULT_TEMPLATE,
+  parseNotificationConfig,
+  loadNotificationConfig,
+  getDecisionEvents,
+  renderTemplate,
+  signPayload,
+  getMailTransportOptions,
+  Notifier
+};
@@ -0,0 +1,74 @@
+// Scopes of the GITHUB_TOKEN that a permissions block can set
+const PERMISSION_SCOPES = [
+  'actions',
+  'attestations',
+  'checks',
+  'contents',
+  'deployments',
+  'discussions',
+  'id-token',
+  'issues',
+  'models',
+  'packages',
+  'pages',
+  'pull-requests',
+  'repository-projects',
+  'security-events',
+  'statuses'
+];
+
+// From least to most access
+const PERMISSION_LEVELS = ['none', 'read', 'write'];
+
+/**
+ * Expands a permissions block into the access level of every scope
+ * Scopes a mapping does not list get no access, like on GitHub
+ * @param {string|Object} permissions - read-all, write-all, {} or a mapping of scope to read, write or none
+ * @returns {Object|null} Map of scope to level, or null if the block is not valid
+ */
+function normalizePermissions(permissions) {
+  const scopes = {};
+
+  if (permissions === 'read-all' || permissions === 'write-all') {
+    PERMISSION_SCOPES.forEach(scope => {
+      scopes[scope] = permissions === 'read-all' ? 'read' : 'write';
+    });
+    return scopes;
+  }
+
+  if (permissions === null || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return null;
+  }
+
+  PERMISSION_SCOPES.forEach(scope => {
+    scopes[scope] = 'none';
+  });
+  Object.entries(permissions).forEach(([scope, level]) => {
+    scopes[scope] = PERMISSION_LEVELS.includes(level) ? level : 'none';
+  });
+  return scopes;
+}
+
+/**
+ * Lists the scopes granted more access than allowed
+ * @param {Object} scopes - Result of normalizePermissions
+ * @param {Object} allowed - Map of scope to the highest allowed level; unlisted scopes allow none
+ * @returns {Object[]} { scope, level, allowed } for each scope above its allowed level
+ */
+function findExcessPermissions(scopes, allowed) {
+  return Object.entries(scopes)
+    .map(([scope, level]) => ({ scope, level, allowed: allowed[scope] || 'none' }))
+    .filter(({ level, allowed: allowedLevel }) => PERMISSION_LEVELS.indexOf(level) > PERMISSION_LEVELS.indexOf(allowedLevel));
+}
+
+/**
+ * Formats the scopes that grant access
+ * @param {Object} scopes - Result of normalizePermissions
+ * @returns {string} e.g. contents: read, id-token: write; `no access` when nothing is granted
+ */
+function formatPermissions(scopes) {
+  const granted = Object.entries(scopes).filter(([, level]) => level !== 'none');
+  return granted.length > 0 ? granted.map(([scope, level]) => `${scope}: ${level}`).join(', ') : 'no access';
+}
+
+module.exports = { PERMISSION_SCOPES, PERMISSION_LEVELS, normalizePermissions, findExcessPermissions, formatPermissions };
@@ -0,0 +1,887 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { matchesGlob } = require('./glob');
+const { PERMISSION_SCOPES, PERMISSION_LEVELS, findExcessPermissions, formatPermissions } = require('./permissions');
+const { SEVERITIES } = require('./rule-engine');
+const { parseImageReference, isLatest, isAllowedRegistry } = require('./docker-images');
+const { matchesReference } = require('./action-references');
+const { mayBeSelfHosted, mayBeLarger, hasLabel } = require('./runners');
+const { validateExemptions, formatExemption, formatExpiry } = require('./exemptions');
+
+// Location of the per-repository policy file
+const POLICY_PATH = '.github/action-checker.yml';
+
+const SUPPORTED_VERSIONS = [1];
+
+// Settings that may appear under `defaults` or an entry of `environments`
+// Array types list the allowed values of a string setting
+const RULE_SCHEMA = {
+  scope: ['workflow', 'environment'],
+  on_error: ['reject', 'approve', 'pending'],
+  ignore_workflows: 'string[]',
+  local_actions: {
+    allowed: 'boolean',
+    paths: 'string[]'
+  },
+  allowed_owners: 'string[]',
+  actions: {
+    allowed: 'string[]',
+    denied: 'string[]'
+  },
+  reusable_workflows: {
+    allowed: 'boolean',
+    allow_unresolved: 'boolean'
+  },
+  composite_actions: {
+    require_resolved: 'boolean'
+  },
+  pinning: {
+    required: 'boolean',
+    exempt_owners: 'string[]'
+  },
+  script_injection: {
+    allowed: 'boolean'
+  },
+  docker_images: {
+    require_digest: 'boolean',
+    allowed_registries: 'string[]',
+    allow_latest: 'boolean'
+  },
+  permissions: {
+    required: 'boolean',
+    allow_write_all: 'boolean',
+    allowed: Object.fromEntries(PERMISSION_SCOPES.map(scope => [scope, PERMISSION_LEVELS]))
+  },
+  runners: {
+    allow_self_hosted: 'boolean',
+    allow_self_hosted_in_public: 'boolean',
+    allow_larger: 'boolean',
+    allowed_groups: 'string[]',
+    allowed_labels: 'string[]',
+    denied_labels: 'string[]'
+  },
+  // Keyed by the id of a built-in or custom analyzer rule
+  rules: {
+    '*': {
+      enabled: 'boolean',
+      severity: SEVERITIES
+    }
+  }
+};
+
+// Rules that apply even when a policy does not mention them
+const BUILT_IN_RULES = {
+  reusable_workflows: { allow_unresolved: false },
+  on_error: 'reject',
+  // Workflows approved without analysis; dynamic workflows are always skipped, see isDynamicWorkflow
+  ignore_workflows: [],
+  // Public repositories never run on self-hosted runners unless a policy allows it
+  runners: {},
+  // Analyzer rule findings keep the severity of their rule
+  rules: {}
+};
+
+// Start of the comment for each on_error setting
+const ON_ERROR_DECISIONS = {
+  reject: 'Deployment rejected',
+  approve: 'Deployment approved without analysis',
+  pending: 'Deployment left pending for manual review'
+};
+
+const POLICY_SCHEMA = {
+  version: 'number',
+  defaults: RULE_SCHEMA,
+  environments: { '*': RULE_SCHEMA }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(type, value) {
+  if (Array.isArray(type)) {
+    return type.includes(value);
+  }
+
+  switch (type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    default:
+      return false;
+  }
+}
+
+function validateAgainst(schema, value, path, errors) {
+  if (Array.isArray(schema)) {
+    if (!matchesType(schema, value)) {
+      errors.push(`${path} must be one of: ${schema.join(', ')}`);
+    }
+    return;
+  }
+
+  if (typeof schema === 'string') {
+    if (!matchesType(schema, value)) {
+      errors.push(`${path} must be of type ${schema}`);
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push(`${path} must be a mapping`);
+    return;
+  }
+
+  Object.entries(value).forEach(([key, child]) => {
+    const childSchema = schema[key] || schema['*'];
+    const childPath = path ? `${path}.${key}` : key;
+
+    if (!childSchema) {
+      errors.push(`${childPath} is not a recognized setting`);
+      return;
+    }
+
+    validateAgainst(childSchema, child, childPath, errors);
+  });
+}
+
+/**
+ * Validates a parsed policy document against the policy schema
+ * @param {Object} config - The parsed policy document
+ * @returns {string[]} List of validation errors, empty when valid
+ */
+function validatePolicy(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['policy must be a mapping'];
+  }
+
+  // Exemptions are a list, which the schema cannot describe
+  const { exemptions, ...settings } = config;
+  validateAgainst(POLICY_SCHEMA, settings, '', errors);
+  if (exemptions !== undefined) {
+    errors.push(...validateExemptions(exemptions, 'exemptions'));
+  }
+
+  if (config.version === undefined) {
+    errors.push('version is required');
+  } else if (!SUPPORTED_VERSIONS.includes(config.version)) {
+    errors.push(`version ${config.version} is not supported (expected one of: ${SUPPORTED_VERSIONS.join(', ')})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parses and validates policy YAML content
+ * @param {string} content - The YAML content of the policy file
+ * @param {Object} source - Where the policy came from ({ type, path, repository, ref })
+ * @returns {Object} Result with policy (or null) and errors array
+ */
+function parsePolicy(content, source) {
+  let config;
+
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    return { policy: null, errors: [`invalid YAML: ${error.message}`] };
+  }
+
+  const errors = validatePolicy(config);
+  if (errors.length > 0) {
+    return { policy: null, errors };
+  }
+
+  return {
+    policy: {
+      source,
+      version: config.version,
+      defaults: config.defaults || {},
+      environments: config.environments || {},
+      exemptions: (config.exemptions || []).map(exemption => ({ ...exemption, source: source.path }))
+    },
+    errors: []
+  };
+}
+
+/**
+ * Builds the server default policy
+ * Uses DEFAULT_POLICY_FILE when set, otherwise derives it from ALLOW_LOCAL_ACTIONS
+ * @param {Object} [env] - Environment variables to read from
+ * @returns {Object} The server default policy
+ * @throws {Error} If DEFAULT_POLICY_FILE cannot be read or is invalid
+ */
+function loadServerPolicy(env = process.env) {
+  if (env.DEFAULT_POLICY_FILE) {
+    const content = fs.readFileSync(env.DEFAULT_POLICY_FILE, 'utf8');
+    const { policy, errors } = parsePolicy(content, { type: 'server', path: env.DEFAULT_POLICY_FILE });
+
+    if (!policy) {
+      throw new Error(`Invalid default policy ${env.DEFAULT_POLICY_FILE}: ${errors.join('; ')}`);
+    }
+    return policy;
+  }
+
+  return {
+    source: { type: 'server', path: null },
+    version: 1,
+    defaults: {
+      local_actions: { allowed: env.ALLOW_LOCAL_ACTIONS === 'true' }
+    },
+    environments: {},
+    exemptions: []
+  };
+}
+
+/**
+ * Describes where a policy came from, for use in logs and comments
+ * @param {Object} policy - The policy
+ * @returns {string} Human readable policy source
+ */
+function describePolicySource(policy) {
+  const source = policy.source || {};
+
+  if (source.type === 'repository') {
+    const location = [source.repository, source.ref && source.ref.substring(0, 7)].filter(Boolean).join('@');
+    return location ? `${source.path} (${location})` : source.path;
+  }
+
+  return source.path ? `server default policy (${source.path})` : 'server default policy';
+}
+
+/**
+ * Finds the policy entry that applies to an environment
+ * Exact names win over glob patterns such as `release-*`
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name
+ * @returns {string|null} The matching key of policy.environments
+ */
+function findEnvironmentKey(policy, environment) {
+  if (!environment) {
+    return null;
+  }
+
+  const keys = Object.keys(policy.environments);
+  if (keys.includes(environment)) {
+    return environment;
+  }
+
+  return keys.find(key => matchesGlob(environment, key)) || null;
+}
+
+/**
+ * Resolves the effective rules for an environment
+ * Environment settings override the defaults one rule at a time
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name
+ * @returns {Object} Map of rule name to { setting, path }
+ */
+function resolveRules(policy, environment) {
+  const rules = {};
+
+  Object.entries(BUILT_IN_RULES).forEach(([name, setting]) => {
+    rules[name] = { setting, path: `built-in.${name}` };
+  });
+
+  Object.entries(policy.defaults).forEach(([name, setting]) => {
+    rules[name] = { setting, path: `defaults.${name}` };
+  });
+
+  const environmentKey = findEnvironmentKey(policy, environment);
+  if (environmentKey) {
+    Object.entries(policy.environments[environmentKey]).forEach(([name, setting]) => {
+      rules[name] = { setting, path: `environments.${environmentKey}.${name}` };
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Gets which jobs a policy evaluates for an environment
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name
+ * @returns {string} 'environment' to only evaluate jobs deploying to it, otherwise 'workflow'
+ */
+function getAnalysisScope(policy, environment) {
+  const rule = resolveRules(policy, environment).scope;
+  return rule ? rule.setting : 'workflow';
+}
+
+/**
+ * Gets what happens to a deployment when its workflow cannot be fetched, parsed or analyzed
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name
+ * @returns {Object} { onError: 'reject' | 'approve' | 'pending', rule } where rule is the path of the setting
+ */
+function getErrorHandling(policy, environment) {
+  const { setting, path } = resolveRules(policy, environment).on_error;
+  return { onError: setting, rule: path };
+}
+
+/**
+ * Checks whether a workflow is one GitHub runs on its own, such as CodeQL, Dependabot, Pages and Copilot
+ * Apps cannot approve or reject deployments of these workflows, so they are skipped without a decision
+ * @param {string} workflowPath - Path of the workflow run, e.g. dynamic/pages/pages-build-deployment
+ * @returns {boolean} True for dynamic workflows
+ */
+function isDynamicWorkflow(workflowPath) {
+  return typeof workflowPath === 'string' && workflowPath.startsWith('dynamic/');
+}
+
+/**
+ * Finds the ignore pattern a workflow matches, if any
+ * Deployments from ignored workflows are approved without being analyzed; dynamic workflows never match,
+ * as they are skipped before
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name
+ * @param {string} workflowPath - Path of the workflow run, e.g. .github/workflows/docs.yml
+ * @returns {Object|null} { pattern, rule } or null if the workflow is not ignored
+ */
+function findIgnorePattern(policy, environment, workflowPath) {
+  if (isDynamicWorkflow(workflowPath)) {
+    return null;
+  }
+
+  const { setting, path } = resolveRules(policy, environment).ignore_workflows;
+  const pattern = setting.find(item => matchesGlob(workflowPath, item));
+  return pattern ? { pattern, rule: path } : null;
+}
+
+function normalizeLocalPath(actionPath) {
+  return actionPath === '.' ? '' : actionPath.replace(/^\.\/+/, '');
+}
+
+function getActionOwner(actionPath) {
+  return actionPath.split('/')[0].split('@')[0];
+}
+
+// Names the reusable workflows an action was reached through, if any
+function describeAction(action) {
+  const via = (action.callChain || []).slice(1);
+  return via.length > 0 ? `${action.path} (via ${via.join(' -> ')})` : action.path;
+}
+
+function listActions(actions) {
+  return [...new Set(actions.map(describeAction))].join(', ');
+}
+
+// Where an action breakdown entry or dependency is defined
+function toLocation(entry) {
+  const location = entry.location || {};
+
+  return {
+    file: entry.file || null,
+    line: location.line || null,
+    column: location.column || null,
+    yamlPath: location.yamlPath || null
+  };
+}
+
+/**
+ * Creates a violation for the actions or dependencies that broke a rule
+ * @param {string} message - What is wrong
+ * @param {Object[]} entries - Action breakdown entries or dependencies
+ * @returns {Object} { message, actions, locations }
+ */
+function createViolation(message, entries) {
+  return {
+    message,
+    actions: entries.map(entry => entry.path || entry.uses),
+    locations: entries.map(toLocation)
+  };
+}
+
+/**
+ * Formats where a finding is, linking to the file on GitHub when the repository and commit are known
+ * @param {Object} location - A violation location ({ file, line, column, yamlPath })
+ * @param {Object} [context] - The analyzed repository: { repository: 'owner/repo', ref, serverUrl }
+ * @returns {string} e.g. [.github/workflows/deploy.yml:12](https://github.com/o/r/blob/<sha>/.github/workflows/deploy.yml#L12)
+ */
+function formatLocation(location, context = {}) {
+  const file = location.file || {};
+  const remote = Boolean(file.owner);
+  const repository = remote ? `${file.owner}/${file.repo}` : context.repository;
+  const ref = remote ? file.ref : context.ref;
+  const filePath = file.path || 'workflow';
+  const label = `${remote ? `${repository}/` : ''}${filePath}${location.line ? `:${location.line}` : ''}`;
+
+  if (!repository || !ref || !file.path) {
+    return label;
+  }
+
+  const url = `${context.serverUrl || 'https://github.com'}/${repository}/blob/${ref}/${file.path}${location.line ? `#L${location.line}` : ''}`;
+  return `[${label}](${url})`;
+}
+
+/**
+ * Finds remote actions and reusable workflows that are not pinned to a full commit SHA
+ * @param {Object} details - Result of WorkflowAnalyzer#getActionDetails or #analyzeWorkflowTree
+ * @param {string[]} [exemptOwners] - Owners (glob patterns) that do not need to pin
+ * @returns {Object[]} The unpinned entries of the action breakdown
+ */
+function findUnpinnedActions(details, exemptOwners = []) {
+  const breakdown = details.actionBreakdown;
+
+  return [...breakdown.external, ...(breakdown.reusableWorkflows || [])]
+    .filter(action => action.refType && action.refType !== 'sha')
+    .filter(action => !matchesGlob(getActionOwner(action.path), exemptOwners, { ignoreCase: true }));
+}
+
+/**
+ * Applies the rules setting of a policy to the findings of the analyzer's rule engine
+ * @param {Object} setting - Map of rule id to { enabled, severity }
+ * @param {Object} details - Result of WorkflowAnalyzer#getActionDetails or #analyzeWorkflowTree
+ * @returns {Object[]} The findings of enabled rules, with their severity overridden where configured
+ */
+function applyRuleSettings(setting, details) {
+  return (details.actionBreakdown.findings || [])
+    .filter(finding => !setting[finding.ruleId] || setting[finding.ruleId].enabled !== false)
+    .map(finding => {
+      const override = setting[finding.ruleId] && setting[finding.ruleId].severity;
+      return override ? { ...finding, severity: override } : finding;
+    });
+}
+
+/**
+ * Lists the container images a workflow runs: docker:// steps, job containers, service containers
+ * and the images of docker actions
+ * @param {Object} details - Result of WorkflowAnalyzer#getActionDetails or #analyzeWorkflowTree
+ * @returns {Object[]} Action breakdown entries, each with the parsed reference (null if it cannot be parsed)
+ */
+function findContainerImages(details) {
+  const breakdown = details.actionBreakdown;
+
+  return [...breakdown.docker, ...(breakdown.containerImages || [])]
+    .map(entry => ({ ...entry, reference: parseImageReference(entry.path) }));
+}
+
+// e.g. redis:7 (service redis of build)
+function describeImage(image) {
+  const role = { service: `service ${image.service}`, container: 'container', action: 'action' }[image.kind] || 'step';
+  return describeAction({ ...image, path: `${image.path} (${role} of ${image.jobName})` });
+}
+
+// e.g. [self-hosted, linux] (runner of deploy)
+function describeRunnerEntry(runner) {
+  return describeAction({ ...runner, path: `${runner.path} (runner of ${runner.jobName})` });
+}
+
+/**
+ * Gets the visibility of a repository from a webhook payload
+ * @param {Object} [repository] - The repository of the payload
+ * @returns {string|null} public, private or internal, or null if the payload does not say
+ */
+function getRepositoryVisibility(repository) {
+  if (!repository) {
+    return null;
+  }
+  if (repository.visibility) {
+    return repository.visibility;
+  }
+  return typeof repository.private === 'boolean' ? (repository.private ? 'private' : 'public') : null;
+}
+
+// Each check returns the violations for one rule given its setting, the action details, the rule path
+// and the repository being deployed ({ visibility })
+const RULE_CHECKS = {
+  local_actions(setting, details) {
+    const localActions = details.actionBreakdown.local;
+
+    if (setting.allowed === false) {
+      return localActions.length > 0
+        ? [createViolation(`local actions are not allowed: ${listActions(localActions)}`, localActions)]
+        : [];
+    }
+
+    if (setting.paths) {
+      const patterns = setting.paths.map(normalizeLocalPath);
+      const outside = localActions.filter(action => !matchesGlob(normalizeLocalPath(action.path), patterns));
+
+      return outside.length > 0
+        ? [createViolation(`local actions outside ${setting.paths.join(', ')}: ${listActions(outside)}`, outside)]
+        : [];
+    }
+
+    return [];
+  },
+
+  allowed_owners(setting, details) {
+    const remoteWorkflows = (details.actionBreakdown.reusableWorkflows || [])
+      .filter(call => !call.path.startsWith('./'));
+    const disallowed = [...details.actionBreakdown.external, ...(details.actionBreakdown.invalid || []), ...remoteWorkflows]
+      .filter(action => !matchesGlob(getActionOwner(action.path), setting, { ignoreCase: true }));
+
+    return disallowed.length > 0
+      ? [createViolation(`actions from owners outside the allowlist (${setting.join(', ')}): ${listActions(disallowed)}`, disallowed)]
+      : [];
+  },
+
+  // Denied actions are reported even when an allowed pattern matches them too
+  actions(setting, details) {
+    const violations = [];
+    const breakdown = details.actionBreakdown;
+    const remote = [
+      ...breakdown.external,
+      ...(breakdown.invalid || []),
+      ...(breakdown.reusableWorkflows || []).filter(call => !(call.reference && call.reference.local))
+    ];
+
+    const denied = setting.denied ? remote.filter(action => matchesReference(action.reference, setting.denied)) : [];
+    if (denied.length > 0) {
+      violations.push(createViolation(`actions on the denylist (${setting.denied.join(', ')}): ${listActions(denied)}`, denied));
+    }
+
+    if (setting.allowed) {
+      const outside = remote.filter(action => !denied.includes(action) && !matchesReference(action.reference, setting.allowed));
+      if (outside.length > 0) {
+        violations.push(createViolation(`actions outside the allowlist (${setting.allowed.join(', ')}): ${listActions(outside)}`, outside));
+      }
+    }
+
+    return violations;
+  },
+
+  reusable_workflows(setting, details) {
+    const violations = [];
+    const calls = details.actionBreakdown.reusableWorkflows || [];
+
+    if (setting.allowed === false && calls.length > 0) {
+      violations.push(createViolation(`reusable workflows are not allowed: ${listActions(calls)}`, calls));
+    }
+
+    const unresolved = (details.calledWorkflows || []).filter(call => !call.resolved);
+    if (!setting.allow_unresolved && unresolved.length > 0) {
+      violations.push(createViolation(
+        `called workflows could not be analyzed: ${unresolved.map(call => `${call.callChain.slice(1).join(' -> ')} (${call.error})`).join(', ')}`,
+        unresolved
+      ));
+    }
+
+    return violations;
+  },
+
+  pinning(setting, details) {
+    if (!setting.required) {
+      return [];
+    }
+
+    const unpinned = findUnpinnedActions(details, setting.exempt_owners);
+
+    return unpinned.length > 0
+      ? [createViolation(
+        `actions not pinned to a full commit SHA: ${[...new Set(unpinned.map(action => `${describeAction(action)} [${action.refType}]`))].join(', ')}`,
+        unpinned
+      )]
+      : [];
+  },
+
+  script_injection(setting, details) {
+    const injections = details.actionBreakdown.scriptInjections || [];
+
+    return setting.allowed === false && injections.length > 0
+      ? [createViolation(
+        `untrusted input interpolated into scripts: ${[...new Set(injections.map(
+          injection => `${injection.context} in ${describeAction({ path: injection.location.yamlPath, callChain: injection.callChain })}`
+        ))].join(', ')}`,
+        injections
+      )]
+      : [];
+  },
+
+  docker_images(setting, details) {
+    const violations = [];
+    const images = findContainerImages(details);
+    const report = (message, matching) => {
+      if (matching.length > 0) {
+        violations.push(createViolation(`${message}: ${[...new Set(matching.map(describeImage))].join(', ')}`, matching));
+      }
+    };
+
+    // Expressions such as ${{ matrix.image }} are only known at run time
+    if (setting.require_digest || setting.allowed_registries || setting.allow_latest === false) {
+      report('images that cannot be checked', images.filter(image => !image.reference));
+    }
+
+    const parsed = images.filter(image => image.reference);
+    if (setting.require_digest) {
+      report('images not pinned by digest', parsed.filter(image => !image.reference.digest));
+    }
+    if (setting.allowed_registries) {
+      report(
+        `images from registries outside the allowlist (${setting.allowed_registries.join(', ')})`,
+        parsed.filter(image => !isAllowedRegistry(image.reference, setting.allowed_registries))
+      );
+    }
+    if (setting.allow_latest === false) {
+      report('images using the latest tag', parsed.filter(image => isLatest(image.reference)));
+    }
+
+    return violations;
+  },
+
+  permissions(setting, details) {
+    const violations = [];
+    // Job results belong to the analyzed workflow itself
+    const file = details.dependencyTree ? details.dependencyTree.resolvedFile : null;
+    const jobs = details.jobs.filter(job => job.inScope !== false && job.permissions);
+    const toEntry = job => ({ path: job.name, location: job.permissions.location, file });
+
+    // Without a block the token's access depends on repository settings, so an allowed set cannot be checked
+    const missing = jobs.filter(job => job.permissions.source === 'default');
+    if ((setting.required || setting.allowed) && missing.length > 0) {
+      violations.push(createViolation(
+        `jobs without a permissions block get the default GITHUB_TOKEN permissions: ${missing.map(job => job.name).join(', ')}`,
+        missing.map(toEntry)
+      ));
+    }
+
+    const writeAll = jobs.filter(job => job.permissions.declared === 'write-all');
+    if (setting.allow_write_all === false && writeAll.length > 0) {
+      violations.push(createViolation(
+        `jobs with permissions: write-all: ${writeAll.map(job => job.name).join(', ')}`,
+        writeAll.map(toEntry)
+      ));
+    }
+
+    if (setting.allowed) {
+      const excess = jobs
+        .filter(job => job.permissions.scopes && !(setting.allow_write_all === false && writeAll.includes(job)))
+        .map(job => ({ job, scopes: findExcessPermissions(job.permissions.scopes, setting.allowed) }))
+        .filter(({ scopes }) => scopes.length > 0);
+
+      if (excess.length > 0) {
+        const describeExcess = ({ job, scopes }) => `${job.name} has ${scopes.map(({ scope, level }) => `${scope}: ${level}`).join(', ')}`;
+        violations.push(createViolation(
+          `permissions broader than allowed (${formatPermissions(setting.allowed)}): ${excess.map(describeExcess).join('; ')}`,
+          excess.map(({ job }) => toEntry(job))
+        ));
+      }
+    }
+
+    return violations;
+  },
+
+  // Fork pull requests can run code on the runners of public repositories, so self-hosted runners are
+  // only allowed there when allow_self_hosted_in_public says so
+  runners(setting, details, path, repository = {}) {
+    const violations = [];
+    const runners = details.actionBreakdown.runners || [];
+    const report = (message, matching) => {
+      if (matching.length > 0) {
+        violations.push(createViolation(`${message}: ${[...new Set(matching.map(describeRunnerEntry))].join(', ')}`, matching));
+      }
+    };
+
+    // Expressions such as ${{ inputs.runner }} are only known at run time
+    const unknown = runners.filter(runner => runner.type === 'unknown');
+    const checksUnknown = setting.allow_self_hosted === false || setting.allow_larger === false ||
+      Boolean(setting.allowed_groups || setting.allowed_labels || setting.denied_labels);
+    if (checksUnknown) {
+      report('runners that cannot be checked', unknown);
+    }
+
+    const resolved = runners.filter(runner => runner.type !== 'unknown');
+    if (setting.allow_self_hosted === false) {
+      report('runners that may be self-hosted', resolved.filter(mayBeSelfHosted));
+    } else if (repository.visibility === 'public' && setting.allow_self_hosted_in_public !== true) {
+      // An expression may pick a self-hosted runner, unless it is already reported as one that cannot be checked
+      report('runners that may be self-hosted in a public repository', [
+        ...resolved.filter(mayBeSelfHosted),
+        ...(checksUnknown ? [] : unknown)
+      ]);
+    }
+    if (setting.allow_larger === false) {
+      report('runners that may be larger runners', resolved.filter(mayBeLarger));
+    }
+    if (setting.allowed_groups) {
+      report(
+        `runners outside the allowed groups (${setting.allowed_groups.join(', ')})`,
+        resolved.filter(runner => !runner.group || !matchesGlob(runner.group, setting.allowed_groups, { ignoreCase: true }))
+      );
+    }
+    if (setting.denied_labels) {
+      report(`runners with denied labels (${setting.denied_labels.join(', ')})`, resolved.filter(runner => hasLabel(runner, setting.denied_labels)));
+    }
+    if (setting.allowed_labels) {
+      report(
+        `runners with labels outside the allowlist (${setting.allowed_labels.join(', ')})`,
+        resolved.filter(runner => runner.labels.some(label => !matchesGlob(label, setting.allowed_labels, { ignoreCase: true })))
+      );
+    }
+
+    return violations;
+  },
+
+  // One violation per analyzer rule with error findings, named after the rule
+  rules(setting, details, path) {
+    const errors = applyRuleSettings(setting, details).filter(finding => finding.severity === 'error');
+    const ruleIds = [...new Set(errors.map(finding => finding.ruleId))];
+
+    return ruleIds.map(ruleId => {
+      const findings = errors.filter(finding => finding.ruleId === ruleId);
+      const messages = [...new Set(findings.map(finding => describeAction({ ...finding, path: finding.message })))];
+
+      return {
+        rule: setting[ruleId] ? `${path}.${ruleId}` : `rules.${ruleId}`,
+        ...createViolation(messages.join(', '), findings)
+      };
+    });
+  },
+
+  composite_actions(setting, details) {
+    const unresolved = (details.calledActions || []).filter(action => !action.resolved);
+
+    return setting.require_resolved && unresolved.length > 0
+      ? [createViolation(
+        `action metadata could not be analyzed: ${unresolved.map(action => `${describeAction({ path: action.uses, callChain: action.callChain.slice(0, -1) })} (${action.error})`).join(', ')}`,
+        unresolved
+      )]
+      : [];
+  }
+};
+
+/**
+ * Evaluates a policy for an environment against the actions used in a workflow
+ * @param {Object} policy - The policy
+ * @param {string} environment - The environment name being deployed to
+ * @param {Object} details - Result of WorkflowAnalyzer#getActionDetails
+ * @param {Object} [repository] - The repository being deployed: { visibility }, see getRepositoryVisibility
+ * @returns {Object} Evaluation with approved flag, violations, the findings of enabled analyzer rules and the policy source
+ */
+function evaluatePolicy(policy, environment, details, repository = {}) {
+  const rules = resolveRules(policy, environment);
+  const violations = [];
+
+  Object.entries(rules).forEach(([name, { setting, path }]) => {
+    const check = RULE_CHECKS[name];
+    if (!check) {
+      return;
+    }
+
+    check(setting, details, path, repository).forEach(violation => {
+      violations.push({ rule: path, ...violation });
+    });
+  });
+
+  return {
+    approved: violations.length === 0,
+    violations,
+    findings: applyRuleSettings(rules.rules.setting, details),
+    environment,
+    policySource: describePolicySource(policy)
+  };
+}
+
+// Longer lists of locations are summarized to keep the comment readable
+const MAX_LOCATIONS_PER_VIOLATION = 5;
+
+function formatViolationLocations(violation, context) {
+  const locations = [...new Set((violation.locations || []).map(location => formatLocation(location, context)))];
+  if (locations.length === 0) {
+    return '';
+  }
+
+  const shown = locations.slice(0, MAX_LOCATIONS_PER_VIOLATION);
+  const more = locations.length - shown.length;
+  return ` (at ${shown.join(', ')}${more > 0 ? ` and ${more} more` : ''})`;
+}
+
+// e.g. ` [runners: build on ubuntu-latest, deploy on group production]`
+function formatRunners(details) {
+  const runners = (details.actionBreakdown && details.actionBreakdown.runners) || [];
+  if (runners.length === 0) {
+    return '';
+  }
+
+  const jobs = [...new Set(runners.map(runner => describeAction({ ...runner, path: `${runner.jobName} on ${runner.path}` })))];
+  return ` [runners: ${jobs.join(', ')}]`;
+}
+
+/**
+ * Builds the comment sent back to GitHub for a policy decision
+ * @param {Object} evaluation - Result of evaluatePolicy
+ * @param {Object} details - Result of WorkflowAnalyzer#getActionDetails
+ * @param {Object} [context] - Repository, commit and server URL used to link to findings
+ * @returns {string} The approval or rejection comment
+ */
+function formatDecision(evaluation, details, context) {
+  const scope = details.scope
+    ? ` (analyzed jobs deploying to ${details.scope.environment}: ${details.scope.jobs.join(', ')})`
+    : '';
+  // The runners and scope of the analysis close every comment
+  const analyzed = `${formatRunners(details)}${scope}`;
+
+  // Expired exemptions are named so their owners know why a deployment is rejected again
+  const expired = (evaluation.expiredExemptions || []).length > 0
+    ? `; expired exemptions not applied: ${evaluation.expiredExemptions.map(exemption => `\`${exemption.id}\` (expired ${formatExpiry(exemption)})`).join(', ')}`
+    : '';
+  const describeViolation = violation => `rule \`${violation.rule}\` of ${evaluation.policySource}: ${violation.message}`;
+
+  if (!evaluation.approved) {
+    const reasons = evaluation.violations.map(violation => `${describeViolation(violation)}${formatViolationLocations(violation, context)}`);
+    return `Deployment rejected: ${reasons.join('; ')}${expired}${analyzed}`;
+  }
+
+  if ((evaluation.exempted || []).length > 0) {
+    const exempted = evaluation.exempted.map(({ violation, exemption }) => `${describeViolation(violation)}, exempted by ${formatExemption(exemption)}`);
+    return `Deployment approved with exemptions: ${exempted.join('; ')}${expired}${analyzed}`;
+  }
+
+  if (details.hasLocalActions) {
+    return `Deployment approved despite local actions: ${details.localActions.join(', ')} (allowed by ${evaluation.policySource})${expired}${analyzed}`;
+  }
+
+  return `Deployment approved: No local actions detected${expired}${analyzed}`;
+}
+
+/**
+ * Builds the comment for a deployment whose workflow could not be analyzed
+ * @param {Object} policy - The policy
+ * @param {Object} errorHandling - Result of getErrorHandling
+ * @param {string} problem - What went wrong, e.g. Could not fetch workflow file .github/workflows/deploy.yml
+ * @returns {string} The comment, naming the on_error rule that decided the outcome
+ */
+function formatErrorDecision(policy, errorHandling, problem) {
+  return `${ON_ERROR_DECISIONS[errorHandling.onError]}: ${problem} (rule \`${errorHandling.rule}\` of ${describePolicySource(policy)})`;
+}
+
+/**
+ * Builds the comment for a deployment from an ignored workflow
+ * @param {Object} policy - The policy
+ * @param {string} workflowPath - Path of the workflow run
+ * @param {Object} ignored - Result of findIgnorePattern
+ * @returns {string} The approval comment
+ */
+function formatIgnoredDecision(policy, workflowPath, ignored) {
+  return `Deployment approved: workflow ${workflowPath} matches \`${ignored.pattern}\` in rule \`${ignored.rule}\` of ${describePolicySource(policy)} and was not analyzed`;
+}
+
+module.exports = {
+  POLICY_PATH,
+  validatePolicy,
+  parsePolicy,
+  loadServerPolicy,
+  describePolicySource,
+  resolveRules,
+  getAnalysisScope,
+  getErrorHandling,
+  isDynamicWorkflow,
+  findIgnorePattern,
+  findUnpinnedActions,
+  findContainerImages,
+  getRepositoryVisibility,
+  applyRuleSettings,
+  createViolation,
+  evaluatePolicy,
+  formatLocation,
+  formatDecision,
+  formatErrorDecision,
+  formatIgnoredDecision
+};
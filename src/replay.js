@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('./app');
+const { AuditLog } = require('./audit-log');
+const { MockGitHub } = require('./mock-github');
+
+// The only event replays handle; the handler ignores other actions
+const REPLAY_EVENT = 'deployment_protection_rule';
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+/**
+ * Checks that a payload is a deployment protection rule request the handler can replay
+ * @param {Object} payload - The recorded webhook payload
+ * @returns {string[]} Problems with the payload, empty when it can be replayed
+ */
+function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['payload must be a JSON object'];
+  }
+
+  const errors = [];
+  if (payload.action !== 'requested') {
+    errors.push(`action must be requested, not ${payload.action === undefined ? 'missing' : payload.action}`);
+  }
+  if (!payload.repository || typeof payload.repository.full_name !== 'string') {
+    errors.push('repository.full_name is required');
+  }
+  if (typeof payload.environment !== 'string') {
+    errors.push('environment is required');
+  }
+  return errors;
+}
+
+/**
+ * Replays a recorded deployment_protection_rule webhook through the real handler against a stand-in of the
+ * GitHub REST API, without contacting GitHub
+ * The payload is signed and posted to the app like a delivery from GitHub, and the replay waits for the
+ * handler to finish. Nothing is sent to notification sinks and the audit log is a temporary file.
+ * @param {Object} payload - The recorded webhook payload
+ * @param {Object} fixtures - Result of loadFixtures
+ * @param {Object} options - { serverPolicy, rules, exemptionsFile, deliveryId, logger }
+ * @returns {Promise<Object>} { decision, calls, requests, unmatched } where decision is the audit entry
+ *   (null if the handler made none), calls the approve/reject calls it made and requests every API request
+ * @throws {Error} If the payload cannot be replayed
+ */
+async function replayDelivery(payload, fixtures, options) {
+  const errors = validatePayload(payload);
+  if (errors.length > 0) {
+    throw new Error(`Cannot replay payload: ${errors.join('; ')}`);
+  }
+
+  const github = new MockGitHub(fixtures, { repository: payload.repository.full_name });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  const auditLog = new AuditLog(path.join(directory, 'audit-log.jsonl'));
+  // A throwaway key, so the app authenticates to the stand-in the way it does to GitHub
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const webhookSecret = crypto.randomBytes(16).toString('hex');
+  let server = null;
+
+  try {
+    const { app, webhookQueue } = createApp({
+      appId: String(payload.installation?.app_id || 1),
+      privateKey,
+      webhookSecret,
+      githubApiUrl: await github.start(),
+      serverPolicy: options.serverPolicy,
+      rules: options.rules,
+      auditLog,
+      exemptionsFile: options.exemptionsFile,
+      callbackRetries: 0,
+      logger: options.logger
+    });
+    server = await listen(app);
+
+    const body = JSON.stringify(payload);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': REPLAY_EVENT,
+        'X-GitHub-Delivery': options.deliveryId || `replay-${crypto.randomUUID()}`,
+        'X-Hub-Signature-256': signPayload(body, webhookSecret)
+      },
+      body
+    });
+    if (response.status !== 202) {
+      throw new Error(`App responded ${response.status} ${await response.text()}`);
+    }
+    await webhookQueue.onIdle();
+
+    const { decisions } = await auditLog.query({});
+    return {
+      decision: decisions[0] || null,
+      calls: github.decisions,
+      requests: github.requests,
+      unmatched: github.unmatched
+    };
+  } finally {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    await github.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = { REPLAY_EVENT, validatePayload, replayDelivery };
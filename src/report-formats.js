@@ -0,0 +1,237 @@
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// Short descriptions of the policy rules, used for SARIF rule metadata
+const RULE_DESCRIPTIONS = {
+  local_actions: 'Local actions are not allowed or are outside the allowed paths',
+  allowed_owners: 'Actions must come from an allowed owner',
+  actions: 'Actions must be on the allowlist and not on the denylist',
+  reusable_workflows: 'Reusable workflows must be allowed and analyzable',
+  pinning: 'Actions must be pinned to a full commit SHA',
+  composite_actions: 'Composite actions must be analyzable',
+  script_injection: 'Scripts must not interpolate untrusted input',
+  docker_images: 'Container images must be pinned by digest, from allowed registries and not latest',
+  permissions: 'GITHUB_TOKEN permissions must be declared and within the allowed scopes',
+  runners: 'Jobs must run on allowed runner groups and labels, and not on self-hosted runners in public repositories',
+  'analysis-error': 'The workflow could not be analyzed'
+};
+
+// Rule paths look like `defaults.pinning` or `environments.production.pinning`; the rule is the last segment
+function getRuleId(rulePath) {
+  const segments = rulePath.split('.');
+  return segments[segments.length - 1];
+}
+
+function getDecision(report) {
+  if (report.error) {
+    return 'error';
+  }
+  return report.violations.length > 0 ? 'rejected' : 'approved';
+}
+
+function summarize(reports) {
+  const count = decision => reports.filter(report => getDecision(report) === decision).length;
+
+  return {
+    total: reports.length,
+    approved: count('approved'),
+    rejected: count('rejected'),
+    errors: count('error')
+  };
+}
+
+/**
+ * Formats CLI reports as JSON: the full analysis of each workflow plus its decision
+ * @param {Object[]} reports - { file, result, evaluation, violations, unpinned, error } per workflow
+ * @param {Object} context - { tool: { name, version }, environment, policySource }
+ * @returns {string} Pretty-printed JSON
+ */
+function formatJson(reports, context) {
+  return JSON.stringify({
+    tool: context.tool,
+    environment: context.environment || null,
+    policySource: context.policySource,
+    summary: summarize(reports),
+    workflows: reports.map(report => ({
+      file: report.file,
+      decision: getDecision(report),
+      error: report.error || null,
+      violations: report.violations || [],
+      findings: report.evaluation ? report.evaluation.findings : [],
+      exemptions: report.evaluation && report.evaluation.exempted
+        ? report.evaluation.exempted.map(({ violation, exemption }) => ({ rule: violation.rule, exemption: exemption.id }))
+        : [],
+      unpinnedActions: (report.unpinned || []).map(action => ({
+        path: action.path,
+        refType: action.refType,
+        jobName: action.jobName,
+        location: action.location,
+        file: action.file
+      })),
+      analysis: report.result || null
+    }))
+  }, null, 2);
+}
+
+// Code scanning only understands files in the analyzed repository
+function toSarifLocation(location) {
+  if (!location.file || location.file.owner || !location.file.path || !location.line) {
+    return null;
+  }
+
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: location.file.path, uriBaseId: '%SRCROOT%' },
+      region: { startLine: location.line, startColumn: location.column || 1 }
+    },
+    logicalLocations: location.yamlPath ? [{ fullyQualifiedName: location.yamlPath }] : undefined
+  };
+}
+
+/**
+ * Formats CLI reports as a SARIF 2.1.0 log for code scanning, one result per violation
+ * Violations without a location in the repository are reported on the workflow file itself
+ * @param {Object[]} reports - { file, workflowPath, violations, error } per workflow
+ * @param {Object} context - { tool: { name, version, informationUri } }
+ * @returns {string} Pretty-printed SARIF JSON
+ */
+function formatSarif(reports, context) {
+  const results = [];
+  const ruleIds = new Set();
+
+  reports.forEach(report => {
+    const workflowLocation = {
+      physicalLocation: {
+        artifactLocation: { uri: report.workflowPath || report.file, uriBaseId: '%SRCROOT%' },
+        region: { startLine: 1, startColumn: 1 }
+      }
+    };
+
+    if (report.error) {
+      ruleIds.add('analysis-error');
+      results.push({
+        ruleId: 'analysis-error',
+        level: 'error',
+        message: { text: report.error },
+        locations: [workflowLocation]
+      });
+      return;
+    }
+
+    report.violations.forEach(violation => {
+      const ruleId = getRuleId(violation.rule);
+      const locations = violation.locations.map(toSarifLocation).filter(Boolean);
+
+      ruleIds.add(ruleId);
+      results.push({
+        ruleId,
+        level: 'error',
+        message: { text: `Rule \`${violation.rule}\`: ${violation.message}` },
+        locations: locations.length > 0 ? locations : [workflowLocation],
+        properties: { rulePath: violation.rule, actions: violation.actions }
+      });
+    });
+  });
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: context.tool.name,
+          version: context.tool.version,
+          informationUri: context.tool.informationUri,
+          rules: [...ruleIds].sort().map(id => ({
+            id,
+            shortDescription: { text: RULE_DESCRIPTIONS[id] || id }
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function describeViolation(violation) {
+  const where = violation.locations
+    .filter(location => location.line)
+    .map(location => `    at ${location.file && location.file.path}:${location.line}${location.column ? `:${location.column}` : ''} (${location.yamlPath})`);
+  return [`Rule ${violation.rule}: ${violation.message}`, ...where].join('\n');
+}
+
+/**
+ * Formats CLI reports as JUnit XML with one test case per workflow
+ * Rejected workflows are failures, workflows that could not be analyzed are errors
+ * @param {Object[]} reports - { file, violations, error } per workflow
+ * @param {Object} context - { tool: { name }, environment }
+ * @returns {string} JUnit XML document
+ */
+function formatJunit(reports, context) {
+  const summary = summarize(reports);
+  const suiteName = `${context.tool.name}.${context.environment || 'defaults'}`;
+
+  const testCases = reports.map(report => {
+    const attributes = `name="${escapeXml(report.file)}" classname="${escapeXml(suiteName)}"`;
+
+    if (report.error) {
+      return `    <testcase ${attributes}>\n` +
+        `      <error message="${escapeXml(report.error)}" type="analysis-error"/>\n` +
+        '    </testcase>';
+    }
+
+    if (report.violations.length === 0) {
+      return `    <testcase ${attributes}/>`;
+    }
+
+    const rules = report.violations.map(violation => violation.rule).join(', ');
+    return `    <testcase ${attributes}>\n` +
+      `      <failure message="${escapeXml(`Deployment would be rejected by ${rules}`)}" type="policy">` +
+      `${escapeXml(report.violations.map(describeViolation).join('\n'))}</failure>\n` +
+      '    </testcase>';
+  });
+
+  const counts = `tests="${summary.total}" failures="${summary.rejected}" errors="${summary.errors}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(context.tool.name)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(suiteName)}" ${counts}>`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  sarif: formatSarif,
+  junit: formatJunit
+};
+
+/**
+ * Formats CLI reports in a machine-readable format
+ * @param {string} format - json, sarif or junit
+ * @param {Object[]} reports - The per-workflow reports
+ * @param {Object} context - Tool and policy information
+ * @returns {string} The formatted output
+ * @throws {Error} If the format is unknown
+ */
+function formatReports(format, reports, context) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown format '${format}' (expected one of: ${REPORT_FORMATS.join(', ')})`);
+  }
+  return formatter(reports, context);
+}
+
+module.exports = { REPORT_FORMATS, formatReports, formatJson, formatSarif, formatJunit };
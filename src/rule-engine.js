@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const localAction = require('./rules/local-action');
+const untrustedCheckout = require('./rules/untrusted-checkout');
+
+// From most to least serious; only error findings reject a deployment
+const SEVERITIES = ['error', 'warning', 'notice'];
+
+// Parts of a workflow a rule can inspect, each a function of the rule
+const HOOKS = ['workflow', 'job', 'step'];
+
+// Rules every analyzer runs, before any custom rules
+const BUILT_IN_RULES = [localAction, untrustedCheckout];
+
+// Rule IDs are used as keys in the policy file
+const RULE_ID = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Checks that a rule module has an id, a valid severity and at least one hook
+ * @param {Object} rule - The rule module
+ * @param {string} source - Where the rule came from, for the error message
+ * @throws {Error} If the rule is not valid
+ */
+function validateRule(rule, source) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid rule ${source}: must export an object`);
+  }
+  if (typeof rule.id !== 'string' || !RULE_ID.test(rule.id)) {
+    throw new Error(`Invalid rule ${source}: id must be letters, digits, - and _`);
+  }
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid rule ${source}: severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (!HOOKS.some(hook => typeof rule[hook] === 'function')) {
+    throw new Error(`Invalid rule ${source}: must define at least one of: ${HOOKS.join(', ')}`);
+  }
+}
+
+/**
+ * Loads the custom rules in a directory, one module per .js file
+ * @param {string} directory - The rules directory
+ * @returns {Object[]} The rule modules, sorted by file name
+ * @throws {Error} If the directory cannot be read or a rule is not valid
+ */
+function loadRules(directory) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => {
+      const filePath = path.resolve(directory, file);
+      let rule;
+      try {
+        rule = require(filePath);
+      } catch (error) {
+        throw new Error(`Could not load rule ${filePath}: ${error.message}`);
+      }
+      validateRule(rule, filePath);
+      return rule;
+    });
+}
+
+/**
+ * Runs rules against the workflow, each job and each step of a workflow or composite action
+ * Findings carry the rule id, a severity, a message and a location
+ */
+class RuleEngine {
+  /**
+   * @param {Object[]} [rules] - Custom rules, run after the built-in ones
+   * @throws {Error} If a rule is not valid or two rules share an id
+   */
+  constructor(rules = []) {
+    this.rules = [];
+    [...BUILT_IN_RULES, ...rules].forEach(rule => {
+      validateRule(rule, rule && rule.id ? `'${rule.id}'` : 'module');
+      if (this.rules.some(existing => existing.id === rule.id)) {
+        throw new Error(`Duplicate rule id '${rule.id}'`);
+      }
+      this.rules.push(rule);
+    });
+  }
+
+  /**
+   * Runs the hook of every rule that has one
+   * @param {string} hook - workflow, job or step
+   * @param {Object} node - The parsed workflow, job or step
+   * @param {Object} context - { workflow, action, jobName, job, stepIndex, yamlPath, location, locations }
+   * @returns {Object[]} { ruleId, severity, message, location } for each finding
+   */
+  check(hook, node, context) {
+    const { locations, ...ruleContext } = context;
+    // Location of a key of the node, e.g. locate('run') for the run script of a step
+    ruleContext.locate = key => {
+      const position = locations.ofValue(node, key);
+      return {
+        line: position ? position.line : null,
+        column: position ? position.column : null,
+        yamlPath: context.yamlPath ? `${context.yamlPath}.${key}` : key
+      };
+    };
+
+    const findings = [];
+    this.rules.filter(rule => typeof rule[hook] === 'function').forEach(rule => {
+      let reported;
+      try {
+        reported = rule[hook](node, ruleContext) || [];
+      } catch (error) {
+        // A broken rule fails closed; a policy can disable it
+        reported = [{ message: `rule failed: ${error.message}`, severity: 'error' }];
+      }
+
+      (Array.isArray(reported) ? reported : [reported]).forEach(finding => {
+        findings.push({
+          ruleId: rule.id,
+          severity: SEVERITIES.includes(finding.severity) ? finding.severity : rule.severity || 'warning',
+          message: String(finding.message),
+          location: finding.location || context.location
+        });
+      });
+    });
+
+    return findings;
+  }
+}
+
+module.exports = { SEVERITIES, BUILT_IN_RULES, validateRule, loadRules, RuleEngine };
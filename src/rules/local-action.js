@@ -0,0 +1,26 @@
+/**
+ * Determines if an action reference is a local action
+ * @param {string} actionRef - The action reference from the uses field
+ * @returns {boolean} True if it's a local action
+ */
+function isLocalAction(actionRef) {
+  if (!actionRef || typeof actionRef !== 'string') {
+    return false;
+  }
+
+  // Local actions start with ./ or just .
+  return actionRef.startsWith('./') || actionRef === '.';
+}
+
+// Steps running an action from the repository itself, which any branch can change
+// Whether they are allowed is up to the local_actions policy rule; the finding is a warning
+module.exports = {
+  id: 'local-action',
+  description: 'Steps should not use actions from the repository itself',
+  severity: 'warning',
+  isLocalAction,
+
+  step(step) {
+    return isLocalAction(step.uses) ? [{ message: `local action ${step.uses}` }] : [];
+  }
+};
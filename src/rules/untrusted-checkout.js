@@ -0,0 +1,91 @@
+const { getPrivilegedTriggers } = require('../triggers');
+const { findExpressions, getContextReferences } = require('../expressions');
+const { parseReference } = require('../action-references');
+const { matchesGlob } = require('../glob');
+const { isLocalAction } = require('./local-action');
+
+// Contexts naming the code of the pull request or triggering run rather than the base branch
+const HEAD_CONTEXTS = [
+  'github.head_ref',
+  'github.event.number',
+  'github.event.pull_request.number',
+  'github.event.pull_request.merge_commit_sha',
+  'github.event.pull_request.head',
+  'github.event.pull_request.head.**',
+  'github.event.workflow_run.head_*',
+  'github.event.workflow_run.head_*.**',
+  'github.event.workflow_run.pull_requests.**'
+];
+
+const GIT_CHECKOUT = /\bgit\s+(?:fetch|pull|checkout|switch)\b/;
+const PULL_REQUEST_REF = /\brefs\/pull\/|\bpull\/\S+\/(?:head|merge)\b/;
+
+function findHeadContexts(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const contexts = findExpressions(text).flatMap(({ body }) => getContextReferences(body));
+  return [...new Set(contexts.filter(context => matchesGlob(context, HEAD_CONTEXTS)))];
+}
+
+function isPullRequestFetch(line) {
+  return /\bgh\s+pr\s+checkout\b/.test(line) ||
+    (GIT_CHECKOUT.test(line) && (PULL_REQUEST_REF.test(line) || findHeadContexts(line).length > 0));
+}
+
+/**
+ * Describes how a step checks out code of the pull request, if it does
+ * @param {Object} step - The step definition
+ * @returns {string|null} e.g. checks out github.event.pull_request.head.sha, or null
+ */
+function describeCheckout(step) {
+  if (!step || typeof step !== 'object') {
+    return null;
+  }
+
+  const reference = parseReference(step.uses);
+  if (reference && reference.owner && `${reference.owner}/${reference.repo}`.toLowerCase() === 'actions/checkout') {
+    const inputs = step.with && typeof step.with === 'object' ? step.with : {};
+    const contexts = [...findHeadContexts(inputs.ref), ...findHeadContexts(inputs.repository)];
+    if (contexts.length > 0) {
+      return `checks out ${contexts.join(', ')}`;
+    }
+    return typeof inputs.ref === 'string' && PULL_REQUEST_REF.test(inputs.ref) ? `checks out ${inputs.ref}` : null;
+  }
+
+  const fetch = typeof step.run === 'string' ? step.run.split('\n').find(isPullRequestFetch) : null;
+  return fetch ? `runs \`${fetch.trim()}\`` : null;
+}
+
+// Built-in rule: pull_request_target and workflow_run runs have secrets, so running pull request
+// code in them (a "pwn request") hands those secrets to whoever opened the pull request
+module.exports = {
+  id: 'untrusted-checkout',
+  description: 'pull_request_target and workflow_run workflows must not check out or run pull request code',
+  severity: 'error',
+  describeCheckout,
+
+  step(step, context) {
+    const triggers = context.workflow ? getPrivilegedTriggers(context.workflow.on) : [];
+    if (triggers.length === 0) {
+      return [];
+    }
+
+    const on = triggers.join(', ');
+    const checkout = describeCheckout(step);
+    if (checkout) {
+      return [{
+        message: `job ${context.jobName} ${checkout} on ${on}`,
+        location: step.uses ? context.location : context.locate('run')
+      }];
+    }
+
+    const earlierSteps = context.job && Array.isArray(context.job.steps) ? context.job.steps.slice(0, context.stepIndex) : [];
+    if (isLocalAction(step.uses) && earlierSteps.some(describeCheckout)) {
+      return [{ message: `job ${context.jobName} runs local action ${step.uses} from the pull request checkout on ${on}` }];
+    }
+
+    return [];
+  }
+};
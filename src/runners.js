@@ -0,0 +1,219 @@
+const { matchesGlob } = require('./glob');
+
+// Labels of the standard GitHub-hosted runners, lower case
+// See https://docs.github.com/actions/using-github-hosted-runners/about-github-hosted-runners
+const GITHUB_HOSTED_LABELS = [
+  'ubuntu-latest',
+  'ubuntu-24.04',
+  'ubuntu-22.04',
+  'ubuntu-20.04',
+  'ubuntu-slim',
+  'ubuntu-24.04-arm',
+  'ubuntu-22.04-arm',
+  'windows-latest',
+  'windows-2025',
+  'windows-2022',
+  'windows-2019',
+  'windows-11-arm',
+  'macos-latest',
+  'macos-15',
+  'macos-14',
+  'macos-13'
+];
+
+// macOS larger runners are picked by label; other larger runners by their name or group
+const LARGER_MACOS_LABEL = /^macos-(?:latest|\d+)(?:-arm64)?-x?large$/;
+
+// custom runners use labels or a group that may name a larger runner or a self-hosted one
+const RUNNER_TYPES = ['github-hosted', 'larger', 'self-hosted', 'custom', 'unknown'];
+
+// runs-on: ${{ matrix.os }}, the only expression that can be resolved before the run
+const MATRIX_REFERENCE = /^\$\{\{\s*matrix\.([\w-]+)\s*\}\}$/;
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Values a matrix key takes, from its list and from include entries; null if they are not literals
+function getMatrixValues(strategy, key) {
+  const matrix = isMapping(strategy) ? strategy.matrix : null;
+  if (!isMapping(matrix)) {
+    return null;
+  }
+
+  const values = [];
+  if (matrix[key] !== undefined) {
+    if (!Array.isArray(matrix[key])) {
+      return null;
+    }
+    values.push(...matrix[key]);
+  }
+  if (Array.isArray(matrix.include)) {
+    matrix.include.filter(entry => isMapping(entry) && entry[key] !== undefined).forEach(entry => values.push(entry[key]));
+  }
+
+  return values.length > 0 ? values : null;
+}
+
+// The strings a label or group can be, or null if it depends on the run
+function resolveValue(value, strategy) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (!value.includes('${{')) {
+    return [value];
+  }
+
+  const match = MATRIX_REFERENCE.exec(value.trim());
+  const values = match ? getMatrixValues(strategy, match[1]) : null;
+  return values && values.every(item => typeof item === 'string') ? values : null;
+}
+
+/**
+ * Classifies a runner by its labels and group
+ * @param {Object} runner - { labels, group, expression }
+ * @returns {string} One of RUNNER_TYPES
+ */
+function getRunnerType({ labels, group, expression }) {
+  if (expression) {
+    return 'unknown';
+  }
+
+  const lower = labels.map(label => label.toLowerCase());
+  if (lower.includes('self-hosted')) {
+    return 'self-hosted';
+  }
+  if (group || lower.length === 0) {
+    return 'custom';
+  }
+  if (lower.every(label => GITHUB_HOSTED_LABELS.includes(label))) {
+    return 'github-hosted';
+  }
+  if (lower.every(label => GITHUB_HOSTED_LABELS.includes(label) || LARGER_MACOS_LABEL.test(label))) {
+    return 'larger';
+  }
+  return 'custom';
+}
+
+function createRunner(labels, group, expression = null) {
+  const runner = { labels, group, expression };
+  return { ...runner, type: getRunnerType(runner) };
+}
+
+/**
+ * Normalizes the runs-on value of a job into the runners it can run on
+ * Matrix references are expanded into one runner per value; other expressions are left unresolved
+ * @param {string|string[]|Object} runsOn - A label, a list of labels, or { group, labels }
+ * @param {Object} [strategy] - The strategy of the job, for matrix references
+ * @returns {Object[]} { labels, group, expression, type } for each runner, where expression is the
+ *   runs-on text when it cannot be resolved; empty without runs-on
+ */
+function normalizeRunsOn(runsOn, strategy) {
+  if (runsOn === undefined || runsOn === null) {
+    return [];
+  }
+
+  const unresolved = [createRunner([], null, typeof runsOn === 'string' ? runsOn : JSON.stringify(runsOn))];
+
+  // The whole runs-on can come from the matrix, e.g. a list of labels per entry
+  const match = typeof runsOn === 'string' && MATRIX_REFERENCE.exec(runsOn.trim());
+  if (match) {
+    const values = getMatrixValues(strategy, match[1]);
+    return values ? dedupeRunners(values.flatMap(value => normalizeRunsOn(value))) : unresolved;
+  }
+
+  let labels = [];
+  let group = null;
+  if (typeof runsOn === 'string' || Array.isArray(runsOn)) {
+    labels = [].concat(runsOn);
+  } else if (isMapping(runsOn)) {
+    group = runsOn.group === undefined ? null : runsOn.group;
+    labels = runsOn.labels === undefined ? [] : [].concat(runsOn.labels);
+  } else {
+    return unresolved;
+  }
+
+  let candidates = [{ labels: [], group: null }];
+  if (group !== null) {
+    const groups = resolveValue(group, strategy);
+    if (!groups) {
+      return unresolved;
+    }
+    candidates = groups.map(value => ({ labels: [], group: value }));
+  }
+
+  for (const label of labels) {
+    const values = resolveValue(label, strategy);
+    if (!values) {
+      return unresolved;
+    }
+    candidates = candidates.flatMap(candidate => values.map(value => ({ ...candidate, labels: [...candidate.labels, value] })));
+  }
+
+  return dedupeRunners(candidates.map(candidate => createRunner(candidate.labels, candidate.group)));
+}
+
+function dedupeRunners(runners) {
+  const seen = new Set();
+  return runners.filter(runner => {
+    const key = describeRunner(runner);
+    return seen.has(key) ? false : seen.add(key);
+  });
+}
+
+/**
+ * Formats a runner for logs and comments
+ * @param {Object} runner - Result of normalizeRunsOn
+ * @returns {string} e.g. ubuntu-latest, [self-hosted, linux], group deployers [linux] or ${{ inputs.runner }} (unresolved)
+ */
+function describeRunner(runner) {
+  if (runner.expression) {
+    return `${runner.expression} (unresolved)`;
+  }
+
+  const labels = `[${runner.labels.join(', ')}]`;
+  if (!runner.group) {
+    return runner.labels.length === 1 ? runner.labels[0] : labels;
+  }
+  return runner.labels.length > 0 ? `group ${runner.group} ${labels}` : `group ${runner.group}`;
+}
+
+/**
+ * Checks whether a runner may be self-hosted: it has the self-hosted label, or custom labels or a group
+ * that cannot be told apart from a self-hosted runner
+ * @param {Object} runner - Result of normalizeRunsOn
+ * @returns {boolean} True unless the runner is GitHub-hosted or unresolved
+ */
+function mayBeSelfHosted(runner) {
+  return runner.type === 'self-hosted' || runner.type === 'custom';
+}
+
+/**
+ * Checks whether a runner may be a GitHub-hosted larger runner
+ * @param {Object} runner - Result of normalizeRunsOn
+ * @returns {boolean} True for macOS large labels and custom labels or groups
+ */
+function mayBeLarger(runner) {
+  return runner.type === 'larger' || runner.type === 'custom';
+}
+
+/**
+ * Checks whether any label of a runner matches a pattern
+ * @param {Object} runner - Result of normalizeRunsOn
+ * @param {string[]} patterns - Glob patterns, compared case-insensitively
+ * @returns {boolean} True if a label matches
+ */
+function hasLabel(runner, patterns) {
+  return runner.labels.some(label => matchesGlob(label, patterns, { ignoreCase: true }));
+}
+
+module.exports = {
+  GITHUB_HOSTED_LABELS,
+  RUNNER_TYPES,
+  getRunnerType,
+  normalizeRunsOn,
+  describeRunner,
+  mayBeSelfHosted,
+  mayBeLarger,
+  hasLabel
+};
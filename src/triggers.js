@@ -0,0 +1,30 @@
+// Triggers that run with the repository's secrets and a write token even when a fork starts them
+const PRIVILEGED_TRIGGERS = ['pull_request_target', 'workflow_run'];
+
+/**
+ * Lists the events that trigger a workflow
+ * @param {string|string[]|Object} on - The on: block, as an event name, a list of names or a mapping
+ * @returns {string[]} Event names
+ */
+function getTriggers(on) {
+  if (typeof on === 'string') {
+    return [on];
+  }
+
+  if (Array.isArray(on)) {
+    return on.filter(event => typeof event === 'string');
+  }
+
+  return on && typeof on === 'object' ? Object.keys(on) : [];
+}
+
+/**
+ * Lists the privileged triggers of a workflow
+ * @param {string|string[]|Object} on - The on: block
+ * @returns {string[]} pull_request_target and workflow_run, if the workflow has them
+ */
+function getPrivilegedTriggers(on) {
+  return getTriggers(on).filter(event => PRIVILEGED_TRIGGERS.includes(event));
+}
+
+module.exports = { PRIVILEGED_TRIGGERS, getTriggers, getPrivilegedTriggers };
@@ -1,6 +1,28 @@
 const yaml = require('js-yaml');
+const { loadWithLocations } = require('./yaml-locations');
+const { findUntrustedExpressions, getScriptInputs } = require('./expressions');
+const { normalizePermissions } = require('./permissions');
+const { parseReference } = require('./action-references');
+const { getTriggers } = require('./triggers');
+const { normalizeRunsOn, describeRunner } = require('./runners');
+const { RuleEngine } = require('./rule-engine');
+const localAction = require('./rules/local-action');
+const { logger } = require('./logger');
+
+// GitHub allows reusable workflows to be nested up to ten levels deep
+const DEFAULT_MAX_CALL_DEPTH = 10;
 
 class WorkflowAnalyzer {
+  /**
+   * @param {Object} [options] - Analyzer options
+   * @param {Object} [options.logger] - Logger for diagnostics, the shared logger by default
+   * @param {Object[]} [options.rules] - Custom rules run after the built-in ones, see loadRules
+   */
+  constructor(options = {}) {
+    this.logger = (options.logger || logger).child({ component: 'analyzer' });
+    this.ruleEngine = new RuleEngine(options.rules);
+  }
+
   /**
    * Analyzes a GitHub workflow YAML content for local action usage
    * @param {string} workflowContent - The YAML content of the workflow file
@@ -8,54 +30,85 @@ class WorkflowAnalyzer {
    */
   analyzeWorkflow(workflowContent) {
     try {
-      const workflow = yaml.load(workflowContent);
+      const { document: workflow, locations } = loadWithLocations(workflowContent);
       const result = {
         hasLocalActions: false,
         localActions: [],
+        reusableWorkflows: [],
         totalSteps: 0,
-        jobs: []
+        jobs: [],
+        triggers: [],
+        findings: []
       };
 
       if (!workflow || !workflow.jobs) {
         return result;
       }
 
+      result.triggers = getTriggers(workflow.on);
+
+      result.findings = this.ruleEngine.check('workflow', workflow, {
+        workflow,
+        action: null,
+        jobName: null,
+        job: null,
+        stepIndex: null,
+        yamlPath: '',
+        location: this.getLocation({ line: 1, column: 1 }, ''),
+        locations
+      });
+
+      // Jobs without their own permissions block use the workflow's
+      const workflowPermissions = this.getPermissions(workflow, locations, 'permissions');
+      result.permissions = workflowPermissions;
+
       // Iterate through all jobs
       Object.entries(workflow.jobs).forEach(([jobName, job]) => {
         const jobResult = {
           name: jobName,
           hasLocalActions: false,
           localActions: [],
+          reusableWorkflow: null,
+          reusableWorkflowLocation: null,
+          location: this.getLocation(locations.ofKey(workflow.jobs, jobName), `jobs.${jobName}`),
+          environment: this.getJobEnvironment(job),
+          needs: this.getJobNeeds(job),
+          inScope: true,
+          scopeReason: null,
+          containerImages: this.getContainerImages(job, locations, `jobs.${jobName}`),
+          runners: this.isMapping(job) ? normalizeRunsOn(job['runs-on'], job.strategy) : [],
+          runnersLocation: this.isMapping(job) && job['runs-on'] !== undefined
+            ? this.getLocation(locations.ofValue(job, 'runs-on'), `jobs.${jobName}.runs-on`)
+            : null,
           steps: []
         };
 
-        if (job.steps && Array.isArray(job.steps)) {
-          job.steps.forEach((step, stepIndex) => {
-            result.totalSteps++;
-            
-            const stepResult = {
-              index: stepIndex,
-              name: step.name || `Step ${stepIndex + 1}`,
-              hasLocalAction: false,
-              actionPath: null
-            };
-
-            // Check if step uses an action
-            if (step.uses) {
-              stepResult.actionPath = step.uses;
-              
-              // Check if it's a local action (starts with ./ or just .)
-              if (this.isLocalAction(step.uses)) {
-                stepResult.hasLocalAction = true;
-                jobResult.hasLocalActions = true;
-                jobResult.localActions.push(step.uses);
-                result.hasLocalActions = true;
-                result.localActions.push(step.uses);
-              }
-            }
-
-            jobResult.steps.push(stepResult);
-          });
+        jobResult.permissions = this.getPermissions(job, locations, `jobs.${jobName}.permissions`) ||
+          (workflowPermissions && { ...workflowPermissions, source: 'workflow' }) ||
+          { source: 'default', declared: null, scopes: null, location: jobResult.location };
+        jobResult.permissionFindings = this.findPermissionIssues(jobResult.permissions);
+        jobResult.findings = this.isMapping(job)
+          ? this.ruleEngine.check('job', job, {
+            workflow,
+            action: null,
+            jobName,
+            job,
+            stepIndex: null,
+            yamlPath: `jobs.${jobName}`,
+            location: jobResult.location,
+            locations
+          })
+          : [];
+
+        // Jobs with a job-level uses call a reusable workflow instead of running steps
+        if (job && typeof job.uses === 'string') {
+          jobResult.reusableWorkflow = job.uses;
+          jobResult.reusableWorkflowLocation = this.getLocation(locations.ofValue(job, 'uses'), `jobs.${jobName}.uses`);
+          result.reusableWorkflows.push(job.uses);
+        }
+
+        if (job && job.steps && Array.isArray(job.steps)) {
+          this.analyzeSteps(job.steps, jobResult, result, locations, `jobs.${jobName}.steps`, { workflow, action: null, job });
         }
 
         result.jobs.push(jobResult);
@@ -63,32 +116,278 @@ class WorkflowAnalyzer {
 
       // Remove duplicates from the main localActions array
       result.localActions = [...new Set(result.localActions)];
+      result.reusableWorkflows = [...new Set(result.reusableWorkflows)];
 
       return result;
     } catch (error) {
-      console.error('Error parsing workflow YAML:', error);
+      this.logger.warn('Error parsing workflow YAML', { error: error.message });
       return {
         hasLocalActions: false,
         localActions: [],
+        reusableWorkflows: [],
         totalSteps: 0,
         jobs: [],
+        findings: [],
         error: error.message
       };
     }
   }
 
+  /**
+   * Records the actions used by a list of steps on a job result and the overall result
+   * @param {Object[]} steps - Steps of a workflow job or composite action
+   * @param {Object} jobResult - The job result to add the steps to
+   * @param {Object} result - The overall analysis result
+   * @param {SourceLocations} locations - Source positions of the parsed document
+   * @param {string} basePath - YAML path of the steps sequence, e.g. jobs.deploy.steps
+   * @param {Object} document - { workflow, action, job } the steps belong to, passed to rules
+   */
+  analyzeSteps(steps, jobResult, result, locations, basePath, document) {
+    steps.forEach((step, stepIndex) => {
+      result.totalSteps++;
+      
+      const stepResult = {
+        index: stepIndex,
+        name: (step && step.name) || `Step ${stepIndex + 1}`,
+        hasLocalAction: false,
+        actionPath: null,
+        location: this.getLocation(locations.ofItem(steps, stepIndex), `${basePath}[${stepIndex}]`),
+        scriptInjections: this.findScriptInjections(step, locations, `${basePath}[${stepIndex}]`),
+        findings: []
+      };
+
+      // Check if step uses an action
+      if (step && step.uses) {
+        stepResult.actionPath = step.uses;
+        stepResult.location = this.getLocation(locations.ofValue(step, 'uses'), `${basePath}[${stepIndex}].uses`);
+      }
+
+      if (this.isMapping(step)) {
+        stepResult.findings = this.ruleEngine.check('step', step, {
+          ...document,
+          jobName: jobResult.name,
+          stepIndex,
+          yamlPath: `${basePath}[${stepIndex}]`,
+          location: stepResult.location,
+          locations
+        });
+      }
+
+      // Local actions are the steps the built-in local-action rule reports
+      if (stepResult.findings.some(finding => finding.ruleId === localAction.id)) {
+        stepResult.hasLocalAction = true;
+        jobResult.hasLocalActions = true;
+        jobResult.localActions.push(step.uses);
+        result.hasLocalActions = true;
+        result.localActions.push(step.uses);
+      }
+
+      jobResult.steps.push(stepResult);
+    });
+  }
+
+  /**
+   * Lists the images of a job's container and service containers
+   * @param {Object} job - The job definition
+   * @param {SourceLocations} locations - Source positions of the parsed document
+   * @param {string} jobPath - YAML path of the job, e.g. jobs.deploy
+   * @returns {Object[]} { image, kind: 'container' | 'service', service, location } for each image
+   */
+  getContainerImages(job, locations, jobPath) {
+    if (!this.isMapping(job)) {
+      return [];
+    }
+
+    const images = [];
+    // container may be an image name or a mapping with an image
+    const addImage = (kind, service, mapping, key, yamlPath) => {
+      if (typeof mapping[key] === 'string') {
+        images.push({ image: mapping[key], kind, service, location: this.getLocation(locations.ofValue(mapping, key), yamlPath) });
+      }
+    };
+
+    if (typeof job.container === 'string') {
+      addImage('container', null, job, 'container', `${jobPath}.container`);
+    } else if (this.isMapping(job.container)) {
+      addImage('container', null, job.container, 'image', `${jobPath}.container.image`);
+    }
+
+    if (this.isMapping(job.services)) {
+      Object.entries(job.services).forEach(([name, service]) => {
+        if (this.isMapping(service)) {
+          addImage('service', name, service, 'image', `${jobPath}.services.${name}.image`);
+        }
+      });
+    }
+
+    return images;
+  }
+
+  /**
+   * Reads the permissions block of a workflow or job
+   * @param {Object} mapping - The workflow or job definition
+   * @param {SourceLocations} locations - Source positions of the parsed document
+   * @param {string} yamlPath - YAML path of the block, e.g. jobs.deploy.permissions
+   * @returns {Object|null} { source, declared, scopes, location }, or null without a block
+   */
+  getPermissions(mapping, locations, yamlPath) {
+    if (!mapping || typeof mapping !== 'object' || mapping.permissions === undefined) {
+      return null;
+    }
+
+    return {
+      source: yamlPath === 'permissions' ? 'workflow' : 'job',
+      declared: mapping.permissions,
+      scopes: normalizePermissions(mapping.permissions),
+      location: this.getLocation(locations.ofValue(mapping, 'permissions'), yamlPath)
+    };
+  }
+
+  /**
+   * Finds GITHUB_TOKEN permissions that are risky whatever the policy: none declared, or write-all
+   * @param {Object} permissions - The permissions of a job result
+   * @returns {Object[]} { type, message, location } for each finding
+   */
+  findPermissionIssues(permissions) {
+    if (permissions.source === 'default') {
+      return [{
+        type: 'missing',
+        message: 'no permissions block, so the job gets the default GITHUB_TOKEN permissions of the repository',
+        location: permissions.location
+      }];
+    }
+
+    if (permissions.declared === 'write-all') {
+      return [{ type: 'write-all', message: 'permissions: write-all grants write access to every scope', location: permissions.location }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Finds untrusted contexts, such as ${{ github.head_ref }}, interpolated into the scripts of a step:
+   * its run script or the script input of actions like actions/github-script
+   * @param {Object} step - The step definition
+   * @param {SourceLocations} locations - Source positions of the parsed document
+   * @param {string} stepPath - YAML path of the step, e.g. jobs.deploy.steps[2]
+   * @returns {Object[]} { expression, context, field, location } for each untrusted context
+   */
+  findScriptInjections(step, locations, stepPath) {
+    if (!step || typeof step !== 'object') {
+      return [];
+    }
+
+    const scripts = [];
+    if (typeof step.run === 'string') {
+      scripts.push({ mapping: step, key: 'run', field: 'run' });
+    }
+    if (step.with && typeof step.with === 'object') {
+      const scriptInputs = getScriptInputs(step.uses);
+      Object.keys(step.with)
+        .filter(key => scriptInputs.includes(key.toLowerCase()))
+        .forEach(key => scripts.push({ mapping: step.with, key, field: `with.${key}` }));
+    }
+
+    const injections = [];
+    scripts.forEach(({ mapping, key, field }) => {
+      const script = mapping[key];
+      findUntrustedExpressions(script).forEach(({ expression, context, index }) => {
+        injections.push({
+          expression,
+          context,
+          field,
+          location: this.getScriptLocation(locations.ofValue(mapping, key), script, index, `${stepPath}.${field}`)
+        });
+      });
+    });
+
+    return injections;
+  }
+
+  /**
+   * Builds the location of text inside a script
+   * Multi-line scripts are block scalars, whose first line is the one after the `|` indicator
+   * @param {Object|null} position - Position of the script value
+   * @param {string} script - The script
+   * @param {number} index - Offset of the text in the script
+   * @param {string} yamlPath - Path of the script, e.g. jobs.deploy.steps[2].run
+   * @returns {Object} Location of the line holding the text; the column is only known for one-line scripts
+   */
+  getScriptLocation(position, script, index, yamlPath) {
+    if (!position || !script.includes('\n')) {
+      return this.getLocation(position, yamlPath);
+    }
+
+    const lineInScript = script.substring(0, index).split('\n').length - 1;
+    return { line: position.line + 1 + lineInScript, column: null, yamlPath };
+  }
+
+  /**
+   * Builds the location of a node for findings
+   * @param {Object|null} position - { line, column } from SourceLocations, if known
+   * @param {string} yamlPath - Path of the node, e.g. jobs.deploy.steps[2].uses
+   * @returns {Object} Location with line, column (null when unknown) and yamlPath
+   */
+  getLocation(position, yamlPath) {
+    return {
+      line: position ? position.line : null,
+      column: position ? position.column : null,
+      yamlPath
+    };
+  }
+
+  /**
+   * Gets the environment a job deploys to
+   * @param {Object} job - The job definition
+   * @returns {string|null} Environment name (may be an expression), from the string or { name } form
+   */
+  getJobEnvironment(job) {
+    if (!job || !job.environment) {
+      return null;
+    }
+
+    if (typeof job.environment === 'string') {
+      return job.environment;
+    }
+
+    return typeof job.environment.name === 'string' ? job.environment.name : null;
+  }
+
+  /**
+   * Gets the jobs a job depends on
+   * @param {Object} job - The job definition
+   * @returns {string[]} Names of the jobs listed in needs
+   */
+  getJobNeeds(job) {
+    if (!job || !job.needs) {
+      return [];
+    }
+
+    return (Array.isArray(job.needs) ? job.needs : [job.needs]).filter(name => typeof name === 'string');
+  }
+
   /**
    * Determines if an action reference is a local action
    * @param {string} actionRef - The action reference from the uses field
    * @returns {boolean} True if it's a local action
    */
   isLocalAction(actionRef) {
-    if (!actionRef || typeof actionRef !== 'string') {
-      return false;
-    }
+    return localAction.isLocalAction(actionRef);
+  }
+
+  isMapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
 
-    // Local actions start with ./ or just .
-    return actionRef.startsWith('./') || actionRef === '.';
+  /**
+   * Classifies the ref an action or reusable workflow reference is pinned to
+   * Tags and branches are told apart by name: version-like refs such as v4 or 1.2.3 count as tags
+   * @param {string} actionRef - The reference from the uses field
+   * @returns {string|null} 'sha', 'tag', 'branch' or 'missing'; null for local, docker and invalid references
+   */
+  getRefType(actionRef) {
+    const reference = parseReference(actionRef);
+    return reference ? reference.refType : null;
   }
 
   /**
@@ -125,51 +424,597 @@ class WorkflowAnalyzer {
       return analysis;
     }
 
+    const actions = this.buildActionBreakdown(analysis);
+
+    return {
+      ...analysis,
+      actionBreakdown: actions,
+      summary: this.summarizeActions(actions)
+    };
+  }
+
+  /**
+   * Sorts the actions and reusable workflow calls of an analysis into categories
+   * @param {Object} analysis - Result of analyzeWorkflow or analyzeActionMetadata
+   * @returns {Object} Actions grouped by local, external (other repositories), docker, invalid and reusableWorkflows,
+   *   plus the containerImages of jobs and docker actions, the runners of jobs, the scriptInjections of their steps
+   *   and the findings of the rule engine
+   */
+  buildActionBreakdown(analysis) {
     const actions = {
       local: [],
       external: [],
-      marketplace: [],
-      docker: []
+      docker: [],
+      invalid: [],
+      reusableWorkflows: [],
+      containerImages: [],
+      runners: [],
+      scriptInjections: [],
+      findings: []
     };
 
+    const addFindings = (findings, job, step) => {
+      (findings || []).forEach(finding => {
+        actions.findings.push({
+          path: finding.location.yamlPath,
+          ruleId: finding.ruleId,
+          severity: finding.severity,
+          message: finding.message,
+          jobName: job ? job.name : null,
+          stepName: step ? step.name : null,
+          stepIndex: step ? step.index : null,
+          location: finding.location
+        });
+      });
+    };
+
+    addFindings(analysis.findings, null, null);
     analysis.jobs.forEach(job => {
+      addFindings(job.findings, job, null);
+      (job.containerImages || []).forEach(image => {
+        actions.containerImages.push({
+          path: image.image,
+          kind: image.kind,
+          service: image.service,
+          jobName: job.name,
+          location: image.location
+        });
+      });
+      (job.runners || []).forEach(runner => {
+        actions.runners.push({
+          path: describeRunner(runner),
+          labels: runner.labels,
+          group: runner.group,
+          type: runner.type,
+          expression: runner.expression,
+          jobName: job.name,
+          location: job.runnersLocation
+        });
+      });
+
+      if (job.reusableWorkflow) {
+        const reference = parseReference(job.reusableWorkflow);
+        actions.reusableWorkflows.push({
+          path: job.reusableWorkflow,
+          jobName: job.name,
+          kind: reference ? reference.kind : null,
+          reference,
+          refType: reference ? reference.refType : null,
+          location: job.reusableWorkflowLocation
+        });
+      }
+
       job.steps.forEach(step => {
+        addFindings(step.findings, job, step);
+        (step.scriptInjections || []).forEach(injection => {
+          actions.scriptInjections.push({
+            path: injection.expression,
+            context: injection.context,
+            field: injection.field,
+            jobName: job.name,
+            stepName: step.name,
+            stepIndex: step.index,
+            location: injection.location
+          });
+        });
+
         if (step.actionPath) {
+          const reference = parseReference(step.actionPath);
           const actionInfo = {
             path: step.actionPath,
             jobName: job.name,
             stepName: step.name,
-            stepIndex: step.index
+            stepIndex: step.index,
+            kind: reference ? reference.kind : null,
+            reference,
+            refType: reference ? reference.refType : null,
+            location: step.location
           };
 
           if (this.isLocalAction(step.actionPath)) {
             actions.local.push(actionInfo);
-          } else if (step.actionPath.startsWith('docker://')) {
+          } else if (!reference || reference.kind === 'reusable-workflow') {
+            // Steps cannot call reusable workflows, and anything else is not a reference GitHub can run
+            actions.invalid.push(actionInfo);
+          } else if (reference.kind === 'docker') {
             actions.docker.push(actionInfo);
-          } else if (step.actionPath.includes('/')) {
-            // External GitHub action (org/repo@version format)
-            actions.external.push(actionInfo);
           } else {
-            // Marketplace action
-            actions.marketplace.push(actionInfo);
+            // An action in another repository, at its root or in a subdirectory
+            actions.external.push(actionInfo);
           }
         }
       });
     });
 
+    return actions;
+  }
+
+  /**
+   * Analyzes the action.yml of an action for the actions its composite steps use
+   * @param {string} actionContent - The YAML content of the action metadata file
+   * @param {string} jobName - Job of the step that uses the action
+   * @returns {Object} Same shape as getActionDetails plus the runs.using value
+   */
+  analyzeActionMetadata(actionContent, jobName) {
+    try {
+      const { document: metadata, locations } = loadWithLocations(actionContent);
+      const runs = (metadata && metadata.runs) || {};
+      const result = {
+        using: runs.using || null,
+        hasLocalActions: false,
+        localActions: [],
+        reusableWorkflows: [],
+        totalSteps: 0,
+        jobs: []
+      };
+
+      const jobResult = {
+        name: jobName,
+        hasLocalActions: false,
+        localActions: [],
+        reusableWorkflow: null,
+        findings: [],
+        containerImages: [],
+        steps: []
+      };
+
+      // Docker actions run a published image, or build their Dockerfile
+      if (runs.using === 'docker' && typeof runs.image === 'string' && runs.image.startsWith('docker://')) {
+        jobResult.containerImages.push({
+          image: runs.image,
+          kind: 'action',
+          service: null,
+          location: this.getLocation(locations.ofValue(runs, 'image'), 'runs.image')
+        });
+      }
+
+      // Only composite actions run further actions
+      if (runs.using === 'composite' && Array.isArray(runs.steps)) {
+        this.analyzeSteps(runs.steps, jobResult, result, locations, 'runs.steps', { workflow: null, action: metadata, job: null });
+      }
+      result.jobs.push(jobResult);
+      result.localActions = [...new Set(result.localActions)];
+
+      const actions = this.buildActionBreakdown(result);
+      return { ...result, actionBreakdown: actions, summary: this.summarizeActions(actions) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Counts the actions in each category of an action breakdown
+   * @param {Object} actions - The actionBreakdown from getActionDetails
+   * @returns {Object} Summary counts
+   */
+  summarizeActions(actions) {
     return {
-      ...analysis,
-      actionBreakdown: actions,
-      summary: {
-        totalActions: actions.local.length + actions.external.length + 
-                     actions.marketplace.length + actions.docker.length,
-        localCount: actions.local.length,
-        externalCount: actions.external.length,
-        marketplaceCount: actions.marketplace.length,
-        dockerCount: actions.docker.length
+      totalActions: actions.local.length + actions.external.length +
+                   actions.docker.length + actions.invalid.length,
+      localCount: actions.local.length,
+      externalCount: actions.external.length,
+      dockerCount: actions.docker.length,
+      invalidCount: actions.invalid.length,
+      reusableWorkflowCount: actions.reusableWorkflows.length,
+      containerImageCount: actions.containerImages.length,
+      runnerCount: actions.runners.length,
+      scriptInjectionCount: actions.scriptInjections.length,
+      findingCount: actions.findings.length
+    };
+  }
+
+  /**
+   * Parses a job-level uses reference to a reusable workflow
+   * @param {string} workflowRef - e.g. ./.github/workflows/build.yml or org/repo/.github/workflows/x.yml@v1
+   * @returns {Object|null} Reference with local, owner, repo, path and ref, or null if invalid
+   */
+  parseWorkflowReference(workflowRef) {
+    const reference = parseReference(workflowRef);
+
+    // Workflows in other repositories must name a ref
+    if (!reference || reference.kind !== 'reusable-workflow' || (!reference.local && !reference.ref)) {
+      return null;
+    }
+
+    return { local: reference.local, owner: reference.owner, repo: reference.repo, path: reference.path, ref: reference.ref };
+  }
+
+  /**
+   * Parses a step-level uses reference to an action that has an action.yml
+   * @param {string} actionRef - e.g. ./my-action, actions/checkout@v4 or org/repo/subdir@v1
+   * @returns {Object|null} Reference with local, owner, repo, path and ref, or null for docker and invalid references
+   */
+  parseActionReference(actionRef) {
+    const reference = parseReference(actionRef);
+
+    // Actions in other repositories must name a ref
+    if (!reference || !['local', 'repository', 'repository-path'].includes(reference.kind) || (!reference.local && !reference.ref)) {
+      return null;
+    }
+
+    return { local: reference.local, owner: reference.owner, repo: reference.repo, path: reference.path, ref: reference.ref };
+  }
+
+  /**
+   * Analyzes a workflow and, through a content fetcher, everything it depends on: the reusable
+   * workflows it calls and the action.yml of every action, following composite action steps
+   * Actions found in dependencies are merged into the result and carry their callChain
+   * @param {string} workflowContent - The YAML content of the workflow file
+   * @param {Object} [options] - Analysis options
+   * @param {Function} [options.fetchContent] - async ({ owner, repo, path, ref }) => content or null;
+   *   owner, repo and ref are null for files in the repository being analyzed
+   * @param {string} [options.workflowPath] - Path of the workflow, used as the root of every call chain
+   * @param {number} [options.maxDepth] - Maximum nesting depth of workflow calls and composite actions
+   * @param {boolean} [options.resolveActions] - Fetch action metadata (default true)
+   * @param {string} [options.environment] - Only keep findings of jobs that deploy to this environment
+   * @returns {Promise<Object>} getActionDetails result plus calledWorkflows, calledActions and dependencyTree
+   */
+  async analyzeWorkflowTree(workflowContent, options = {}) {
+    const workflowPath = options.workflowPath || 'workflow';
+    const details = this.getActionDetails(workflowContent);
+
+    if (details.error) {
+      return details;
+    }
+
+    const actionBreakdown = {};
+    Object.entries(details.actionBreakdown).forEach(([category, list]) => {
+      actionBreakdown[category] = [...list];
+    });
+
+    const rootFile = { owner: null, repo: null, path: workflowPath, ref: null };
+    const tree = {
+      ...details,
+      localActions: [...details.localActions],
+      actionBreakdown,
+      calledWorkflows: [],
+      calledActions: [],
+      dependencyTree: { ...this.createDependency('workflow', { path: workflowPath }, []), resolvedFile: rootFile },
+      hasUnresolvedWorkflows: false,
+      hasUnresolvedActions: false
+    };
+    this.attributeCallChain(tree.actionBreakdown, [workflowPath], null, rootFile);
+
+    await this.resolveDependencies(tree, details, tree.dependencyTree, {
+      fetchContent: options.fetchContent || null,
+      maxDepth: options.maxDepth === undefined ? DEFAULT_MAX_CALL_DEPTH : options.maxDepth,
+      resolveActions: options.resolveActions !== false,
+      chain: [workflowPath],
+      ancestors: new Set([this.getDependencyKey({ owner: null, repo: null, path: workflowPath, ref: null })]),
+      context: { owner: null, repo: null, ref: null },
+      file: rootFile,
+      cache: new Map()
+    });
+
+    tree.localActions = [...new Set(tree.localActions)];
+    tree.reusableWorkflows = [...new Set(tree.actionBreakdown.reusableWorkflows.map(call => call.path))];
+    tree.hasUnresolvedWorkflows = tree.calledWorkflows.some(call => !call.resolved);
+    tree.hasUnresolvedActions = tree.calledActions.some(action => !action.resolved);
+    tree.summary = this.summarizeActions(tree.actionBreakdown);
+
+    return options.environment ? this.scopeToEnvironment(tree, options.environment) : tree;
+  }
+
+  /**
+   * Restricts an analysis to the jobs that deploy to an environment and the jobs they need
+   * Every job result gets inScope and scopeReason; findings of out-of-scope jobs are dropped
+   * Jobs whose environment is an expression, or that call workflows which could not be analyzed,
+   * are kept since they might deploy to the environment
+   * @param {Object} details - Result of getActionDetails or analyzeWorkflowTree
+   * @param {string} environment - The environment being deployed to
+   * @returns {Object} The scoped result with a scope summary
+   */
+  scopeToEnvironment(details, environment) {
+    if (details.error || !environment) {
+      return details;
+    }
+
+    const calls = details.calledWorkflows || [];
+    const reasons = new Map();
+
+    details.jobs.forEach(job => {
+      const reason = this.getEnvironmentMatch(job, environment, calls.filter(call => call.rootJob === job.name));
+      if (reason) {
+        reasons.set(job.name, reason);
+      }
+    });
+
+    // Jobs upstream of a deploying job run as part of the same deployment
+    const jobsByName = new Map(details.jobs.map(job => [job.name, job]));
+    const queue = [...reasons.keys()];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      jobsByName.get(name).needs.forEach(upstream => {
+        if (jobsByName.has(upstream) && !reasons.has(upstream)) {
+          reasons.set(upstream, `needed by ${name}`);
+          queue.push(upstream);
+        }
+      });
+    }
+
+    // If no job can be tied to the environment, analyze everything rather than nothing
+    const matched = reasons.size > 0;
+    const inScope = jobName => !matched || reasons.has(jobName);
+    const jobs = details.jobs.map(job => ({
+      ...job,
+      inScope: inScope(job.name),
+      scopeReason: matched
+        ? reasons.get(job.name) || `does not target environment "${environment}"`
+        : `no job targets environment "${environment}", analyzing all jobs`
+    }));
+
+    // Findings about the workflow as a whole belong to no job and are always kept
+    const actionBreakdown = {};
+    Object.entries(details.actionBreakdown).forEach(([category, list]) => {
+      actionBreakdown[category] = list.filter(action => !(action.rootJob || action.jobName) || inScope(action.rootJob || action.jobName));
+    });
+
+    const scoped = {
+      ...details,
+      jobs,
+      actionBreakdown,
+      localActions: [...new Set(actionBreakdown.local.map(action => action.path))],
+      reusableWorkflows: [...new Set(actionBreakdown.reusableWorkflows.map(call => call.path))],
+      summary: this.summarizeActions(actionBreakdown),
+      scope: {
+        environment,
+        jobs: jobs.filter(job => job.inScope).map(job => job.name),
+        excludedJobs: jobs.filter(job => !job.inScope).map(job => job.name)
+      }
+    };
+    scoped.hasLocalActions = scoped.localActions.length > 0;
+
+    if (details.calledWorkflows) {
+      scoped.calledWorkflows = calls.filter(call => inScope(call.rootJob));
+      scoped.calledActions = details.calledActions.filter(action => inScope(action.rootJob));
+      scoped.hasUnresolvedWorkflows = scoped.calledWorkflows.some(call => !call.resolved);
+      scoped.hasUnresolvedActions = scoped.calledActions.some(action => !action.resolved);
+    }
+
+    return scoped;
+  }
+
+  getEnvironmentMatch(job, environment, calls) {
+    const isExpression = value => value.includes('${{');
+    const matches = value => value.toLowerCase() === environment.toLowerCase();
+
+    if (job.environment) {
+      if (isExpression(job.environment)) {
+        return 'environment is an expression and cannot be evaluated';
+      }
+      return matches(job.environment) ? `targets environment "${environment}"` : null;
+    }
+
+    for (const call of calls) {
+      if (!call.resolved) {
+        return `calls ${call.uses}, which could not be analyzed`;
       }
+
+      const environments = call.environments || [];
+      if (environments.some(matches)) {
+        return `calls ${call.uses}, which has a job targeting environment "${environment}"`;
+      }
+      if (environments.some(isExpression)) {
+        return `calls ${call.uses}, which has a job with an expression environment`;
+      }
+    }
+
+    return null;
+  }
+
+  async resolveDependencies(tree, details, node, state) {
+    for (const call of details.actionBreakdown.reusableWorkflows) {
+      const entry = this.createDependency('workflow', call, state.chain);
+      node.dependencies.push(entry);
+      tree.calledWorkflows.push(entry);
+
+      const reference = this.parseWorkflowReference(call.path);
+      if (!reference) {
+        Object.assign(entry, { status: 'invalid', resolved: false, error: 'Invalid reusable workflow reference' });
+        continue;
+      }
+
+      // Local calls resolve against the repository and ref of the calling workflow
+      const target = reference.local ? { ...reference, ...state.context } : reference;
+      const key = this.getDependencyKey(target);
+      const nested = await this.loadDependency(entry, target, key, [target.path], state,
+        content => this.getActionDetails(content));
+
+      if (nested) {
+        await this.mergeDependency(tree, nested, entry, key, state, {
+          owner: target.owner, repo: target.repo, ref: target.ref
+        });
+      } else {
+        this.logUnanalyzed(entry);
+      }
+    }
+
+    if (!state.resolveActions) {
+      return;
+    }
+
+    // Docker actions have no action.yml to follow
+    const stepActions = [];
+    details.jobs.forEach(job => {
+      job.steps.forEach(step => {
+        if (step.actionPath && !step.actionPath.startsWith('docker://')) {
+          stepActions.push({
+            path: step.actionPath,
+            jobName: job.name,
+            rootJob: node.rootJob || job.name,
+            location: step.location,
+            file: state.file
+          });
+        }
+      });
+    });
+
+    for (const action of stepActions) {
+      const entry = this.createDependency('action', action, state.chain);
+      node.dependencies.push(entry);
+      tree.calledActions.push(entry);
+
+      const reference = this.parseActionReference(action.path);
+      if (!reference) {
+        Object.assign(entry, { status: 'invalid', resolved: false, error: 'Invalid action reference' });
+        continue;
+      }
+
+      // Local actions are paths in the workspace, which holds the repository being analyzed
+      const target = reference.local ? { ...reference, owner: null, repo: null, ref: null } : reference;
+      const key = this.getDependencyKey(target);
+      const metadataPaths = ['action.yml', 'action.yaml'].map(
+        name => (target.path ? `${target.path}/${name}` : name)
+      );
+      const nested = await this.loadDependency(entry, target, key, metadataPaths, state,
+        content => this.analyzeActionMetadata(content, action.jobName));
+
+      if (nested) {
+        entry.using = nested.using;
+        await this.mergeDependency(tree, nested, entry, key, state, state.context);
+      } else {
+        this.logUnanalyzed(entry);
+      }
+    }
+  }
+
+  logUnanalyzed(entry) {
+    this.logger.debug('Dependency not analyzed', {
+      kind: entry.kind,
+      uses: entry.uses,
+      status: entry.status,
+      error: entry.error,
+      callChain: entry.callChain
+    });
+  }
+
+  async loadDependency(entry, target, key, paths, state, analyze) {
+    if (state.ancestors.has(key)) {
+      Object.assign(entry, { status: 'cycle', resolved: false, error: `Cyclic reference to ${entry.uses}` });
+      return null;
+    }
+
+    if (entry.callChain.length - 1 > state.maxDepth) {
+      Object.assign(entry, { status: 'max-depth', resolved: false, error: `Call depth exceeds ${state.maxDepth}` });
+      return null;
+    }
+
+    if (!state.fetchContent) {
+      Object.assign(entry, { status: 'unresolved', resolved: false, error: 'No content fetcher configured' });
+      return null;
+    }
+
+    let content = null;
+    try {
+      for (const path of paths) {
+        const file = { owner: target.owner, repo: target.repo, path, ref: target.ref };
+        content = await this.fetchCached(state, file);
+        if (content !== null && content !== undefined) {
+          entry.resolvedFile = file;
+          break;
+        }
+      }
+    } catch (error) {
+      Object.assign(entry, { status: 'unresolved', resolved: false, error: error.message });
+      return null;
+    }
+
+    if (content === null || content === undefined) {
+      const error = entry.kind === 'action' ? 'Action metadata not found' : 'Workflow file not found';
+      Object.assign(entry, { status: 'unresolved', resolved: false, error });
+      return null;
+    }
+
+    const nested = analyze(content);
+    if (nested.error) {
+      Object.assign(entry, { status: 'error', resolved: false, error: nested.error });
+      return null;
+    }
+
+    return nested;
+  }
+
+  async mergeDependency(tree, nested, entry, key, state, context) {
+    this.attributeCallChain(nested.actionBreakdown, entry.callChain, entry.rootJob, entry.resolvedFile);
+    if (entry.kind === 'workflow') {
+      entry.environments = nested.jobs.map(job => job.environment).filter(Boolean);
+    }
+    Object.keys(tree.actionBreakdown).forEach(category => {
+      tree.actionBreakdown[category].push(...nested.actionBreakdown[category]);
+    });
+    tree.localActions.push(...nested.localActions);
+    tree.hasLocalActions = tree.hasLocalActions || nested.hasLocalActions;
+    tree.totalSteps += nested.totalSteps;
+
+    await this.resolveDependencies(tree, nested, entry, {
+      ...state,
+      chain: entry.callChain,
+      ancestors: new Set([...state.ancestors, key]),
+      context,
+      file: entry.resolvedFile
+    });
+  }
+
+  async fetchCached(state, file) {
+    const key = this.getDependencyKey(file);
+
+    if (!state.cache.has(key)) {
+      state.cache.set(key, Promise.resolve(state.fetchContent(file)));
+    }
+
+    return state.cache.get(key);
+  }
+
+  createDependency(kind, source, chain) {
+    return {
+      kind,
+      uses: source.path,
+      jobName: source.jobName || null,
+      rootJob: source.rootJob || source.jobName || null,
+      location: source.location || null,
+      file: source.file || null,
+      resolvedFile: null,
+      callChain: [...chain, source.path],
+      status: 'analyzed',
+      resolved: true,
+      error: null,
+      dependencies: []
     };
   }
+
+  attributeCallChain(actions, chain, rootJob = null, file = null) {
+    Object.values(actions).forEach(list => {
+      list.forEach(action => {
+        action.callChain = chain;
+        action.rootJob = rootJob || action.jobName;
+        action.file = file;
+      });
+    });
+  }
+
+  getDependencyKey(reference) {
+    return `${reference.owner || ''}/${reference.repo || ''}/${reference.path}@${reference.ref || ''}`;
+  }
 }
 
 module.exports = WorkflowAnalyzer;
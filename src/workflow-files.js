@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { matchesGlob } = require('./glob');
+
+const DEFAULT_WORKFLOW_DIR = '.github/workflows';
+const WORKFLOW_EXTENSIONS = ['.yml', '.yaml'];
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+function isWorkflowFile(file) {
+  return WORKFLOW_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// Lists every file below a directory, with paths joined onto the directory as given
+function listFiles(dir) {
+  const files = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const entryPath = path.posix.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+        files.push(...listFiles(entryPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  });
+
+  return files;
+}
+
+// Walks only the literal directory prefix of a glob, e.g. `.github` for `.github/**/*.yml`
+function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(isGlobPattern);
+  const base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+    return [];
+  }
+
+  return listFiles(base)
+    .map(file => (base === '.' ? file.replace(/^\.\//, '') : file))
+    .filter(file => matchesGlob(file, normalized));
+}
+
+/**
+ * Expands files, directories and glob patterns into the workflow files to analyze
+ * Directories are searched recursively for .yml and .yaml files
+ * @param {string[]} patterns - Files, directories or glob patterns
+ * @returns {Object} { files, missing } with sorted, de-duplicated files and the patterns that matched nothing
+ */
+function findWorkflowFiles(patterns) {
+  const files = new Set();
+  const missing = [];
+
+  patterns.forEach(pattern => {
+    let matches;
+
+    if (isGlobPattern(pattern)) {
+      matches = expandGlob(pattern);
+    } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      matches = listFiles(pattern.replace(/\\/g, '/').replace(/\/+$/, '') || '/').filter(isWorkflowFile);
+    } else if (fs.existsSync(pattern)) {
+      matches = [pattern];
+    } else {
+      matches = [];
+    }
+
+    if (matches.length === 0) {
+      missing.push(pattern);
+    }
+    matches.forEach(file => files.add(file));
+  });
+
+  return { files: [...files].sort(), missing };
+}
+
+module.exports = { DEFAULT_WORKFLOW_DIR, findWorkflowFiles };
@@ -0,0 +1,101 @@
+const { logger: defaultLogger } = require('./logger');
+const { isDynamicWorkflow } = require('./policy');
+
+/**
+ * Finds the workflow run waiting on a deployment, from the run ID in the deployment callback URL
+ * @param {Object} installation - Installation Octokit with a request method
+ * @param {Object} payload - The deployment_protection_rule payload
+ * @param {Logger} [logger] - The logger, the shared logger by default
+ * @returns {Promise<Object>} { workflowRun }, or { workflowRun: null, reason } when no run matches the deployment
+ * @throws {Error} If the run or deployment cannot be looked up
+ */
+async function getWorkflowRun(installation, payload, logger = defaultLogger) {
+  try {
+    if (!installation || !installation.request) {
+      throw new Error('Invalid installation object - missing request method');
+    }
+
+    // The callback URL names the exact run waiting on this deployment
+    const runId = parseRunIdFromCallbackUrl(payload.deployment_callback_url);
+    if (!runId) {
+      return { workflowRun: null, reason: 'Could not determine the workflow run from the deployment callback URL' };
+    }
+
+    let workflowRun;
+    try {
+      const response = await installation.request('GET /repos/{owner}/{repo}/actions/runs/{run_id}', {
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        run_id: runId,
+      });
+      workflowRun = response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        return { workflowRun: null, reason: `Workflow run ${runId} from the deployment callback URL was not found` };
+      }
+      throw error;
+    }
+
+    logger.info('Resolved workflow run', {
+      name: workflowRun.name,
+      path: workflowRun.path,
+      headSha: workflowRun.head_sha,
+    });
+
+    // GitHub runs dynamic workflows on its own, so there is no commit of the repository to match
+    if (isDynamicWorkflow(workflowRun.path)) {
+      return { workflowRun };
+    }
+
+    if (!workflowRun.path || !workflowRun.head_sha) {
+      return { workflowRun: null, reason: `Workflow run ${runId} has no workflow path or head SHA` };
+    }
+
+    // The run must be building the commit that is being deployed
+    const deploymentSha = await getDeploymentSha(installation, payload);
+    if (deploymentSha && deploymentSha !== workflowRun.head_sha) {
+      return {
+        workflowRun: null,
+        reason: `Workflow run ${runId} is for commit ${workflowRun.head_sha} but the deployment is for ${deploymentSha}`
+      };
+    }
+
+    return { workflowRun };
+  } catch (error) {
+    // Unlike a run that does not match, a failed lookup is decided by the on_error setting
+    logger.error('Error getting workflow run', { error, response: error.response?.data });
+    throw new Error(`Could not look up the workflow run: ${error.message}`);
+  }
+}
+
+// The SHA being deployed, from the payload or else the deployment
+async function getDeploymentSha(installation, payload) {
+  if (payload.deployment?.sha) {
+    return payload.deployment.sha;
+  }
+
+  if (!payload.deployment?.id) {
+    return null;
+  }
+
+  const deployment = await installation.request('GET /repos/{owner}/{repo}/deployments/{deployment_id}', {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    deployment_id: payload.deployment.id,
+  });
+
+  return deployment.data.sha;
+}
+
+// The deployment callback URL contains the workflow run ID
+// Format: https://api.github.com/repos/owner/repo/actions/runs/{run_id}/deployment_protection_rule
+function parseRunIdFromCallbackUrl(callbackUrl) {
+  if (typeof callbackUrl !== 'string') {
+    return null;
+  }
+
+  const match = callbackUrl.match(/\/actions\/runs\/(\d+)\/deployment_protection_rule/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = { getWorkflowRun, parseRunIdFromCallbackUrl };
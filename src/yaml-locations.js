@@ -0,0 +1,149 @@
+const yaml = require('js-yaml');
+
+/**
+ * Source positions of the mappings and sequences in a parsed YAML document
+ * Positions are 1-based { line, column } objects
+ */
+class SourceLocations {
+  constructor(content) {
+    this.lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') {
+        this.lineStarts.push(i + 1);
+      }
+    }
+    this.nodes = new WeakMap();
+  }
+
+  /**
+   * Gets the position of a key in a mapping
+   * @param {Object} mapping - A mapping from the parsed document
+   * @param {string} key - The key
+   * @returns {Object|null} { line, column } or null if unknown
+   */
+  ofKey(mapping, key) {
+    const entry = this.getEntry(mapping, key);
+    return entry ? entry.key : null;
+  }
+
+  /**
+   * Gets the position of the value of a key in a mapping
+   * @param {Object} mapping - A mapping from the parsed document
+   * @param {string} key - The key
+   * @returns {Object|null} { line, column } or null if unknown
+   */
+  ofValue(mapping, key) {
+    const entry = this.getEntry(mapping, key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Gets the position of an item in a sequence
+   * @param {Array} sequence - A sequence from the parsed document
+   * @param {number} index - The item index
+   * @returns {Object|null} { line, column } or null if unknown
+   */
+  ofItem(sequence, index) {
+    const node = sequence && this.nodes.get(sequence);
+    return (node && node.items && node.items[index]) || null;
+  }
+
+  getEntry(mapping, key) {
+    const node = mapping && typeof mapping === 'object' ? this.nodes.get(mapping) : null;
+    return (node && node.keys && node.keys.get(String(key))) || null;
+  }
+
+  toPosition(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+}
+
+// Node events start before the separating whitespace, so move to the node itself
+function skipSeparation(content, offset) {
+  let position = offset;
+
+  while (position < content.length) {
+    const char = content[position];
+
+    if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+      position++;
+    } else if (char === '#') {
+      while (position < content.length && content[position] !== '\n') {
+        position++;
+      }
+    } else {
+      break;
+    }
+  }
+
+  return position;
+}
+
+/**
+ * Parses YAML and records where each mapping key, mapping value and sequence item starts
+ * @param {string} content - The YAML content
+ * @returns {Object} { document, locations } where locations is a SourceLocations
+ * @throws {Error} If the YAML is invalid
+ */
+function loadWithLocations(content) {
+  const source = typeof content === 'string' ? content : String(content);
+  const locations = new SourceLocations(source);
+  const stack = [];
+
+  const listener = (event, state) => {
+    if (event === 'open') {
+      stack.push({ offset: state.position, children: [] });
+      return;
+    }
+
+    const frame = stack.pop();
+    let node = {
+      position: locations.toPosition(skipSeparation(source, frame.offset)),
+      result: state.result,
+      children: frame.children
+    };
+
+    // Some nodes are wrapped in a second node with the same result; keep the inner one
+    if (frame.children.length === 1 && frame.children[0].result === state.result) {
+      node = frame.children[0];
+    }
+
+    const result = node.result;
+    if (result && typeof result === 'object' && !locations.nodes.has(result)) {
+      if (Array.isArray(result)) {
+        locations.nodes.set(result, { items: node.children.map(child => child.position) });
+      } else if (node.children.length === 2 * Object.keys(result).length) {
+        // Children alternate key, value; other shapes (merge keys, explicit keys) are not located
+        const keys = new Map();
+        for (let i = 0; i + 1 < node.children.length; i += 2) {
+          keys.set(String(node.children[i].result), {
+            key: node.children[i].position,
+            value: node.children[i + 1].position
+          });
+        }
+        locations.nodes.set(result, { keys });
+      }
+    }
+
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(node);
+    }
+  };
+
+  const document = yaml.load(source, { listener });
+  return { document, locations };
+}
+
+module.exports = { loadWithLocations, SourceLocations };
@@ -0,0 +1,46 @@
+const { getRefType, parseReference, matchesReference } = require('../src/action-references');
+
+describe('action-references', () => {
+  test('should parse each kind of reference', () => {
+    expect(parseReference('actions/checkout@v4')).toEqual({
+      kind: 'repository', local: false, owner: 'actions', repo: 'checkout', path: '', ref: 'v4', refType: 'tag'
+    });
+    expect(parseReference('github/codeql-action/init/@main')).toMatchObject({ kind: 'repository-path', path: 'init', refType: 'branch' });
+    expect(parseReference('octo/shared/.github/workflows/build.yml@v1')).toMatchObject({
+      kind: 'reusable-workflow', owner: 'octo', repo: 'shared', path: '.github/workflows/build.yml'
+    });
+    expect(parseReference('./.github/workflows/build.yml')).toMatchObject({ kind: 'reusable-workflow', local: true });
+    expect(parseReference('./actions/build/')).toMatchObject({ kind: 'local', local: true, path: 'actions/build', refType: null });
+    expect(parseReference('.')).toMatchObject({ kind: 'local', path: '' });
+    expect(parseReference('docker://alpine:3')).toMatchObject({ kind: 'docker', image: 'alpine:3', refType: null });
+  });
+
+  test('should report missing refs and reject invalid references', () => {
+    expect(parseReference('octo/action')).toMatchObject({ kind: 'repository', ref: null, refType: 'missing' });
+    expect(parseReference('octo/action@')).toMatchObject({ ref: null, refType: 'missing' });
+    expect(parseReference('checkout@v4')).toBeNull();
+    expect(parseReference('octo/repo/../other@v1')).toBeNull();
+    expect(parseReference('-octo/repo@v1')).toBeNull();
+    expect(parseReference(null)).toBeNull();
+  });
+
+  test('should classify refs', () => {
+    expect(getRefType('8f4b7f84864484a7bf31766abe9204da3cbe65b3')).toBe('sha');
+    expect(getRefType('v1.2.3')).toBe('tag');
+    expect(getRefType('8f4b7f8')).toBe('branch');
+    expect(getRefType(null)).toBe('missing');
+  });
+
+  test('should match owners, repositories and subdirectories with wildcards', () => {
+    const patterns = ['my-org', 'actions/setup-*', 'github/codeql-action/init'];
+
+    expect(matchesReference(parseReference('My-Org/tool@v1'), patterns)).toBe(true);
+    expect(matchesReference(parseReference('my-org/shared/.github/workflows/x.yml@v1'), patterns)).toBe(true);
+    expect(matchesReference(parseReference('actions/setup-node@v4'), patterns)).toBe(true);
+    expect(matchesReference(parseReference('actions/checkout@v4'), patterns)).toBe(false);
+    expect(matchesReference(parseReference('github/codeql-action/init@v3'), patterns)).toBe(true);
+    expect(matchesReference(parseReference('github/codeql-action/analyze@v3'), patterns)).toBe(false);
+    expect(matchesReference(parseReference('./my-org'), patterns)).toBe(false);
+    expect(matchesReference(null, patterns)).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, parseAuditFilters, toCsv, isAuthorized } = require('../src/audit-log');
+
+describe('AuditLog', () => {
+  let dir;
+  let auditLog;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    auditLog = new AuditLog(path.join(dir, 'nested', 'audit-log.jsonl'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const decision = (overrides) => ({
+    deliveryId: 'delivery-1',
+    repository: 'octo/app',
+    environment: 'production',
+    runId: 123,
+    sha: 'abc123',
+    workflowPath: '.github/workflows/deploy.yml',
+    policy: { source: 'server default policy', version: 1, ref: null },
+    findings: [],
+    outcome: 'approved',
+    message: 'Deployment approved',
+    delivered: true,
+    ...overrides
+  });
+
+  test('should append decisions with a timestamp', async () => {
+    const entry = await auditLog.record(decision());
+    await auditLog.record(decision({ deliveryId: 'delivery-2' }));
+
+    const lines = fs.readFileSync(auditLog.filePath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toEqual(entry);
+    expect(entry.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('should return an empty result before anything is recorded', async () => {
+    expect(await auditLog.query()).toEqual({ total: 0, decisions: [] });
+  });
+
+  test('should filter decisions and list the newest first', async () => {
+    fs.mkdirSync(path.dirname(auditLog.filePath), { recursive: true });
+    fs.writeFileSync(auditLog.filePath, [
+      JSON.stringify({ ...decision({ deliveryId: 'a', outcome: 'rejected' }), timestamp: '2026-01-01T10:00:00.000Z' }),
+      'not json',
+      JSON.stringify({ ...decision({ deliveryId: 'b', environment: 'staging' }), timestamp: '2026-01-02T10:00:00.000Z' }),
+      JSON.stringify({ ...decision({ deliveryId: 'c', repository: 'octo/other' }), timestamp: '2026-01-03T10:00:00.000Z' }),
+      JSON.stringify({ ...decision({ deliveryId: 'd', outcome: 'rejected' }), timestamp: '2026-01-04T10:00:00.000Z' }),
+      ''
+    ].join('\n'));
+
+    const ids = async (query) => (await auditLog.query(parseAuditFilters(query))).decisions.map(entry => entry.deliveryId);
+
+    expect(await ids({})).toEqual(['d', 'c', 'b', 'a']);
+    expect(await ids({ repository: 'OCTO/APP' })).toEqual(['d', 'b', 'a']);
+    expect(await ids({ environment: 'staging' })).toEqual(['b']);
+    expect(await ids({ outcome: 'rejected' })).toEqual(['d', 'a']);
+    expect(await ids({ since: '2026-01-02', until: '2026-01-03' })).toEqual(['c', 'b']);
+    expect(await auditLog.query(parseAuditFilters({ limit: '1' }))).toMatchObject({ total: 4, decisions: [{ deliveryId: 'd' }] });
+  });
+});
+
+describe('parseAuditFilters', () => {
+  test('should reject invalid filters', () => {
+    expect(() => parseAuditFilters({ outcome: 'maybe' })).toThrow('outcome must be one of: approved, rejected');
+    expect(() => parseAuditFilters({ since: 'yesterday' })).toThrow("since must be a date or timestamp, got 'yesterday'");
+    expect(() => parseAuditFilters({ limit: '0' })).toThrow('limit must be a whole number');
+    expect(() => parseAuditFilters({ repository: ['octo/a', 'octo/b'] })).toThrow('repository must be given once');
+    expect(() => parseAuditFilters({ until: { lt: '2026-01-01' } })).toThrow('until must be given once');
+  });
+
+  test('should treat a plain until date as the end of that day', () => {
+    expect(parseAuditFilters({ until: '2026-01-03' }).until.toISOString()).toBe('2026-01-03T23:59:59.999Z');
+    expect(parseAuditFilters({ until: '2026-01-03T12:00:00Z' }).until.toISOString()).toBe('2026-01-03T12:00:00.000Z');
+  });
+});
+
+describe('toCsv', () => {
+  test('should write a header and escape values', () => {
+    const csv = toCsv([{
+      timestamp: '2026-01-01T10:00:00.000Z',
+      deliveryId: 'delivery-1',
+      repository: 'octo/app',
+      environment: 'production',
+      outcome: 'rejected',
+      delivered: true,
+      runId: 123,
+      sha: 'abc123',
+      workflowPath: '.github/workflows/deploy.yml',
+      policy: { source: '.github/action-checker.yml (octo/app@abc123)', version: 1 },
+      findings: [{ rule: 'defaults.local_actions' }, { rule: 'defaults.pinning' }],
+      exemptions: [{ rule: 'defaults.local_actions', id: 'hotfix-1234', approvedBy: 'alice', expires: '2026-11-01' }],
+      message: 'Deployment rejected: "local", actions'
+    }]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'timestamp,delivery_id,repository,environment,outcome,delivered,run_id,sha,workflow_path,policy,policy_version,rules,exemptions,message',
+      '2026-01-01T10:00:00.000Z,delivery-1,octo/app,production,rejected,true,123,abc123,.github/workflows/deploy.yml,' +
+        '.github/action-checker.yml (octo/app@abc123),1,defaults.local_actions; defaults.pinning,' +
+        '"hotfix-1234 (defaults.local_actions, approved by alice, expires 2026-11-01)","Deployment rejected: ""local"", actions"',
+      ''
+    ]);
+  });
+
+  test('should keep spreadsheets from running values as formulas', () => {
+    const csv = toCsv([
+      { repository: 'octo/app', runId: -1, message: '=HYPERLINK("https://evil.example.com")' },
+      { repository: '@octo', workflowPath: '+deploy.yml', message: '-1+1' }
+    ]);
+    const [, first, second] = csv.split('\r\n');
+
+    expect(first).toBe(',,octo/app,,,,-1,,,,,,,"\'=HYPERLINK(""https://evil.example.com"")"');
+    expect(second).toBe(",,'@octo,,,,,,'+deploy.yml,,,,,'-1+1");
+  });
+});
+
+describe('isAuthorized', () => {
+  test('should accept only the configured bearer token', () => {
+    expect(isAuthorized('Bearer secret', 'secret')).toBe(true);
+    expect(isAuthorized('Bearer wrong', 'secret')).toBe(false);
+    expect(isAuthorized('secret', 'secret')).toBe(false);
+    expect(isAuthorized(undefined, 'secret')).toBe(false);
+    expect(isAuthorized('Bearer ', '')).toBe(false);
+  });
+});
@@ -0,0 +1,232 @@
+const {
+  isWorkflowPath,
+  getChangedFiles,
+  getDeploymentEnvironments,
+  analyzeWorkflowChanges,
+  buildCheckRunOutput,
+  publishCheckRun
+} = require('../src/check-runs');
+const { parsePolicy, loadServerPolicy } = require('../src/policy');
+const { createLogger } = require('../src/logger');
+
+describe('check runs', () => {
+  const files = {
+    '.github/workflows/deploy.yml': `name: Deploy
+on: push
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    environment: production
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ./actions/deploy
+`,
+    '.github/workflows/ci.yml': `name: CI
+on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+`,
+    'actions/deploy/action.yml': 'name: Deploy\nruns:\n  using: node20\n  main: index.js\n'
+  };
+  const fetchContent = async ({ path }) => files[path] || null;
+  const listWorkflows = async () => ['.github/workflows/ci.yml', '.github/workflows/deploy.yml'];
+
+  test('should recognize workflow files', () => {
+    expect(isWorkflowPath('.github/workflows/deploy.yml')).toBe(true);
+    expect(isWorkflowPath('.github/workflows/nested/deploy.yaml')).toBe(false);
+    expect(isWorkflowPath('.github/actions/build/action.yml')).toBe(false);
+  });
+
+  describe('analyzeWorkflowChanges', () => {
+    test('should analyze changed workflows only', async () => {
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows,
+        changedFiles: [
+          { filename: '.github/workflows/deploy.yml', status: 'modified' },
+          { filename: '.github/workflows/old.yml', status: 'removed' }
+        ],
+        policy: loadServerPolicy({})
+      });
+
+      expect(results.map(result => result.path)).toEqual(['.github/workflows/deploy.yml']);
+      expect(results[0].environments).toEqual(['production']);
+      expect(results[0].violations[0]).toMatchObject({ rule: 'defaults.local_actions', environment: 'production' });
+    });
+
+    test('should log analyzer diagnostics to the given logger', async () => {
+      const entries = [];
+      const logger = createLogger({ LOG_LEVEL: 'warn' }, { stream: { write: line => entries.push(JSON.parse(line)) } });
+
+      await analyzeWorkflowChanges({
+        fetchContent: async () => 'jobs: [unclosed\n',
+        listWorkflows,
+        changedFiles: [{ filename: '.github/workflows/broken.yml', status: 'added' }],
+        policy: loadServerPolicy({}),
+        logger
+      });
+
+      expect(entries).toEqual([expect.objectContaining({ level: 'warn', msg: 'Error parsing workflow YAML', component: 'analyzer' })]);
+    });
+
+    test('should analyze workflows that use a changed local action', async () => {
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows,
+        changedFiles: [{ filename: 'actions/deploy/index.js', status: 'modified' }],
+        policy: loadServerPolicy({})
+      });
+
+      expect(results.map(result => result.path)).toEqual(['.github/workflows/deploy.yml']);
+    });
+
+    test('should analyze every workflow when the policy changes', async () => {
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows,
+        changedFiles: [{ filename: '.github/action-checker.yml', status: 'modified' }],
+        policy: loadServerPolicy({})
+      });
+
+      expect(results.map(result => result.path)).toEqual(['.github/workflows/ci.yml', '.github/workflows/deploy.yml']);
+      expect(results[0].violations).toEqual([]);
+    });
+
+    test('should evaluate environment-specific rules', async () => {
+      const { policy } = parsePolicy(`version: 1
+defaults:
+  local_actions:
+    allowed: false
+environments:
+  production:
+    local_actions:
+      allowed: true
+`);
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows,
+        changedFiles: [{ filename: '.github/workflows/deploy.yml', status: 'modified' }],
+        policy
+      });
+
+      expect(results[0].violations).toEqual([]);
+    });
+
+    test('should ignore changes unrelated to workflows', async () => {
+      const results = await analyzeWorkflowChanges({
+        fetchContent,
+        listWorkflows,
+        changedFiles: [{ filename: 'README.md', status: 'modified' }],
+        policy: loadServerPolicy({})
+      });
+
+      expect(results).toEqual([]);
+    });
+  });
+
+  test('should collect environments of jobs and called workflows', () => {
+    expect(getDeploymentEnvironments({
+      jobs: [{ environment: 'staging' }, { environment: '${{ inputs.env }}' }, { environment: null }],
+      calledWorkflows: [{ environments: ['production', 'staging'] }]
+    })).toEqual(['staging', 'production']);
+  });
+
+  describe('buildCheckRunOutput', () => {
+    const location = {
+      file: { owner: null, repo: null, path: '.github/workflows/deploy.yml', ref: null },
+      line: 9,
+      column: 15,
+      yamlPath: 'jobs.deploy.steps[1].uses'
+    };
+    const results = [
+      { path: '.github/workflows/ci.yml', environments: [], violations: [], error: null },
+      {
+        path: '.github/workflows/deploy.yml',
+        environments: ['production'],
+        violations: [
+          { rule: 'defaults.local_actions', message: 'local actions are not allowed: ./actions/deploy', locations: [location] },
+          {
+            rule: 'built-in.reusable_workflows',
+            message: 'called workflows could not be analyzed',
+            locations: [{ ...location, file: { owner: 'octo', repo: 'shared', path: 'build.yml', ref: 'v1' } }]
+          }
+        ],
+        error: null
+      },
+      { path: '.github/workflows/broken.yml', environments: [], violations: [], error: 'Invalid YAML syntax' }
+    ];
+
+    test('should fail with annotations at each finding', () => {
+      const { conclusion, output } = buildCheckRunOutput(results, loadServerPolicy({}));
+
+      expect(conclusion).toBe('failure');
+      expect(output.title).toBe('2 of 3 workflow(s) would be rejected');
+      expect(output.annotations).toEqual([
+        expect.objectContaining({
+          path: '.github/workflows/deploy.yml',
+          start_line: 9,
+          start_column: 15,
+          annotation_level: 'failure',
+          title: 'Rule defaults.local_actions'
+        }),
+        expect.objectContaining({ path: '.github/workflows/deploy.yml', start_line: 1, title: 'Rule built-in.reusable_workflows' }),
+        expect.objectContaining({ path: '.github/workflows/broken.yml', start_line: 1, message: 'Invalid YAML syntax' })
+      ]);
+      expect(output.summary).toContain('| `.github/workflows/deploy.yml` | production | ❌ Would be rejected |');
+      expect(output.summary).toContain('| `.github/workflows/ci.yml` | (defaults) | ✅ Compliant |');
+    });
+
+    test('should succeed when every workflow complies', () => {
+      const { conclusion, output } = buildCheckRunOutput([results[0]], loadServerPolicy({}));
+
+      expect(conclusion).toBe('success');
+      expect(output.annotations).toEqual([]);
+    });
+  });
+
+  describe('GitHub requests', () => {
+    const repository = { name: 'app', owner: { login: 'octo' } };
+
+    test('should page through pull request files', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ filename: `file${i}`, status: 'added' }));
+      const request = jest.fn()
+        .mockResolvedValueOnce({ data: firstPage })
+        .mockResolvedValueOnce({ data: [{ filename: '.github/workflows/ci.yml', status: 'modified' }] });
+
+      const changed = await getChangedFiles({ request }, 'pull_request', { repository, pull_request: { number: 7 } });
+
+      expect(changed).toHaveLength(101);
+      expect(request).toHaveBeenLastCalledWith('GET /repos/{owner}/{repo}/pulls/{pull_number}/files', expect.objectContaining({ page: 2 }));
+    });
+
+    test('should use the pushed commits of a new branch', async () => {
+      const changed = await getChangedFiles({ request: jest.fn() }, 'push', {
+        repository,
+        before: '0000000000000000000000000000000000000000',
+        commits: [{ added: ['a.yml'], modified: [], removed: [] }, { added: [], modified: [], removed: ['a.yml'] }]
+      });
+
+      expect(changed).toEqual([{ filename: 'a.yml', status: 'removed' }]);
+    });
+
+    test('should send annotations in batches of 50', async () => {
+      const request = jest.fn().mockResolvedValue({ data: { id: 42 } });
+      const annotations = Array.from({ length: 120 }, (_, i) => ({ path: 'a.yml', start_line: i + 1 }));
+
+      await publishCheckRun({ request }, { owner: 'octo', repo: 'app', headSha: 'abc' }, {
+        conclusion: 'failure',
+        output: { title: 't', summary: 's', annotations }
+      });
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(request.mock.calls[0][1]).toMatchObject({ head_sha: 'abc', status: 'completed', conclusion: 'failure' });
+      expect(request.mock.calls[0][1].output.annotations).toHaveLength(50);
+      expect(request.mock.calls[2][0]).toBe('PATCH /repos/{owner}/{repo}/check-runs/{check_run_id}');
+      expect(request.mock.calls[2][1]).toMatchObject({ check_run_id: 42 });
+      expect(request.mock.calls[2][1].output.annotations).toHaveLength(20);
+    });
+  });
+});
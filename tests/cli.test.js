@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../cli');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+const WITH_LOCAL_ACTIONS = path.join(EXAMPLES, 'workflow-with-local-actions.yml');
+const WITHOUT_LOCAL_ACTIONS = path.join(EXAMPLES, 'workflow-without-local-actions.yml');
+
+describe('cli main', () => {
+  let output;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    output = [];
+    // Silence the CLI and its diagnostics; the server default policy rejects local actions
+    delete process.env.ALLOW_LOCAL_ACTIONS;
+    delete process.env.DEFAULT_POLICY_FILE;
+    process.env.LOG_LEVEL = 'silent';
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+    jest.spyOn(console, 'error').mockImplementation((...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  test('should exit 0 when every workflow would be approved', async () => {
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES])).toBe(0);
+    expect(output.join('\n')).toContain('1 workflow(s) analyzed: 1 approved, 0 rejected, 0 error(s)');
+  });
+
+  test('should exit 1 when a workflow would be rejected', async () => {
+    expect(await main([WITH_LOCAL_ACTIONS, WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES])).toBe(1);
+    expect(output.join('\n')).toContain('2 workflow(s) analyzed: 1 approved, 1 rejected, 0 error(s)');
+  });
+
+  test('should exit 2 for missing files and unknown options', async () => {
+    expect(await main([path.join(EXAMPLES, 'missing.yml'), '--root', EXAMPLES])).toBe(2);
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--nope'])).toBe(2);
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES, '--scope', 'env'])).toBe(2);
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES, '--visibility', 'secret'])).toBe(2);
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES, '--scope', 'environment', '--visibility', 'internal'])).toBe(0);
+  });
+
+  test('should only print rejected workflows with --quiet', async () => {
+    expect(await main([WITH_LOCAL_ACTIONS, WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES, '--quiet'])).toBe(1);
+
+    const text = output.join('\n');
+    expect(text).toContain(`❌ ${WITH_LOCAL_ACTIONS}: deployment would be rejected`);
+    expect(text).not.toContain(WITHOUT_LOCAL_ACTIONS);
+    expect(text).not.toContain('Analysis Results for');
+  });
+
+  test('should exit 2 when the output file cannot be written', async () => {
+    const outputFile = path.join(EXAMPLES, 'missing-dir', 'report.json');
+
+    expect(await main([WITHOUT_LOCAL_ACTIONS, '--root', EXAMPLES, '--format', 'json', '--output', outputFile])).toBe(2);
+  });
+
+  test('should exit 0 for rejections with --warn-only', async () => {
+    expect(await main([WITH_LOCAL_ACTIONS, '--root', EXAMPLES, '--warn-only'])).toBe(0);
+    expect(output.join('\n')).toContain('Rejections reported as warnings (--warn-only)');
+  });
+
+  test('should use the policy file under --root', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    try {
+      fs.mkdirSync(path.join(root, '.github'));
+      fs.writeFileSync(path.join(root, '.github', 'action-checker.yml'), 'version: 1\ndefaults:\n  local_actions:\n    allowed: true\n');
+
+      expect(await main([WITH_LOCAL_ACTIONS, '--root', root])).toBe(0);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test('should report analysis errors on the logger rather than with the report', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    const diagnostics = [];
+    process.env.LOG_LEVEL = 'error';
+    process.env.LOG_FORMAT = 'json';
+    jest.spyOn(process.stderr, 'write').mockImplementation(chunk => diagnostics.push(JSON.parse(chunk)));
+    try {
+      const workflow = path.join(root, 'broken.yml');
+      fs.writeFileSync(workflow, 'jobs: [unclosed\n');
+
+      expect(await main([workflow, '--root', root])).toBe(2);
+      expect(diagnostics).toEqual([expect.objectContaining({ level: 'error', msg: '❌ Error analyzing workflow', file: workflow })]);
+      expect(output.join('\n')).toContain(`Analysis Results for: ${workflow}`);
+      expect(output.join('\n')).not.toContain('❌ Error analyzing workflow');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
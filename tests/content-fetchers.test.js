@@ -0,0 +1,40 @@
+const { createGitHubFetcher } = require('../src/content-fetchers');
+
+describe('content fetchers', () => {
+  describe('createGitHubFetcher', () => {
+    const defaults = { owner: 'octo', repo: 'app', ref: 'abc1234' };
+
+    function createInstallation(data) {
+      return { request: jest.fn(async () => ({ data })) };
+    }
+
+    test('should decode files from the default repository and ref', async () => {
+      const installation = createInstallation({ type: 'file', encoding: 'base64', content: Buffer.from('name: Deploy\n').toString('base64') });
+
+      expect(await createGitHubFetcher(installation, defaults)({ path: '.github/workflows/deploy.yml' })).toBe('name: Deploy\n');
+      expect(installation.request).toHaveBeenCalledWith('GET /repos/{owner}/{repo}/contents/{path}', {
+        owner: 'octo',
+        repo: 'app',
+        path: '.github/workflows/deploy.yml',
+        ref: 'abc1234'
+      });
+    });
+
+    test('should treat directories, symlinks and submodules as not found', async () => {
+      const directory = [{ type: 'file', name: 'action.yml', path: 'actions/deploy/action.yml' }];
+      const symlink = { type: 'symlink', target: '../shared/action.yml', path: 'actions/deploy/action.yml' };
+      const submodule = { type: 'submodule', submodule_git_url: 'https://github.com/octo/shared.git', path: 'shared' };
+
+      for (const data of [directory, symlink, submodule]) {
+        expect(await createGitHubFetcher(createInstallation(data), defaults)({ path: 'actions/deploy' })).toBeNull();
+      }
+    });
+
+    test('should treat missing files as not found and rethrow other errors', async () => {
+      const failWith = status => ({ request: async () => { throw Object.assign(new Error(`HTTP ${status}`), { status }); } });
+
+      expect(await createGitHubFetcher(failWith(404), defaults)({ path: 'missing.yml' })).toBeNull();
+      await expect(createGitHubFetcher(failWith(500), defaults)({ path: 'deploy.yml' })).rejects.toThrow('HTTP 500');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const {
+  DeliveryDeduplicator,
+  JobQueue,
+  DeadLetterList,
+  isRetryableError,
+  getRetryDelay,
+  parseRetries,
+  retryWithBackoff
+} = require('../src/delivery-queue');
+const { Logger, runWithContext } = require('../src/logger');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, response: { headers } });
+
+describe('DeliveryDeduplicator', () => {
+  test('should claim each delivery once', () => {
+    const deliveries = new DeliveryDeduplicator();
+
+    expect(deliveries.claim('a')).toBe(true);
+    expect(deliveries.claim('a')).toBe(false);
+    expect(deliveries.claim('b')).toBe(true);
+  });
+
+  test('should process a released delivery again', () => {
+    const deliveries = new DeliveryDeduplicator();
+    deliveries.claim('a');
+    deliveries.release('a');
+
+    expect(deliveries.claim('a')).toBe(true);
+  });
+
+  test('should forget deliveries after the TTL', () => {
+    let now = 0;
+    const deliveries = new DeliveryDeduplicator({ ttlMs: 1000, now: () => now });
+    deliveries.claim('a');
+
+    now = 999;
+    expect(deliveries.claim('a')).toBe(false);
+    now = 1000;
+    expect(deliveries.claim('a')).toBe(true);
+  });
+
+  test('should forget the oldest deliveries beyond the limit', () => {
+    const deliveries = new DeliveryDeduplicator({ maxEntries: 2 });
+    ['a', 'b', 'c'].forEach(id => deliveries.claim(id));
+
+    expect(deliveries.claim('c')).toBe(false);
+    expect(deliveries.claim('a')).toBe(true);
+  });
+});
+
+describe('JobQueue', () => {
+  test('should run at most `concurrency` jobs at a time', async () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    const finished = [];
+
+    [50, 10, 10, 10].forEach((delay, i) => queue.push(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      finished.push(i);
+    }));
+
+    expect(queue.active).toBe(2);
+    expect(queue.pending).toBe(2);
+    await queue.onIdle();
+
+    expect(maxRunning).toBe(2);
+    expect(finished).toEqual([1, 2, 3, 0]);
+  });
+
+  test('should report failed jobs and keep going', async () => {
+    const onError = jest.fn();
+    const queue = new JobQueue({ concurrency: 1, onError });
+    const done = jest.fn();
+
+    queue.push(async () => { throw new Error('boom'); });
+    queue.push(done);
+    await queue.onIdle();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+    expect(done).toHaveBeenCalled();
+  });
+
+  test('should run jobs with the log context they were queued from', async () => {
+    const lines = [];
+    const logger = new Logger({ stream: { write: line => lines.push(JSON.parse(line)) } });
+    const queue = new JobQueue({ concurrency: 1 });
+
+    const enqueue = deliveryId => runWithContext({ deliveryId }, () => {
+      queue.push(async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        logger.info('handled');
+      });
+    });
+    enqueue('first');
+    enqueue('second');
+    await queue.onIdle();
+
+    expect(lines.map(line => line.deliveryId)).toEqual(['first', 'second']);
+  });
+});
+
+describe('retries', () => {
+  test('should retry network errors, server errors and rate limits only', () => {
+    expect(isRetryableError(new Error('socket hang up'))).toBe(true);
+    expect(isRetryableError(httpError(502))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(403, { 'x-ratelimit-remaining': '0' }))).toBe(true);
+    expect(isRetryableError(httpError(403, { 'retry-after': '60' }))).toBe(true);
+    expect(isRetryableError(httpError(403))).toBe(false);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(httpError(422))).toBe(false);
+  });
+
+  test('should back off exponentially', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect(getRetryDelay(httpError(500), 1, options)).toBe(1000);
+    expect(getRetryDelay(httpError(500), 2, options)).toBe(2000);
+    expect(getRetryDelay(httpError(500), 3, options)).toBe(4000);
+    expect(getRetryDelay(httpError(500), 4, options)).toBe(5000);
+  });
+
+  test('should wait as long as the rate limit headers ask', () => {
+    const now = () => 1700000000000;
+
+    expect(getRetryDelay(httpError(403, { 'retry-after': '30' }), 1, { now })).toBe(30000);
+    expect(getRetryDelay(httpError(403, { 'retry-after': new Date(now() + 90000).toUTCString() }), 1, { now })).toBe(90000);
+    expect(getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000120' }), 1, { now })).toBe(120000);
+    expect(getRetryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700003600' }), 1, { now, maxDelayMs: 600000 })).toBe(600000);
+  });
+
+  test('should retry until the request succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '3' }))
+      .mockResolvedValue({ status: 204 });
+    const sleep = jest.fn().mockResolvedValue();
+    const onRetry = jest.fn();
+
+    await expect(retryWithBackoff(fn, { sleep, onRetry, baseDelayMs: 100 })).resolves.toEqual({ status: 204 });
+    expect(sleep.mock.calls).toEqual([[100], [3000]]);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+  });
+
+  test('should give up after the retries or on a client error', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+
+    const unavailable = jest.fn().mockRejectedValue(httpError(503));
+    await expect(retryWithBackoff(unavailable, { retries: 2, sleep })).rejects.toMatchObject({ status: 503, attempts: 3 });
+
+    const notFound = jest.fn().mockRejectedValue(httpError(404));
+    await expect(retryWithBackoff(notFound, { sleep })).rejects.toMatchObject({ status: 404, attempts: 1 });
+    expect(notFound).toHaveBeenCalledTimes(1);
+  });
+
+  test('should use the default retries when the count is not valid', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const unavailable = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(retryWithBackoff(unavailable, { retries: NaN, sleep })).rejects.toMatchObject({ status: 503, attempts: 6 });
+  });
+
+  test('should parse retry counts from the environment', () => {
+    expect(parseRetries(undefined, 'CALLBACK_RETRIES')).toBeUndefined();
+    expect(parseRetries(' ', 'CALLBACK_RETRIES')).toBeUndefined();
+    expect(parseRetries('0', 'CALLBACK_RETRIES')).toBe(0);
+    expect(parseRetries('3', 'CALLBACK_RETRIES')).toBe(3);
+    expect(() => parseRetries('three', 'CALLBACK_RETRIES')).toThrow("CALLBACK_RETRIES must be a non-negative integer, not 'three'");
+    expect(() => parseRetries('-1', 'CALLBACK_RETRIES')).toThrow('must be a non-negative integer');
+  });
+});
+
+describe('DeadLetterList', () => {
+  test('should list the newest entries first and drop the oldest', () => {
+    const deadLetters = new DeadLetterList({ limit: 2 });
+
+    deadLetters.add({ deliveryId: 'a' });
+    deadLetters.add({ deliveryId: 'b' });
+    deadLetters.add({ deliveryId: 'c', state: 'rejected' });
+
+    expect(deadLetters.list()).toEqual([
+      { deliveryId: 'c', state: 'rejected', failedAt: expect.any(String) },
+      { deliveryId: 'b', failedAt: expect.any(String) }
+    ]);
+  });
+});
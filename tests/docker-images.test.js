@@ -0,0 +1,42 @@
+const { parseImageReference, isLatest, isAllowedRegistry } = require('../src/docker-images');
+
+const DIGEST = `sha256:${'a'.repeat(64)}`;
+
+describe('docker-images', () => {
+  test('should resolve Docker Hub names the way Docker does', () => {
+    expect(parseImageReference('node:20')).toEqual({
+      registry: 'docker.io', repository: 'library/node', name: 'docker.io/library/node', tag: '20', digest: null
+    });
+    expect(parseImageReference('docker://bitnami/redis').name).toBe('docker.io/bitnami/redis');
+    expect(parseImageReference('index.docker.io/library/alpine:3').name).toBe('docker.io/library/alpine');
+  });
+
+  test('should read registries, ports, tags and digests', () => {
+    expect(parseImageReference(`ghcr.io/my-org/app:1.2@${DIGEST}`)).toEqual({
+      registry: 'ghcr.io', repository: 'my-org/app', name: 'ghcr.io/my-org/app', tag: '1.2', digest: DIGEST
+    });
+    expect(parseImageReference('localhost:5000/app')).toMatchObject({ registry: 'localhost:5000', repository: 'app', tag: null });
+  });
+
+  test('should not parse expressions and invalid references', () => {
+    expect(parseImageReference('${{ matrix.image }}')).toBeNull();
+    expect(parseImageReference('node@sha256:abc')).toBeNull();
+    expect(parseImageReference('Node:20')).toBeNull();
+  });
+
+  test('should treat untagged images as latest unless pinned by digest', () => {
+    expect(isLatest(parseImageReference('node'))).toBe(true);
+    expect(isLatest(parseImageReference('node:latest'))).toBe(true);
+    expect(isLatest(parseImageReference(`node:latest@${DIGEST}`))).toBe(false);
+    expect(isLatest(parseImageReference('node:20'))).toBe(false);
+  });
+
+  test('should allow registries, namespaces and glob patterns', () => {
+    const patterns = ['ghcr.io/my-org', 'docker.io/library/node*'];
+
+    expect(isAllowedRegistry(parseImageReference('ghcr.io/my-org/tools/app:1'), patterns)).toBe(true);
+    expect(isAllowedRegistry(parseImageReference('node:20'), patterns)).toBe(true);
+    expect(isAllowedRegistry(parseImageReference('ghcr.io/my-org-fork/app:1'), patterns)).toBe(false);
+    expect(isAllowedRegistry(parseImageReference('python:3'), patterns)).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateExemptions, loadExemptionsFile, applyExemptions, formatExemption } = require('../src/exemptions');
+
+const hotfix = {
+  id: 'hotfix-1234',
+  environment: 'production',
+  workflow: '.github/workflows/hotfix.yml',
+  action: './.github/actions/patch',
+  reason: 'Hotfix for INC-42',
+  approved_by: 'alice',
+  expires: new Date('2026-11-01T00:00:00Z')
+};
+
+const localActions = {
+  rule: 'environments.production.local_actions',
+  message: 'local actions are not allowed: ./.github/actions/patch',
+  actions: ['./.github/actions/patch'],
+  locations: []
+};
+
+const target = { repository: 'octo/app', environment: 'production', workflowPath: '.github/workflows/hotfix.yml' };
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('exemptions', () => {
+  describe('validateExemptions', () => {
+    test('should accept complete exemptions', () => {
+      expect(validateExemptions([hotfix, { ...hotfix, id: 'by-rule', action: undefined, rule: 'pinning', expires: '2026-12-01' }], 'exemptions')).toEqual([]);
+    });
+
+    test('should require a scope, a reason, an approver and an expiry', () => {
+      expect(validateExemptions([{ id: 'x', workflow: 3, expires: 'soon', note: 'hi' }], 'exemptions')).toEqual([
+        'exemptions[0].note is not a recognized setting',
+        'exemptions[0].environment is required',
+        'exemptions[0].reason is required',
+        'exemptions[0].approved_by is required',
+        'exemptions[0].workflow must be of type string',
+        'exemptions[0] must name an action, a rule or both',
+        'exemptions[0].expires must be a date such as 2026-01-31'
+      ]);
+      expect(validateExemptions([hotfix, hotfix], 'exemptions')).toEqual(['exemptions[1].id hotfix-1234 is used by another exemption']);
+      expect(validateExemptions([hotfix], 'exemptions', { requireRepository: true })).toEqual(['exemptions[0].repository is required']);
+      expect(validateExemptions({}, 'exemptions')).toEqual(['exemptions must be a list']);
+    });
+  });
+
+  describe('applyExemptions', () => {
+    const evaluation = { approved: false, violations: [localActions], findings: [] };
+
+    test('should exempt violations whose actions are all covered', () => {
+      const result = applyExemptions(evaluation, [hotfix], target, now);
+
+      expect(result.approved).toBe(true);
+      expect(result.violations).toEqual([]);
+      expect(result.exempted).toEqual([{ violation: localActions, exemption: hotfix }]);
+      expect(result.expiredExemptions).toEqual([]);
+    });
+
+    test('should keep violations outside the scope of an exemption', () => {
+      const otherAction = { ...localActions, actions: ['./.github/actions/patch', './scripts/deploy'] };
+
+      expect(applyExemptions(evaluation, [hotfix], { ...target, environment: 'staging' }, now).approved).toBe(false);
+      expect(applyExemptions(evaluation, [hotfix], { ...target, workflowPath: '.github/workflows/deploy.yml' }, now).approved).toBe(false);
+      expect(applyExemptions(evaluation, [{ ...hotfix, repository: 'octo/other' }], target, now).approved).toBe(false);
+      expect(applyExemptions(evaluation, [{ ...hotfix, rule: 'pinning' }], target, now).approved).toBe(false);
+      expect(applyExemptions({ ...evaluation, violations: [otherAction] }, [hotfix], target, now).approved).toBe(false);
+    });
+
+    test('should match rules by id and report expired exemptions', () => {
+      const byRule = { ...hotfix, id: 'by-rule', action: undefined, rule: 'local_actions', repository: 'octo/*' };
+      const expired = { ...hotfix, id: 'expired', expires: new Date('2026-10-01T00:00:00Z') };
+
+      expect(applyExemptions(evaluation, [byRule], target, now).exempted[0].exemption).toBe(byRule);
+
+      const result = applyExemptions(evaluation, [expired], target, now);
+      expect(result.approved).toBe(false);
+      expect(result.expiredExemptions).toEqual([expired]);
+    });
+  });
+
+  test('should format exemptions with their reason, approver and expiry', () => {
+    expect(formatExemption(hotfix)).toBe('`hotfix-1234` (Hotfix for INC-42, approved by alice, expires 2026-11-01)');
+    expect(formatExemption({ ...hotfix, expires: '2026-11-01T18:30:00Z' })).toContain('expires 2026-11-01T18:30:00.000Z');
+  });
+
+  describe('loadExemptionsFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exemptions-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should read exemptions and require a repository for each', async () => {
+      const file = path.join(dir, 'exemptions.yml');
+      fs.writeFileSync(file, `
+exemptions:
+  - id: hotfix-1234
+    repository: octo/app
+    environment: production
+    workflow: .github/workflows/hotfix.yml
+    action: ./.github/actions/patch
+    reason: Hotfix for INC-42
+    approved_by: alice
+    expires: 2026-11-01
+`);
+
+      expect(await loadExemptionsFile(file)).toEqual([{ ...hotfix, repository: 'octo/app', source: file }]);
+
+      fs.writeFileSync(file, 'exemptions:\n  - { ...hotfix }\n');
+      await expect(loadExemptionsFile(file)).rejects.toThrow(`Invalid exemptions file ${file}`);
+      expect(await loadExemptionsFile(path.join(dir, 'missing.yml'))).toEqual([]);
+    });
+  });
+});
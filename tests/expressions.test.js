@@ -0,0 +1,55 @@
+const {
+  findExpressions,
+  normalizeContext,
+  getContextReferences,
+  isUntrustedContext,
+  findUntrustedExpressions,
+  getScriptInputs
+} = require('../src/expressions');
+
+describe('expressions', () => {
+  test('should find every expression with its offset', () => {
+    expect(findExpressions('echo ${{ github.sha }} ${{ format(\'{0}}}\', github.ref) }}')).toEqual([
+      { expression: '${{ github.sha }}', body: 'github.sha', index: 5 },
+      { expression: '${{ format(\'{0}}}\', github.ref) }}', body: 'format(\'{0}}}\', github.ref)', index: 23 }
+    ]);
+    expect(findExpressions('echo ${{ github.sha')).toEqual([]);
+  });
+
+  test('should normalize bracket, index and case variations', () => {
+    expect(normalizeContext('github.event[\'pull_request\'][\'title\']')).toBe('github.event.pull_request.title');
+    expect(normalizeContext('github.event.commits[0].message')).toBe('github.event.commits.*.message');
+    expect(normalizeContext('GitHub.Head_Ref')).toBe('github.head_ref');
+  });
+
+  test('should list context references but not functions or string literals', () => {
+    expect(getContextReferences('contains(github.event.pull_request.labels.*.name, \'github.head_ref\') && env.X'))
+      .toEqual(['github.event.pull_request.labels.*.name', 'env.x']);
+  });
+
+  test('should recognize untrusted contexts and the objects containing them', () => {
+    expect(isUntrustedContext('github.event.pull_request.title')).toBe(true);
+    expect(isUntrustedContext('github.event.commits.*.author.email')).toBe(true);
+    expect(isUntrustedContext('github.event.pull_request')).toBe(true);
+    expect(isUntrustedContext('github.event.pull_request.number')).toBe(false);
+    expect(isUntrustedContext('github.event.pull_request.head.sha')).toBe(false);
+    expect(isUntrustedContext('github.event_name')).toBe(false);
+  });
+
+  test('should report each untrusted context of a script', () => {
+    const script = 'echo "${{ github.event.pull_request.title }}"\ngit checkout ${{ github.head_ref }}\necho ${{ github.sha }}';
+
+    expect(findUntrustedExpressions(script)).toEqual([
+      { expression: '${{ github.event.pull_request.title }}', context: 'github.event.pull_request.title', index: 6 },
+      { expression: '${{ github.head_ref }}', context: 'github.head_ref', index: 59 }
+    ]);
+    expect(findUntrustedExpressions('echo "${{ toJSON(github.event.issue) }}"')[0].context).toBe('github.event.issue');
+    expect(findUntrustedExpressions(undefined)).toEqual([]);
+  });
+
+  test('should know the script inputs of well-known actions', () => {
+    expect(getScriptInputs('actions/github-script@v7')).toEqual(['script']);
+    expect(getScriptInputs('Azure/CLI@v2')).toEqual(['inlinescript']);
+    expect(getScriptInputs('actions/checkout@v4')).toEqual([]);
+  });
+});
@@ -0,0 +1,24 @@
+const { globToRegExp, matchesGlob } = require('../src/glob');
+
+describe('glob', () => {
+  test('should match single segments with *', () => {
+    expect(matchesGlob('release-1', 'release-*')).toBe(true);
+    expect(matchesGlob('a/b', '*')).toBe(false);
+  });
+
+  test('should match any depth with **', () => {
+    expect(matchesGlob('.github/actions/setup', '.github/actions/**')).toBe(true);
+    expect(matchesGlob('.github/actions/a/b', '.github/actions/**')).toBe(true);
+    expect(matchesGlob('scripts/deploy', '.github/actions/**')).toBe(false);
+    expect(matchesGlob('x.yml', '**/*.yml')).toBe(true);
+  });
+
+  test('should escape regular expression characters', () => {
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+
+  test('should support case-insensitive matching and pattern lists', () => {
+    expect(matchesGlob('Actions', ['octo', 'actions'], { ignoreCase: true })).toBe(true);
+    expect(matchesGlob(undefined, '*')).toBe(false);
+  });
+});
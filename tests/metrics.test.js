@@ -0,0 +1,78 @@
+const { MetricsRegistry, createAppMetrics } = require('../src/metrics');
+
+describe('metrics', () => {
+  test('should render counters with labels in the Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'decisions_total', help: 'Decisions', labelNames: ['repository', 'outcome'] });
+
+    counter.inc({ repository: 'octo/app', outcome: 'approved' });
+    counter.inc({ repository: 'octo/app', outcome: 'approved' });
+    counter.inc({ repository: 'octo/"quoted"\\app', outcome: 'rejected' }, 3);
+
+    expect(registry.render()).toBe([
+      '# HELP decisions_total Decisions',
+      '# TYPE decisions_total counter',
+      'decisions_total{repository="octo/app",outcome="approved"} 2',
+      'decisions_total{repository="octo/\\"quoted\\"\\\\app",outcome="rejected"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('should export counters without labels as 0 before they are incremented', () => {
+    const registry = new MetricsRegistry();
+    registry.counter({ name: 'failures_total', help: 'Failures' });
+
+    expect(registry.render()).toContain('\nfailures_total 0\n');
+  });
+
+  test('should fill missing labels with empty strings', () => {
+    const registry = new MetricsRegistry();
+    registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['endpoint', 'status'] }).inc({ endpoint: 'GET /' });
+
+    expect(registry.render()).toContain('errors_total{endpoint="GET /",status=""} 1');
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['outcome'], buckets: [1, 0.1] });
+
+    histogram.observe({ outcome: 'approved' }, 0.05);
+    histogram.observe({ outcome: 'approved' }, 0.5);
+    histogram.observe({ outcome: 'approved' }, 5);
+
+    expect(registry.render().split('\n').slice(2, 7)).toEqual([
+      'duration_seconds_bucket{outcome="approved",le="0.1"} 1',
+      'duration_seconds_bucket{outcome="approved",le="1"} 2',
+      'duration_seconds_bucket{outcome="approved",le="+Inf"} 3',
+      'duration_seconds_sum{outcome="approved"} 5.55',
+      'duration_seconds_count{outcome="approved"} 3'
+    ]);
+  });
+
+  test('should time operations with labels known at the end', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['outcome'] });
+
+    const stop = histogram.startTimer();
+    const seconds = stop({ outcome: 'rejected' });
+
+    expect(seconds).toBeGreaterThanOrEqual(0);
+    expect(registry.render()).toContain('duration_seconds_count{outcome="rejected"} 1');
+  });
+
+  test('should not register the same metric twice', () => {
+    const registry = new MetricsRegistry();
+    registry.counter({ name: 'a_total', help: 'A' });
+
+    expect(() => registry.counter({ name: 'a_total', help: 'A' })).toThrow('Metric a_total is already registered');
+  });
+
+  test('should define the service metrics', () => {
+    const output = createAppMetrics().registry.render();
+
+    expect(output).toContain('# TYPE local_action_checker_deployment_decisions_total counter');
+    expect(output).toContain('# TYPE local_action_checker_decision_duration_seconds histogram');
+    expect(output).toContain('local_action_checker_webhook_signature_failures_total 0');
+    expect(output).toContain('local_action_checker_workflow_analysis_duration_seconds_count 0');
+  });
+});
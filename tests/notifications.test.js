@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const {
+  SIGNATURE_HEADER,
+  parseNotificationConfig,
+  getDecisionEvents,
+  renderTemplate,
+  signPayload,
+  getMailTransportOptions,
+  Notifier
+} = require('../src/notifications');
+
+const CONFIG = `
+sinks:
+  audit-hook:
+    type: webhook
+    url: https://hooks.example.com/deployments
+    secret: \${HOOK_SECRET}
+  oncall:
+    type: slack
+    url: \${SLACK_WEBHOOK_URL}
+  security:
+    type: email
+    host: smtp.example.com
+    from: checker@example.com
+    to: security@example.com
+routes:
+  - sinks: [oncall, security]
+    repositories: [octo/*]
+    environments: [production]
+    template: "{{repository}} {{environment}} {{outcome}}: {{message}}"
+  - sinks: [audit-hook, oncall]
+    events: [rejected, approved, error]
+`;
+
+const ENV = { HOOK_SECRET: 'shh', SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T0/B0/secret' };
+
+const rejected = {
+  repository: 'octo/app',
+  environment: 'production',
+  outcome: 'rejected',
+  reason: 'policy_violation',
+  message: 'Deployment rejected by policy',
+  findings: [{ rule: 'environments.production.local_actions', message: 'local actions are not allowed: ./deploy' }],
+  runUrl: 'https://github.com/octo/app/actions/runs/42',
+  workflowPath: '.github/workflows/deploy.yml',
+  sha: 'abc1234def5678',
+  deliveryId: 'delivery-1',
+  delivered: true
+};
+
+function createTransports(status = 200) {
+  const requests = [];
+  const mails = [];
+  return {
+    requests,
+    mails,
+    fetch: async (url, options) => {
+      requests.push({ url, ...options });
+      return { ok: status < 300, status };
+    },
+    sendMail: async (server, message) => {
+      mails.push({ server, message });
+    }
+  };
+}
+
+describe('notifications', () => {
+  describe('parseNotificationConfig', () => {
+    test('should resolve sinks and fill in route defaults', () => {
+      const config = parseNotificationConfig(CONFIG, ENV);
+
+      expect(config.sinks['audit-hook']).toEqual({ name: 'audit-hook', type: 'webhook', url: 'https://hooks.example.com/deployments', secret: 'shh' });
+      expect(config.sinks.oncall.url).toBe(ENV.SLACK_WEBHOOK_URL);
+      expect(config.sinks.security.to).toEqual(['security@example.com']);
+      expect(config.routes[0].events).toEqual(['rejected', 'error']);
+      expect(config.routes[1].repositories).toEqual(['**']);
+      expect(config.routes[1].environments).toEqual(['**']);
+    });
+
+    test('should list every problem', () => {
+      const content = `
+sinks:
+  pager: { type: pagerduty }
+  mail: { type: email, host: smtp.example.com, port: "25", from: a@example.com }
+routes:
+  - sinks: [mail, pager]
+    events: [rejected, deleted]
+    when: always
+`;
+
+      expect(() => parseNotificationConfig(content, {})).toThrow(
+        'Invalid notifications config: sinks.pager.type must be one of: webhook, slack, email; ' +
+        'sinks.mail.to is required; sinks.mail.port must be a number; ' +
+        'routes[0].when is not a recognized setting; routes[0].sinks: unknown sink pager; ' +
+        'routes[0].events: deleted is not one of: rejected, approved, pending, error'
+      );
+    });
+
+    test('should reject references to unset environment variables', () => {
+      expect(() => parseNotificationConfig(CONFIG, { HOOK_SECRET: 'shh' }))
+        .toThrow('sinks.oncall.url: environment variable SLACK_WEBHOOK_URL is not set');
+    });
+  });
+
+  describe('getDecisionEvents', () => {
+    test('should add error for failed analyses and undelivered decisions', () => {
+      expect(getDecisionEvents(rejected)).toEqual(['rejected']);
+      expect(getDecisionEvents({ ...rejected, reason: 'workflow_not_found' })).toEqual(['rejected', 'error']);
+      expect(getDecisionEvents({ ...rejected, outcome: 'approved', delivered: false })).toEqual(['approved', 'error']);
+      expect(getDecisionEvents({ outcome: 'pending', delivered: false })).toEqual(['pending']);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should fill in placeholders and drop unknown ones', () => {
+      expect(renderTemplate('{{ repository }} to {{environment}}{{nope}}', { repository: 'octo/app', environment: 'prod' }))
+        .toBe('octo/app to prod');
+    });
+  });
+
+  describe('Notifier', () => {
+    test('should send each routed sink the decision once', async () => {
+      const transports = createTransports();
+      const notifier = new Notifier(parseNotificationConfig(CONFIG, ENV), transports);
+
+      const results = await notifier.notify(rejected);
+
+      expect(results).toEqual([
+        { sink: 'oncall', sent: true, error: null },
+        { sink: 'security', sent: true, error: null },
+        { sink: 'audit-hook', sent: true, error: null }
+      ]);
+
+      // The first route that picks a sink decides its template
+      const slack = transports.requests.find(request => request.url === ENV.SLACK_WEBHOOK_URL);
+      expect(JSON.parse(slack.body)).toEqual({ text: 'octo/app production rejected: Deployment rejected by policy' });
+
+      expect(transports.mails).toHaveLength(1);
+      expect(transports.mails[0].server.host).toBe('smtp.example.com');
+      expect(transports.mails[0].message).toEqual({
+        from: 'checker@example.com',
+        to: ['security@example.com'],
+        subject: '[octo/app] Deployment to production rejected',
+        text: 'octo/app production rejected: Deployment rejected by policy'
+      });
+    });
+
+    test('should sign webhook bodies', async () => {
+      const transports = createTransports();
+      const notifier = new Notifier(parseNotificationConfig(CONFIG, ENV), transports);
+
+      await notifier.notify({ ...rejected, repository: 'other/app' });
+
+      const hook = transports.requests.find(request => request.url === 'https://hooks.example.com/deployments');
+      const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(hook.body).digest('hex')}`;
+      expect(hook.headers[SIGNATURE_HEADER]).toBe(expected);
+      expect(signPayload(hook.body, 'shh')).toBe(expected);
+
+      const body = JSON.parse(hook.body);
+      expect(body.events).toEqual(['rejected']);
+      expect(body.repository).toBe('other/app');
+      expect(body.runUrl).toBe('https://github.com/octo/app/actions/runs/42');
+      expect(body.text).toContain('Workflow: .github/workflows/deploy.yml at abc1234');
+      expect(body.text).toContain('- rule `environments.production.local_actions`: local actions are not allowed: ./deploy');
+    });
+
+    test('should skip decisions no route is interested in', async () => {
+      const transports = createTransports();
+      const notifier = new Notifier(parseNotificationConfig(CONFIG, ENV), transports);
+
+      expect(await notifier.notify({ ...rejected, outcome: 'pending', reason: 'approval_required' })).toEqual([]);
+      expect(transports.requests).toHaveLength(0);
+    });
+
+    test('should report failures without naming secret URLs', async () => {
+      const transports = createTransports(500);
+      const errors = [];
+      const logger = { info: () => {}, error: (message, meta) => errors.push(meta) };
+      const notifier = new Notifier(parseNotificationConfig(CONFIG, ENV), { ...transports, logger });
+
+      const results = await notifier.notify({ ...rejected, repository: 'other/app' });
+
+      expect(results).toEqual([
+        { sink: 'audit-hook', sent: false, error: 'https://hooks.example.com responded 500' },
+        { sink: 'oncall', sent: false, error: 'https://hooks.slack.com responded 500' }
+      ]);
+      expect(errors.map(meta => meta.sink)).toEqual(['audit-hook', 'oncall']);
+    });
+
+    test('should give up on sinks that do not respond', async () => {
+      // Never answers, like a hung server; only the abort signal ends the request
+      const fetch = (url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      });
+      const notifier = new Notifier(parseNotificationConfig(CONFIG, ENV), { fetch, timeoutMs: 20 });
+
+      const results = await notifier.notify({ ...rejected, repository: 'other/app' });
+
+      expect(results.map(result => result.error)).toEqual([
+        'https://hooks.example.com did not respond within 20ms',
+        'https://hooks.slack.com did not respond within 20ms'
+      ]);
+    });
+  });
+
+  describe('getMailTransportOptions', () => {
+    test('should require STARTTLS on plain connections unless turned off', () => {
+      expect(getMailTransportOptions({ host: 'smtp.example.com', username: 'bot', password: 'pw' }, 5000)).toEqual({
+        host: 'smtp.example.com',
+        port: 587,
+        secure: false,
+        requireTLS: true,
+        ignoreTLS: false,
+        auth: { user: 'bot', pass: 'pw' },
+        connectionTimeout: 5000,
+        greetingTimeout: 5000,
+        socketTimeout: 5000
+      });
+      expect(getMailTransportOptions({ host: 'smtp.example.com', secure: true }, 5000))
+        .toMatchObject({ port: 465, secure: true, requireTLS: false, auth: undefined });
+      expect(getMailTransportOptions({ host: 'localhost', port: 25, starttls: false }, 5000))
+        .toMatchObject({ port: 25, requireTLS: false, ignoreTLS: true });
+    });
+  });
+});
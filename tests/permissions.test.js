@@ -0,0 +1,30 @@
+const { normalizePermissions, findExcessPermissions, formatPermissions } = require('../src/permissions');
+
+describe('permissions', () => {
+  test('should expand read-all and write-all to every scope', () => {
+    expect(normalizePermissions('read-all').contents).toBe('read');
+    expect(normalizePermissions('write-all')['id-token']).toBe('write');
+  });
+
+  test('should give unlisted scopes no access', () => {
+    const scopes = normalizePermissions({ contents: 'read', 'id-token': 'write' });
+
+    expect(scopes).toMatchObject({ contents: 'read', 'id-token': 'write', packages: 'none' });
+    expect(formatPermissions(scopes)).toBe('contents: read, id-token: write');
+    expect(formatPermissions(normalizePermissions({}))).toBe('no access');
+  });
+
+  test('should reject blocks that are not a mapping or shorthand', () => {
+    expect(normalizePermissions('admin')).toBeNull();
+    expect(normalizePermissions(['contents'])).toBeNull();
+  });
+
+  test('should find scopes above their allowed level', () => {
+    const scopes = normalizePermissions({ contents: 'write', 'id-token': 'write', issues: 'read' });
+
+    expect(findExcessPermissions(scopes, { contents: 'read', 'id-token': 'write' })).toEqual([
+      { scope: 'contents', level: 'write', allowed: 'read' },
+      { scope: 'issues', level: 'read', allowed: 'none' }
+    ]);
+  });
+});
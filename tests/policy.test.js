@@ -0,0 +1,668 @@
+const WorkflowAnalyzer = require('../src/workflow-analyzer');
+const {
+  parsePolicy,
+  validatePolicy,
+  loadServerPolicy,
+  resolveRules,
+  getAnalysisScope,
+  getErrorHandling,
+  isDynamicWorkflow,
+  findIgnorePattern,
+  findUnpinnedActions,
+  evaluatePolicy,
+  formatLocation,
+  formatDecision,
+  formatErrorDecision,
+  formatIgnoredDecision
+} = require('../src/policy');
+const { applyExemptions } = require('../src/exemptions');
+
+const repositorySource = {
+  type: 'repository',
+  path: '.github/action-checker.yml',
+  repository: 'octo/app',
+  ref: 'abcdef1234567890'
+};
+
+const policyContent = `
+version: 1
+defaults:
+  local_actions:
+    allowed: false
+environments:
+  production:
+    allowed_owners: [actions, octo]
+  staging:
+    local_actions:
+      allowed: true
+      paths: ['./.github/actions/**']
+  release-*:
+    local_actions:
+      allowed: true
+`;
+
+const workflowContent = `
+on: [push]
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ./.github/actions/setup
+      - uses: ./scripts/deploy
+      - uses: someone/else@v1
+`;
+
+describe('policy', () => {
+  let details;
+
+  beforeEach(() => {
+    details = new WorkflowAnalyzer().getActionDetails(workflowContent);
+  });
+
+  describe('validatePolicy', () => {
+    test('should accept a valid policy', () => {
+      const { policy, errors } = parsePolicy(policyContent, repositorySource);
+
+      expect(errors).toEqual([]);
+      expect(policy.environments.production.allowed_owners).toEqual(['actions', 'octo']);
+    });
+
+    test('should report unknown settings and wrong types', () => {
+      const errors = validatePolicy({
+        version: 1,
+        defaults: { local_actions: { allowed: 'no' }, unknown_rule: true }
+      });
+
+      expect(errors).toContain('defaults.local_actions.allowed must be of type boolean');
+      expect(errors).toContain('defaults.unknown_rule is not a recognized setting');
+    });
+
+    test('should validate settings with a fixed set of values', () => {
+      expect(validatePolicy({ version: 1, defaults: { scope: 'environment' } })).toEqual([]);
+      expect(validatePolicy({ version: 1, defaults: { scope: 'jobs' } })).toEqual([
+        'defaults.scope must be one of: workflow, environment'
+      ]);
+    });
+
+    test('should require a supported version', () => {
+      expect(validatePolicy({})).toContain('version is required');
+      expect(validatePolicy({ version: 2 })[0]).toMatch(/version 2 is not supported/);
+    });
+
+    test('should report invalid YAML', () => {
+      const { policy, errors } = parsePolicy('version: [1', repositorySource);
+
+      expect(policy).toBeNull();
+      expect(errors[0]).toMatch(/invalid YAML/);
+    });
+  });
+
+  describe('loadServerPolicy', () => {
+    test('should derive the default from ALLOW_LOCAL_ACTIONS', () => {
+      expect(loadServerPolicy({}).defaults.local_actions.allowed).toBe(false);
+      expect(loadServerPolicy({ ALLOW_LOCAL_ACTIONS: 'true' }).defaults.local_actions.allowed).toBe(true);
+    });
+  });
+
+  describe('resolveRules', () => {
+    test('should let environments override defaults', () => {
+      const { policy } = parsePolicy(policyContent, repositorySource);
+      const rules = resolveRules(policy, 'staging');
+
+      expect(rules.local_actions.path).toBe('environments.staging.local_actions');
+    });
+
+    test('should match environment glob patterns', () => {
+      const { policy } = parsePolicy(policyContent, repositorySource);
+
+      expect(resolveRules(policy, 'release-42').local_actions.path).toBe('environments.release-*.local_actions');
+      expect(resolveRules(policy, 'dev').local_actions.path).toBe('defaults.local_actions');
+    });
+  });
+
+  describe('getAnalysisScope', () => {
+    test('should default to the whole workflow', () => {
+      expect(getAnalysisScope(loadServerPolicy({}), 'production')).toBe('workflow');
+    });
+
+    test('should read the scope for the environment', () => {
+      const { policy } = parsePolicy(`
+version: 1
+environments:
+  production:
+    scope: environment
+`, repositorySource);
+
+      expect(getAnalysisScope(policy, 'production')).toBe('environment');
+      expect(getAnalysisScope(policy, 'staging')).toBe('workflow');
+    });
+  });
+
+  describe('getErrorHandling', () => {
+    test('should reject by default', () => {
+      expect(getErrorHandling(loadServerPolicy({}), 'production')).toEqual({ onError: 'reject', rule: 'built-in.on_error' });
+    });
+
+    test('should read on_error for the environment', () => {
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  on_error: approve
+environments:
+  production:
+    on_error: pending
+`, repositorySource);
+
+      expect(getErrorHandling(policy, 'production')).toEqual({ onError: 'pending', rule: 'environments.production.on_error' });
+      expect(getErrorHandling(policy, 'staging')).toEqual({ onError: 'approve', rule: 'defaults.on_error' });
+      expect(validatePolicy({ version: 1, defaults: { on_error: 'ignore' } })).toEqual([
+        'defaults.on_error must be one of: reject, approve, pending'
+      ]);
+    });
+
+    test('should name the outcome, the problem and the rule in the comment', () => {
+      const { policy } = parsePolicy('version: 1\ndefaults:\n  on_error: approve\n', repositorySource);
+
+      expect(formatErrorDecision(policy, getErrorHandling(policy, 'production'), 'Could not fetch workflow file .github/workflows/deploy.yml')).toBe(
+        'Deployment approved without analysis: Could not fetch workflow file .github/workflows/deploy.yml ' +
+        '(rule `defaults.on_error` of .github/action-checker.yml (octo/app@abcdef1))'
+      );
+    });
+  });
+
+  describe('findIgnorePattern', () => {
+    test('should ignore no workflows by default', () => {
+      const policy = loadServerPolicy({});
+
+      expect(findIgnorePattern(policy, 'production', '.github/workflows/deploy.yml')).toBeNull();
+      expect(findIgnorePattern(policy, 'production', 'dynamic/pages/pages-build-deployment')).toBeNull();
+    });
+
+    test('should tell dynamic workflows apart', () => {
+      ['dynamic/github-code-scanning/codeql', 'dynamic/dependabot/dependabot-updates', 'dynamic/pages/pages-build-deployment']
+        .forEach(workflowPath => expect(isDynamicWorkflow(workflowPath)).toBe(true));
+      expect(isDynamicWorkflow('.github/workflows/dynamic.yml')).toBe(false);
+      expect(isDynamicWorkflow(undefined)).toBe(false);
+    });
+
+    test('should use the configured patterns per environment, never for dynamic workflows', () => {
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  ignore_workflows: ['dynamic/**', '.github/workflows/docs-*.yml']
+environments:
+  production:
+    ignore_workflows: []
+`, repositorySource);
+
+      expect(findIgnorePattern(policy, 'staging', '.github/workflows/docs-build.yml')).toEqual({
+        pattern: '.github/workflows/docs-*.yml',
+        rule: 'defaults.ignore_workflows'
+      });
+      expect(findIgnorePattern(policy, 'staging', 'dynamic/github-code-scanning/codeql')).toBeNull();
+      expect(findIgnorePattern(policy, 'production', '.github/workflows/docs-build.yml')).toBeNull();
+    });
+
+    test('should explain the approval', () => {
+      const { policy } = parsePolicy("version: 1\ndefaults:\n  ignore_workflows: ['.github/workflows/docs-*.yml']\n", repositorySource);
+      const ignored = findIgnorePattern(policy, 'github-pages', '.github/workflows/docs-build.yml');
+
+      expect(formatIgnoredDecision(policy, '.github/workflows/docs-build.yml', ignored)).toBe(
+        'Deployment approved: workflow .github/workflows/docs-build.yml matches `.github/workflows/docs-*.yml` in rule ' +
+        '`defaults.ignore_workflows` of .github/action-checker.yml (octo/app@abcdef1) and was not analyzed'
+      );
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    test('should reject local actions and owners outside the allowlist in production', () => {
+      const { policy } = parsePolicy(policyContent, repositorySource);
+      const evaluation = evaluatePolicy(policy, 'production', details);
+
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.violations.map(v => v.rule)).toEqual([
+        'defaults.local_actions',
+        'environments.production.allowed_owners'
+      ]);
+      expect(evaluation.violations[1].actions).toEqual(['someone/else@v1']);
+    });
+
+    test('should only allow local actions under the configured paths', () => {
+      const { policy } = parsePolicy(policyContent, repositorySource);
+      const evaluation = evaluatePolicy(policy, 'staging', details);
+
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.violations).toHaveLength(1);
+      expect(evaluation.violations[0].actions).toEqual(['./scripts/deploy']);
+    });
+
+    test('should name the rule and policy file in the rejection comment', () => {
+      const { policy } = parsePolicy(policyContent, repositorySource);
+      const message = formatDecision(evaluatePolicy(policy, 'staging', details), details);
+
+      expect(message).toContain('rule `environments.staging.local_actions`');
+      expect(message).toContain('.github/action-checker.yml (octo/app@abcdef1)');
+    });
+
+    test('should approve when the server default allows local actions', () => {
+      const policy = loadServerPolicy({ ALLOW_LOCAL_ACTIONS: 'true' });
+      const evaluation = evaluatePolicy(policy, 'production', details);
+
+      expect(evaluation.approved).toBe(true);
+      expect(formatDecision(evaluation, details)).toMatch(/^Deployment approved despite local actions/);
+    });
+
+    test('should reject called workflows that could not be analyzed unless allowed', async () => {
+      const tree = await new WorkflowAnalyzer().analyzeWorkflowTree(`
+jobs:
+  shared:
+    uses: octo/shared/.github/workflows/deploy.yml@v1
+`);
+      const evaluation = evaluatePolicy(loadServerPolicy({}), 'production', tree);
+
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.violations[0].rule).toBe('built-in.reusable_workflows');
+
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  reusable_workflows:
+    allow_unresolved: true
+`, repositorySource);
+      expect(evaluatePolicy(policy, 'production', tree).approved).toBe(true);
+    });
+
+    test('should include the call chain in violation messages', async () => {
+      const tree = await new WorkflowAnalyzer().analyzeWorkflowTree(`
+jobs:
+  build:
+    uses: ./.github/workflows/build.yml
+`, {
+        workflowPath: '.github/workflows/deploy.yml',
+        fetchContent: async () => 'jobs:\n  b:\n    steps:\n      - uses: ./local\n'
+      });
+      const evaluation = evaluatePolicy(loadServerPolicy({}), 'production', tree);
+
+      expect(evaluation.violations[0].message).toBe(
+        'local actions are not allowed: ./local (via ./.github/workflows/build.yml)'
+      );
+    });
+
+    test('should require resolved action metadata when configured', async () => {
+      const tree = await new WorkflowAnalyzer().analyzeWorkflowTree(`
+jobs:
+  build:
+    steps:
+      - uses: octo/private-action@v1
+`, { fetchContent: async () => null });
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  composite_actions:
+    require_resolved: true
+`, repositorySource);
+
+      expect(evaluatePolicy(loadServerPolicy({}), 'production', tree).approved).toBe(true);
+
+      const evaluation = evaluatePolicy(policy, 'production', tree);
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.violations[0].message).toBe(
+        'action metadata could not be analyzed: octo/private-action@v1 (Action metadata not found)'
+      );
+    });
+
+    test('should require SHA pinning outside exempt owners', () => {
+      const pinnedDetails = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  deploy:
+    steps:
+      - uses: actions/checkout@8f4b7f84864484a7bf31766abe9204da3cbe65b3
+      - uses: octo/internal-action@main
+      - uses: someone/else@v1
+      - uses: someone/branchy@develop
+`);
+      const { policy } = parsePolicy(`
+version: 1
+environments:
+  production:
+    pinning:
+      required: true
+      exempt_owners: [octo]
+`, repositorySource);
+
+      const evaluation = evaluatePolicy(policy, 'production', pinnedDetails);
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.violations[0]).toMatchObject({
+        rule: 'environments.production.pinning',
+        message: 'actions not pinned to a full commit SHA: someone/else@v1 [tag], someone/branchy@develop [branch]',
+        actions: ['someone/else@v1', 'someone/branchy@develop']
+      });
+
+      expect(evaluatePolicy(policy, 'staging', pinnedDetails).approved).toBe(true);
+      expect(findUnpinnedActions(pinnedDetails)).toHaveLength(3);
+    });
+    test('should reject untrusted input in scripts when configured', () => {
+      const injectionDetails = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  greet:
+    steps:
+      - run: echo "\${{ github.event.issue.title }}"
+`);
+      const { policy } = parsePolicy(`
+version: 1
+environments:
+  production:
+    script_injection:
+      allowed: false
+`, repositorySource);
+
+      expect(evaluatePolicy(policy, 'production', injectionDetails).violations).toEqual([
+        expect.objectContaining({
+          rule: 'environments.production.script_injection',
+          message: 'untrusted input interpolated into scripts: github.event.issue.title in jobs.greet.steps[0].run',
+          actions: ['\${{ github.event.issue.title }}']
+        })
+      ]);
+      expect(evaluatePolicy(policy, 'staging', injectionDetails).approved).toBe(true);
+    });
+    test('should enforce the permissions allowed for an environment', async () => {
+      const tree = await new WorkflowAnalyzer().analyzeWorkflowTree(`
+jobs:
+  test:
+    steps: []
+  deploy:
+    permissions:
+      id-token: write
+      contents: write
+    steps: []
+  release:
+    permissions: write-all
+    steps: []
+`, { workflowPath: '.github/workflows/deploy.yml' });
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  permissions:
+    required: true
+environments:
+  production:
+    permissions:
+      allow_write_all: false
+      allowed:
+        id-token: write
+        contents: read
+`, repositorySource);
+
+      const production = evaluatePolicy(policy, 'production', tree).violations;
+      expect(production.map(violation => violation.message)).toEqual([
+        'jobs without a permissions block get the default GITHUB_TOKEN permissions: test',
+        'jobs with permissions: write-all: release',
+        'permissions broader than allowed (id-token: write, contents: read): deploy has contents: write'
+      ]);
+      expect(production[2].locations).toEqual([{
+        file: expect.objectContaining({ path: '.github/workflows/deploy.yml' }),
+        line: 7,
+        column: 7,
+        yamlPath: 'jobs.deploy.permissions'
+      }]);
+
+      expect(evaluatePolicy(policy, 'staging', tree).violations.map(violation => violation.rule)).toEqual(['defaults.permissions']);
+      expect(validatePolicy({ version: 1, defaults: { permissions: { allowed: { content: 'read' } } } })).toEqual([
+        'defaults.permissions.allowed.content is not a recognized setting'
+      ]);
+    });
+    test('should reject error findings of enabled analyzer rules', () => {
+      const noSudo = {
+        id: 'no-sudo',
+        severity: 'error',
+        step: step => (String(step.run).includes('sudo') ? [{ message: 'sudo in a run script' }] : [])
+      };
+      const details = new WorkflowAnalyzer({ rules: [noSudo] }).getActionDetails(`
+jobs:
+  build:
+    steps:
+      - uses: ./my-action
+      - run: sudo make install
+`);
+      const { policy } = parsePolicy(`
+version: 1
+environments:
+  production:
+    rules:
+      local-action:
+        severity: error
+      no-sudo:
+        enabled: false
+`, repositorySource);
+
+      const staging = evaluatePolicy(policy, 'staging', details);
+      expect(staging.violations.map(violation => [violation.rule, violation.message])).toEqual([
+        ['rules.no-sudo', 'sudo in a run script']
+      ]);
+      expect(staging.findings.map(finding => `${finding.ruleId}: ${finding.severity}`)).toEqual(['local-action: warning', 'no-sudo: error']);
+
+      const production = evaluatePolicy(policy, 'production', details);
+      expect(production.violations).toEqual([expect.objectContaining({
+        rule: 'environments.production.rules.local-action',
+        message: 'local action ./my-action',
+        actions: ['jobs.build.steps[0].uses']
+      })]);
+      expect(production.findings.map(finding => finding.ruleId)).toEqual(['local-action']);
+
+      expect(validatePolicy({ version: 1, defaults: { rules: { 'no-sudo': { severity: 'fatal' } } } })).toEqual([
+        'defaults.rules.no-sudo.severity must be one of: error, warning, notice'
+      ]);
+    });
+    test('should check container images against the docker_images rule', () => {
+      const details = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  build:
+    container: node:latest
+    services:
+      db:
+        image: ghcr.io/my-org/db@sha256:${'0'.repeat(64)}
+      cache:
+        image: quay.io/cache/redis:7
+    steps:
+      - uses: docker://\${{ matrix.image }}
+`);
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  docker_images:
+    allow_latest: false
+environments:
+  production:
+    docker_images:
+      require_digest: true
+      allowed_registries: [ghcr.io/my-org, docker.io/library]
+`, repositorySource);
+
+      expect(evaluatePolicy(policy, 'staging', details).violations.map(violation => violation.message)).toEqual([
+        'images that cannot be checked: docker://${{ matrix.image }} (step of build)',
+        'images using the latest tag: node:latest (container of build)'
+      ]);
+
+      const production = evaluatePolicy(policy, 'production', details).violations;
+      expect(production.map(violation => violation.message)).toEqual([
+        'images that cannot be checked: docker://${{ matrix.image }} (step of build)',
+        'images not pinned by digest: node:latest (container of build), quay.io/cache/redis:7 (service cache of build)',
+        'images from registries outside the allowlist (ghcr.io/my-org, docker.io/library): quay.io/cache/redis:7 (service cache of build)'
+      ]);
+      expect(production[2].locations).toEqual([
+        { file: null, line: 9, column: 16, yamlPath: 'jobs.build.services.cache.image' }
+      ]);
+    });
+    test('should check runners against the runners rule and repository visibility', () => {
+      const details = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  test:
+    runs-on: [self-hosted, linux]
+    steps: []
+  deploy:
+    runs-on:
+      group: production
+    steps: []
+  lint:
+    runs-on: ubuntu-latest
+    steps: []
+`);
+      const { policy } = parsePolicy(`
+version: 1
+environments:
+  production:
+    runners:
+      allowed_groups: [production]
+      denied_labels: [linux]
+`, repositorySource);
+
+      expect(evaluatePolicy(policy, 'staging', details, { visibility: 'private' }).approved).toBe(true);
+      expect(evaluatePolicy(policy, 'staging', details, { visibility: 'public' }).violations).toEqual([expect.objectContaining({
+        rule: 'built-in.runners',
+        message: 'runners that may be self-hosted in a public repository: [self-hosted, linux] (runner of test), group production (runner of deploy)',
+        locations: [
+          { file: null, line: 4, column: 14, yamlPath: 'jobs.test.runs-on' },
+          { file: null, line: 8, column: 7, yamlPath: 'jobs.deploy.runs-on' }
+        ]
+      })]);
+
+      expect(evaluatePolicy(policy, 'production', details).violations.map(violation => violation.message)).toEqual([
+        'runners outside the allowed groups (production): [self-hosted, linux] (runner of test), ubuntu-latest (runner of lint)',
+        'runners with denied labels (linux): [self-hosted, linux] (runner of test)'
+      ]);
+      expect(formatDecision(evaluatePolicy(policy, 'staging', details), details)).toBe(
+        'Deployment approved: No local actions detected ' +
+        '[runners: test on [self-hosted, linux], deploy on group production, lint on ubuntu-latest]'
+      );
+    });
+
+    test('should treat runners picked by an expression as possibly self-hosted in public repositories', () => {
+      const details = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  deploy:
+    runs-on: \${{ inputs.runner }}
+    steps: []
+`);
+      const { policy } = parsePolicy('version: 1\n', repositorySource);
+
+      expect(evaluatePolicy(policy, 'production', details, { visibility: 'private' }).approved).toBe(true);
+      expect(evaluatePolicy(policy, 'production', details, { visibility: 'public' }).violations).toEqual([expect.objectContaining({
+        rule: 'built-in.runners',
+        message: 'runners that may be self-hosted in a public repository: ${{ inputs.runner }} (unresolved) (runner of deploy)'
+      })]);
+
+      const { policy: allowed } = parsePolicy('version: 1\ndefaults:\n  runners:\n    allow_self_hosted_in_public: true\n', repositorySource);
+      expect(evaluatePolicy(allowed, 'production', details, { visibility: 'public' }).approved).toBe(true);
+    });
+
+    test('should read exemptions and cite them in the approval comment', () => {
+      const details = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  deploy:
+    steps:
+      - uses: ./.github/actions/patch
+`);
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  local_actions:
+    allowed: false
+exemptions:
+  - id: hotfix-1234
+    environment: production
+    workflow: .github/workflows/hotfix.yml
+    action: ./.github/actions/patch
+    reason: Hotfix for INC-42
+    approved_by: alice
+    expires: 2026-11-01
+  - id: pinning-migration
+    environment: '*'
+    workflow: .github/workflows/*
+    rule: pinning
+    reason: Pinning rollout
+    approved_by: bob
+    expires: 2026-10-01
+`, repositorySource);
+      const target = { repository: 'octo/app', environment: 'production', workflowPath: '.github/workflows/hotfix.yml' };
+      const evaluation = applyExemptions(evaluatePolicy(policy, 'production', details), policy.exemptions, target, new Date('2026-10-19T00:00:00Z'));
+
+      expect(policy.exemptions[0]).toMatchObject({ id: 'hotfix-1234', source: '.github/action-checker.yml' });
+      expect(evaluation.approved).toBe(true);
+      expect(formatDecision(evaluation, details)).toBe(
+        'Deployment approved with exemptions: rule `defaults.local_actions` of .github/action-checker.yml (octo/app@abcdef1): ' +
+        'local actions are not allowed: ./.github/actions/patch, ' +
+        'exempted by `hotfix-1234` (Hotfix for INC-42, approved by alice, expires 2026-11-01); ' +
+        'expired exemptions not applied: `pinning-migration` (expired 2026-10-01)'
+      );
+      expect(validatePolicy({ version: 1, exemptions: [{ id: 'x' }] })).toContain('exemptions[0].reason is required');
+    });
+
+    test('should enforce action allow- and denylists', () => {
+      const details = new WorkflowAnalyzer().getActionDetails(`
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/github-script@v7
+      - uses: someone/thing@main
+  deploy:
+    uses: my-org/shared/.github/workflows/deploy.yml@v1
+`);
+      const { policy } = parsePolicy(`
+version: 1
+defaults:
+  actions:
+    allowed: [actions/*, my-org]
+    denied: [actions/github-script]
+`, repositorySource);
+
+      const violations = evaluatePolicy(policy, 'production', details).violations;
+      expect(violations.map(violation => [violation.rule, violation.message])).toEqual([
+        ['defaults.actions', 'actions on the denylist (actions/github-script): actions/github-script@v7'],
+        ['defaults.actions', 'actions outside the allowlist (actions/*, my-org): someone/thing@main']
+      ]);
+    });
+  });
+
+  describe('formatLocation', () => {
+    const location = {
+      file: { owner: null, repo: null, path: '.github/workflows/deploy.yml', ref: null },
+      line: 12,
+      column: 15,
+      yamlPath: 'jobs.deploy.steps[2].uses'
+    };
+
+    test('should link to the file at the commit and line', () => {
+      expect(formatLocation(location, { repository: 'octo/app', ref: 'abc123' })).toBe(
+        '[.github/workflows/deploy.yml:12](https://github.com/octo/app/blob/abc123/.github/workflows/deploy.yml#L12)'
+      );
+    });
+
+    test('should link files in other repositories at their own ref', () => {
+      const remote = { ...location, file: { owner: 'octo', repo: 'shared', path: 'action.yml', ref: 'v1' } };
+
+      expect(formatLocation(remote, { repository: 'octo/app', ref: 'abc123', serverUrl: 'https://ghe.example.com' })).toBe(
+        '[octo/shared/action.yml:12](https://ghe.example.com/octo/shared/blob/v1/action.yml#L12)'
+      );
+    });
+
+    test('should fall back to a plain label without repository context', () => {
+      expect(formatLocation(location)).toBe('.github/workflows/deploy.yml:12');
+    });
+
+    test('should include links in rejection comments', async () => {
+      const tree = await new WorkflowAnalyzer().analyzeWorkflowTree(workflowContent, {
+        workflowPath: '.github/workflows/deploy.yml',
+        resolveActions: false
+      });
+      const evaluation = evaluatePolicy(loadServerPolicy({}), 'production', tree);
+      const message = formatDecision(evaluation, tree, { repository: 'octo/app', ref: 'abc123' });
+
+      expect(evaluation.violations[0].locations[0]).toMatchObject({ line: 8, yamlPath: 'jobs.deploy.steps[1].uses' });
+      expect(message).toContain(
+        '(at [.github/workflows/deploy.yml:8](https://github.com/octo/app/blob/abc123/.github/workflows/deploy.yml#L8), '
+      );
+    });
+  });
+});
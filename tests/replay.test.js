@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../src/logger');
+const { loadServerPolicy } = require('../src/policy');
+const { loadFixtures } = require('../src/mock-github');
+const { validatePayload, replayDelivery } = require('../src/replay');
+const { parseArgs } = require('../replay');
+
+const EXAMPLE_DIR = path.join(__dirname, '..', 'examples', 'replay');
+const payload = JSON.parse(fs.readFileSync(path.join(EXAMPLE_DIR, 'payload.json'), 'utf8'));
+const logger = createLogger({ LOG_LEVEL: 'silent' });
+
+function replay(overrides = {}, fixturesDir = path.join(EXAMPLE_DIR, 'fixtures')) {
+  return replayDelivery({ ...payload, ...overrides }, loadFixtures(fixturesDir), {
+    serverPolicy: loadServerPolicy({}),
+    logger
+  });
+}
+
+describe('replay', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Copies the example fixtures, with files added or replaced
+  function writeFixtures(files) {
+    fs.cpSync(path.join(EXAMPLE_DIR, 'fixtures'), dir, { recursive: true });
+    Object.entries(files).forEach(([file, content]) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    });
+    return dir;
+  }
+
+  test('should make the reject call the app would have made', async () => {
+    const result = await replay();
+
+    expect(result.calls).toHaveLength(1);
+    expect(result.calls[0].method).toBe('POST');
+    expect(result.calls[0].path).toBe('/repos/octo-org/app/actions/runs/3012/deployment_protection_rule');
+    expect(result.calls[0].body).toMatchObject({ environment_name: 'production', state: 'rejected' });
+    expect(result.calls[0].body.comment).toContain('local actions are not allowed: ./.github/actions/deploy');
+
+    expect(result.decision).toMatchObject({
+      repository: 'octo-org/app',
+      environment: 'production',
+      runId: 3012,
+      outcome: 'rejected',
+      reason: 'local_actions',
+      delivered: true,
+      workflowPath: '.github/workflows/deploy.yml'
+    });
+    expect(result.requests.map(request => `${request.method} ${request.path}`)).toEqual(expect.arrayContaining([
+      'POST /app/installations/424242/access_tokens',
+      'GET /repos/octo-org/app/actions/runs/3012',
+      'GET /repos/octo-org/app/contents/.github/workflows/deploy.yml',
+      'GET /repos/octo-org/app/contents/.github/actions/deploy/action.yml'
+    ]));
+    expect(result.unmatched.map(request => request.path)).toContain('/repos/octo-org/app/contents/.github/action-checker.yml');
+  });
+
+  test('should apply the repository policy from the fixtures', async () => {
+    const fixturesDir = writeFixtures({
+      'files/.github/action-checker.yml': 'version: 1\nenvironments:\n  production:\n    local_actions:\n      allowed: true\n'
+    });
+
+    const result = await replay({}, fixturesDir);
+
+    expect(result.calls[0].body.state).toBe('approved');
+    expect(result.decision.policy.source).toContain('.github/action-checker.yml');
+    expect(result.unmatched.map(request => request.path)).not.toContain('/repos/octo-org/app/contents/.github/action-checker.yml');
+  });
+
+  test('should record the exemptions that approved a deployment', async () => {
+    const fixturesDir = writeFixtures({
+      'files/.github/action-checker.yml': [
+        'version: 1',
+        'defaults:',
+        '  local_actions:',
+        '    allowed: false',
+        'exemptions:',
+        '  - id: hotfix-1234',
+        '    environment: production',
+        '    workflow: .github/workflows/deploy.yml',
+        '    action: ./.github/actions/deploy',
+        '    rule: local_actions',
+        '    reason: Hotfix for INC-42',
+        '    approved_by: alice',
+        '    expires: 2099-01-01',
+        ''
+      ].join('\n')
+    });
+
+    const result = await replay({}, fixturesDir);
+
+    expect(result.calls[0].body.state).toBe('approved');
+    expect(result.decision.reason).toBe('exempted');
+    expect(result.decision.exemptions).toEqual([
+      { rule: expect.stringMatching(/local_actions$/), id: 'hotfix-1234', approvedBy: 'alice', expires: '2099-01-01' }
+    ]);
+  });
+
+  test('should skip dynamic workflows without a decision', async () => {
+    const fixturesDir = writeFixtures({ 'run.json': { id: 3012, path: 'dynamic/pages/pages-build-deployment', head_sha: 'f00dfeed' } });
+
+    const result = await replay({}, fixturesDir);
+
+    expect(result.calls).toEqual([]);
+    expect(result.decision).toBeNull();
+    expect(result.requests.map(request => request.path)).not.toContain('/repos/octo-org/app/contents/.github/action-checker.yml');
+
+    const early = await replay({
+      deployment_callback_url: 'https://api.github.com/repos/octo-org/app/actions/runs/dynamic/github-code-scanning/codeql/deployment_protection_rule'
+    });
+    expect(early.requests).toEqual([]);
+    expect(early.decision).toBeNull();
+  });
+
+  test('should approve workflows the policy ignores without analyzing them', async () => {
+    const fixturesDir = writeFixtures({
+      'files/.github/action-checker.yml': "version: 1\ndefaults:\n  ignore_workflows: ['.github/workflows/deploy.yml']\n"
+    });
+
+    const result = await replay({}, fixturesDir);
+
+    expect(result.calls[0].body.state).toBe('approved');
+    expect(result.decision.reason).toBe('ignored_workflow');
+    expect(result.requests.map(request => request.path)).not.toContain('/repos/octo-org/app/contents/.github/workflows/deploy.yml');
+  });
+
+  test('should look up the deployment when the payload has no SHA', async () => {
+    const fixturesDir = writeFixtures({ 'deployment.json': { id: 1701, sha: 'f00dfeed' } });
+
+    const result = await replay({ deployment: { id: 1701 } }, fixturesDir);
+
+    expect(result.requests.map(request => request.path)).toContain('/repos/octo-org/app/deployments/1701');
+    expect(result.decision.reason).toBe('workflow_run_not_matched');
+    expect(result.calls[0].body.comment).toContain('but the deployment is for f00dfeed');
+  });
+
+  test('should record decisions the app could not deliver', async () => {
+    const result = await replay({ installation: undefined });
+
+    expect(result.calls).toEqual([]);
+    expect(result.decision).toMatchObject({ outcome: 'rejected', reason: 'no_installation', delivered: false });
+  });
+
+  test('should reject payloads of other events', async () => {
+    expect(validatePayload({ action: 'created', repository: {} })).toEqual([
+      'action must be requested, not created',
+      'repository.full_name is required',
+      'environment is required'
+    ]);
+    await expect(replay({ action: 'completed' })).rejects.toThrow('Cannot replay payload: action must be requested, not completed');
+  });
+
+  describe('loadFixtures', () => {
+    test('should require run.json', () => {
+      expect(() => loadFixtures(dir)).toThrow(`Fixtures directory ${dir} has no run.json`);
+      expect(() => loadFixtures(path.join(dir, 'missing'))).toThrow('does not exist');
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('should default to the fixtures next to the payload', () => {
+      expect(parseArgs(['incidents/42/payload.json', '-f', 'json'])).toMatchObject({
+        payloadFile: 'incidents/42/payload.json',
+        fixturesDir: path.join('incidents/42', 'fixtures'),
+        format: 'json'
+      });
+      expect(() => parseArgs([])).toThrow('A payload file is required');
+      expect(() => parseArgs(['a.json', 'b.json'])).toThrow("Unexpected argument 'b.json'");
+    });
+  });
+});
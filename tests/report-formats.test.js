@@ -0,0 +1,99 @@
+const { formatReports, formatJson, formatSarif, formatJunit } = require('../src/report-formats');
+
+describe('report formats', () => {
+  const context = {
+    tool: { name: 'local-action-checker', version: '1.0.0' },
+    environment: 'production',
+    policySource: 'server default policy'
+  };
+
+  const workflowFile = { owner: null, repo: null, path: '.github/workflows/deploy.yml', ref: null };
+  const reports = [
+    {
+      file: '.github/workflows/ci.yml',
+      workflowPath: '.github/workflows/ci.yml',
+      result: { jobs: [] },
+      violations: [],
+      unpinned: [],
+      error: null
+    },
+    {
+      file: '.github/workflows/deploy.yml',
+      workflowPath: '.github/workflows/deploy.yml',
+      result: { jobs: [{ name: 'deploy' }] },
+      violations: [
+        {
+          rule: 'environments.production.local_actions',
+          message: 'local actions are not allowed: ./scripts/deploy & <test>',
+          actions: ['./scripts/deploy'],
+          locations: [{ file: workflowFile, line: 12, column: 15, yamlPath: 'jobs.deploy.steps[2].uses' }]
+        },
+        {
+          rule: 'built-in.reusable_workflows',
+          message: 'called workflows could not be analyzed: octo/shared/.github/workflows/build.yml@v1',
+          actions: ['octo/shared/.github/workflows/build.yml@v1'],
+          locations: [{ file: { owner: 'octo', repo: 'shared', path: 'build.yml', ref: 'v1' }, line: 3, column: 9, yamlPath: 'jobs.build.uses' }]
+        }
+      ],
+      unpinned: [],
+      error: null
+    },
+    {
+      file: '.github/workflows/broken.yml',
+      workflowPath: '.github/workflows/broken.yml',
+      error: 'Invalid YAML syntax'
+    }
+  ];
+
+  test('json should include the analysis and decision of each workflow', () => {
+    const output = JSON.parse(formatJson(reports, context));
+
+    expect(output.summary).toEqual({ total: 3, approved: 1, rejected: 1, errors: 1 });
+    expect(output.environment).toBe('production');
+    expect(output.workflows.map(workflow => workflow.decision)).toEqual(['approved', 'rejected', 'error']);
+    expect(output.workflows[1].analysis).toEqual({ jobs: [{ name: 'deploy' }] });
+    expect(output.workflows[1].violations[0].locations[0].line).toBe(12);
+  });
+
+  test('sarif should report violations at their locations in the repository', () => {
+    const output = JSON.parse(formatSarif(reports, context));
+    const run = output.runs[0];
+
+    expect(output.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['analysis-error', 'local_actions', 'reusable_workflows']);
+    expect(run.results).toHaveLength(3);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'local_actions',
+      level: 'error',
+      properties: { rulePath: 'environments.production.local_actions' }
+    });
+    expect(run.results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: '.github/workflows/deploy.yml', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 12, startColumn: 15 }
+    });
+  });
+
+  test('sarif should fall back to the workflow file for findings in other repositories', () => {
+    const run = JSON.parse(formatSarif(reports, context)).runs[0];
+
+    expect(run.results[1].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: '.github/workflows/deploy.yml', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 1, startColumn: 1 }
+    });
+    expect(run.results[2]).toMatchObject({ ruleId: 'analysis-error', message: { text: 'Invalid YAML syntax' } });
+  });
+
+  test('junit should have one test case per workflow with escaped failures', () => {
+    const output = formatJunit(reports, context);
+
+    expect(output).toContain('<testsuites name="local-action-checker" tests="3" failures="1" errors="1">');
+    expect(output).toContain('<testcase name=".github/workflows/ci.yml" classname="local-action-checker.production"/>');
+    expect(output).toContain('./scripts/deploy &amp; &lt;test&gt;');
+    expect(output).toContain('at .github/workflows/deploy.yml:12:15 (jobs.deploy.steps[2].uses)');
+    expect(output).toContain('<error message="Invalid YAML syntax" type="analysis-error"/>');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => formatReports('xml', reports, context)).toThrow("Unknown format 'xml'");
+  });
+});
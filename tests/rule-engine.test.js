@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRules, RuleEngine } = require('../src/rule-engine');
+const { loadWithLocations } = require('../src/yaml-locations');
+
+const noLatestImage = {
+  id: 'no-latest-image',
+  severity: 'error',
+  job(job, context) {
+    return job.container === 'node:latest'
+      ? [{ message: `${context.jobName} runs in ${job.container}`, location: context.locate('container') }]
+      : [];
+  }
+};
+
+describe('RuleEngine', () => {
+  const { document: workflow, locations } = loadWithLocations('jobs:\n  build:\n    container: node:latest\n');
+  const context = {
+    workflow,
+    jobName: 'build',
+    job: workflow.jobs.build,
+    yamlPath: 'jobs.build',
+    location: { line: 2, column: 3, yamlPath: 'jobs.build' },
+    locations
+  };
+
+  test('should run the hooks of built-in and custom rules', () => {
+    const engine = new RuleEngine([noLatestImage]);
+
+    expect(engine.rules.map(rule => rule.id)).toEqual(['local-action', 'untrusted-checkout', 'no-latest-image']);
+    expect(engine.check('job', workflow.jobs.build, context)).toEqual([{
+      ruleId: 'no-latest-image',
+      severity: 'error',
+      message: 'build runs in node:latest',
+      location: { line: 3, column: 16, yamlPath: 'jobs.build.container' }
+    }]);
+  });
+
+  test('should default findings to the rule severity and the node location', () => {
+    const engine = new RuleEngine([{ id: 'always', job: () => ({ message: 'found' }) }]);
+
+    expect(engine.check('job', workflow.jobs.build, context)).toEqual([
+      { ruleId: 'always', severity: 'warning', message: 'found', location: context.location }
+    ]);
+  });
+
+  test('should report a rule that throws as an error finding', () => {
+    const engine = new RuleEngine([{ id: 'broken', job: () => { throw new Error('boom'); } }]);
+
+    expect(engine.check('job', workflow.jobs.build, context)).toEqual([
+      expect.objectContaining({ ruleId: 'broken', severity: 'error', message: 'rule failed: boom' })
+    ]);
+  });
+
+  test('should reject invalid and duplicate rules', () => {
+    expect(() => new RuleEngine([{ id: 'no hooks' }])).toThrow('id must be letters, digits, - and _');
+    expect(() => new RuleEngine([{ id: 'x', severity: 'fatal', step: () => [] }])).toThrow('severity must be one of');
+    expect(() => new RuleEngine([{ id: 'x' }])).toThrow('must define at least one of: workflow, job, step');
+    expect(() => new RuleEngine([{ id: 'local-action', step: () => [] }])).toThrow("Duplicate rule id 'local-action'");
+  });
+
+  describe('loadRules', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should load every .js module in the directory', () => {
+      fs.writeFileSync(path.join(dir, 'b.js'), "module.exports = { id: 'b', step: () => [] };");
+      fs.writeFileSync(path.join(dir, 'a.js'), "module.exports = { id: 'a', workflow: () => [] };");
+      fs.writeFileSync(path.join(dir, 'README.md'), '# Rules');
+
+      expect(loadRules(dir).map(rule => rule.id)).toEqual(['a', 'b']);
+    });
+
+    test('should name the file of a rule that cannot be loaded', () => {
+      fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = {');
+
+      expect(() => loadRules(dir)).toThrow(`Could not load rule ${path.join(dir, 'broken.js')}`);
+    });
+  });
+
+  describe('untrusted-checkout', () => {
+    const engine = new RuleEngine();
+
+    function checkSteps(yaml) {
+      const { document, locations } = loadWithLocations(yaml);
+      return document.jobs.build.steps.flatMap((step, stepIndex) => engine.check('step', step, {
+        workflow: document,
+        jobName: 'build',
+        job: document.jobs.build,
+        stepIndex,
+        yamlPath: `jobs.build.steps[${stepIndex}]`,
+        location: { line: null, column: null, yamlPath: `jobs.build.steps[${stepIndex}]` },
+        locations
+      })).filter(finding => finding.ruleId === 'untrusted-checkout');
+    }
+
+    test('should report checkouts of the pull request head and local actions run from them', () => {
+      const findings = checkSteps(`
+on: pull_request_target
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+        with:
+          ref: \${{ github.event.pull_request.head.sha }}
+      - uses: ./.github/actions/build
+`);
+
+      expect(findings.map(({ severity, message }) => ({ severity, message }))).toEqual([
+        { severity: 'error', message: 'job build checks out github.event.pull_request.head.sha on pull_request_target' },
+        { severity: 'error', message: 'job build runs local action ./.github/actions/build from the pull request checkout on pull_request_target' }
+      ]);
+    });
+
+    test('should report run scripts that fetch pull request refs', () => {
+      const findings = checkSteps(`
+on:
+  workflow_run:
+    workflows: [CI]
+jobs:
+  build:
+    steps:
+      - run: |
+          git fetch origin pull/\${{ github.event.workflow_run.pull_requests[0].number }}/head
+      - run: gh pr checkout 12
+`);
+
+      expect(findings.map(finding => finding.message)).toEqual([
+        'job build runs `git fetch origin pull/${{ github.event.workflow_run.pull_requests[0].number }}/head` on workflow_run',
+        'job build runs `gh pr checkout 12` on workflow_run'
+      ]);
+      expect(findings[0].location).toEqual({ line: 8, column: 14, yamlPath: 'jobs.build.steps[0].run' });
+    });
+
+    test('should ignore base branch checkouts and workflows without privileged triggers', () => {
+      expect(checkSteps(`
+on: [pull_request_target]
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ./.github/actions/build
+`)).toEqual([]);
+      expect(checkSteps(`
+on: pull_request
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+        with:
+          ref: \${{ github.event.pull_request.head.sha }}
+`)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { normalizeRunsOn, describeRunner, getRunnerType, mayBeSelfHosted, mayBeLarger } = require('../src/runners');
+
+describe('runners', () => {
+  describe('normalizeRunsOn', () => {
+    test('should accept a label, a list of labels and a group', () => {
+      expect(normalizeRunsOn('ubuntu-latest')).toEqual([
+        { labels: ['ubuntu-latest'], group: null, expression: null, type: 'github-hosted' }
+      ]);
+      expect(normalizeRunsOn(['self-hosted', 'linux', 'x64'])[0]).toMatchObject({ labels: ['self-hosted', 'linux', 'x64'], type: 'self-hosted' });
+      expect(normalizeRunsOn({ group: 'deployers', labels: 'linux' })[0]).toMatchObject({ group: 'deployers', labels: ['linux'], type: 'custom' });
+      expect(normalizeRunsOn(undefined)).toEqual([]);
+    });
+
+    test('should expand matrix references, including include entries', () => {
+      const strategy = { matrix: { os: ['ubuntu-latest', 'windows-latest'], include: [{ os: ['self-hosted', 'gpu'] }] } };
+
+      expect(normalizeRunsOn('${{ matrix.os }}', strategy).map(describeRunner)).toEqual([
+        'ubuntu-latest',
+        'windows-latest',
+        '[self-hosted, gpu]'
+      ]);
+      expect(normalizeRunsOn(['self-hosted', '${{ matrix.arch }}'], { matrix: { arch: ['x64', 'arm64'] } }).map(describeRunner)).toEqual([
+        '[self-hosted, x64]',
+        '[self-hosted, arm64]'
+      ]);
+    });
+
+    test('should leave other expressions unresolved', () => {
+      expect(normalizeRunsOn('${{ inputs.runner }}')).toEqual([
+        { labels: [], group: null, expression: '${{ inputs.runner }}', type: 'unknown' }
+      ]);
+      expect(normalizeRunsOn('${{ matrix.os }}', { matrix: '${{ fromJSON(inputs.matrix) }}' })[0].type).toBe('unknown');
+      expect(describeRunner(normalizeRunsOn({ group: '${{ vars.GROUP }}' })[0])).toBe('{"group":"${{ vars.GROUP }}"} (unresolved)');
+    });
+  });
+
+  test('should tell GitHub-hosted, larger, self-hosted and custom runners apart', () => {
+    expect(getRunnerType({ labels: ['Ubuntu-24.04'], group: null })).toBe('github-hosted');
+    expect(getRunnerType({ labels: ['macos-latest-xlarge'], group: null })).toBe('larger');
+    expect(getRunnerType({ labels: ['ubuntu-latest-16-cores'], group: null })).toBe('custom');
+    expect(getRunnerType({ labels: [], group: 'deployers' })).toBe('custom');
+
+    const custom = { type: 'custom' };
+    expect(mayBeSelfHosted(custom) && mayBeLarger(custom)).toBe(true);
+    expect(mayBeSelfHosted({ type: 'larger' })).toBe(false);
+  });
+});
@@ -0,0 +1,16 @@
+const { getTriggers, getPrivilegedTriggers } = require('../src/triggers');
+
+describe('triggers', () => {
+  test('should list the events of every form of the on: block', () => {
+    expect(getTriggers('push')).toEqual(['push']);
+    expect(getTriggers(['push', 'pull_request'])).toEqual(['push', 'pull_request']);
+    expect(getTriggers({ workflow_run: { workflows: ['CI'] }, workflow_dispatch: null })).toEqual(['workflow_run', 'workflow_dispatch']);
+    expect(getTriggers(undefined)).toEqual([]);
+  });
+
+  test('should pick out pull_request_target and workflow_run', () => {
+    expect(getPrivilegedTriggers(['push', 'pull_request_target'])).toEqual(['pull_request_target']);
+    expect(getPrivilegedTriggers({ pull_request: {}, workflow_run: {} })).toEqual(['workflow_run']);
+    expect(getPrivilegedTriggers('pull_request')).toEqual([]);
+  });
+});
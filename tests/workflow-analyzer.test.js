@@ -1,10 +1,13 @@
 const WorkflowAnalyzer = require('../src/workflow-analyzer');
+const { createLogger } = require('../src/logger');
+
+const logger = createLogger({ LOG_LEVEL: 'silent' });
 
 describe('WorkflowAnalyzer', () => {
   let analyzer;
 
   beforeEach(() => {
-    analyzer = new WorkflowAnalyzer();
+    analyzer = new WorkflowAnalyzer({ logger });
   });
 
   describe('isLocalAction', () => {
@@ -156,5 +159,633 @@ jobs:
       expect(result.summary.totalActions).toBe(4);
       expect(result.summary.localCount).toBe(1);
     });
+
+    test('should classify references by kind', () => {
+      const result = analyzer.getActionDetails(`
+jobs:
+  test:
+    steps:
+      - uses: actions/checkout@v4
+      - uses: github/codeql-action/init@v3
+      - uses: checkout@v4
+      - uses: octo/shared/.github/workflows/build.yml@v1
+`);
+
+      expect(result.actionBreakdown.external.map(action => action.kind)).toEqual(['repository', 'repository-path']);
+      expect(result.actionBreakdown.external[1].reference).toMatchObject({ owner: 'github', repo: 'codeql-action', path: 'init', ref: 'v3' });
+      expect(result.actionBreakdown.invalid.map(action => action.path)).toEqual(['checkout@v4', 'octo/shared/.github/workflows/build.yml@v1']);
+      expect(result.summary.invalidCount).toBe(2);
+    });
+  });
+
+  describe('reusable workflows', () => {
+    const callerWorkflow = `
+on: [push]
+jobs:
+  build:
+    uses: ./.github/workflows/build.yml
+  shared:
+    uses: octo/shared/.github/workflows/deploy.yml@v1
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+`;
+
+    const files = {
+      '.github/workflows/build.yml': `
+on: workflow_call
+jobs:
+  compile:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./custom-actions/compile
+  loop:
+    uses: ./.github/workflows/deploy.yml
+`,
+      'octo/shared:.github/workflows/deploy.yml@v1': `
+on: workflow_call
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./scripts/deploy
+`
+    };
+
+    const fetchContent = async ({ owner, repo, path, ref }) => {
+      const key = owner ? `${owner}/${repo}:${path}@${ref}` : path;
+      return files[key] === undefined ? null : files[key];
+    };
+
+    test('should report job-level uses as reusable workflow calls', () => {
+      const result = analyzer.getActionDetails(callerWorkflow);
+
+      expect(result.reusableWorkflows).toEqual([
+        './.github/workflows/build.yml',
+        'octo/shared/.github/workflows/deploy.yml@v1'
+      ]);
+      expect(result.jobs[0].reusableWorkflow).toBe('./.github/workflows/build.yml');
+      expect(result.hasLocalActions).toBe(false);
+      expect(result.summary.reusableWorkflowCount).toBe(2);
+      expect(result.summary.totalActions).toBe(1);
+    });
+
+    test('should parse local and remote workflow references', () => {
+      expect(analyzer.parseWorkflowReference('./.github/workflows/build.yml')).toEqual({
+        local: true, owner: null, repo: null, path: '.github/workflows/build.yml', ref: null
+      });
+      expect(analyzer.parseWorkflowReference('octo/shared/.github/workflows/x.yml@v1')).toEqual({
+        local: false, owner: 'octo', repo: 'shared', path: '.github/workflows/x.yml', ref: 'v1'
+      });
+      expect(analyzer.parseWorkflowReference('octo/shared@v1')).toBeNull();
+    });
+
+    test('should find local actions in called workflows and attribute their call chain', async () => {
+      const result = await analyzer.analyzeWorkflowTree(callerWorkflow, {
+        fetchContent,
+        workflowPath: '.github/workflows/deploy.yml'
+      });
+
+      expect(result.hasLocalActions).toBe(true);
+      expect(result.localActions).toEqual(['./custom-actions/compile', './scripts/deploy']);
+      expect(result.actionBreakdown.local[0].callChain).toEqual([
+        '.github/workflows/deploy.yml',
+        './.github/workflows/build.yml'
+      ]);
+      expect(result.actionBreakdown.local[1].callChain).toEqual([
+        '.github/workflows/deploy.yml',
+        'octo/shared/.github/workflows/deploy.yml@v1'
+      ]);
+      // Only the cyclic call is left unanalyzed
+      expect(result.calledWorkflows.filter(call => !call.resolved).map(call => call.status)).toEqual(['cycle']);
+      expect(result.hasUnresolvedWorkflows).toBe(true);
+    });
+
+    test('should stop at cycles', async () => {
+      const result = await analyzer.analyzeWorkflowTree(callerWorkflow, {
+        fetchContent,
+        workflowPath: '.github/workflows/deploy.yml'
+      });
+      const loop = result.calledWorkflows.find(call => call.jobName === 'loop');
+
+      expect(loop.status).toBe('cycle');
+      expect(loop.resolved).toBe(false);
+    });
+
+    test('should respect the maximum call depth', async () => {
+      const result = await analyzer.analyzeWorkflowTree(callerWorkflow, { fetchContent, maxDepth: 0 });
+
+      expect(result.calledWorkflows.map(call => call.status)).toEqual(['max-depth', 'max-depth']);
+      expect(result.hasUnresolvedWorkflows).toBe(true);
+    });
+
+    test('should mark called workflows as unresolved without a fetcher', async () => {
+      const result = await analyzer.analyzeWorkflowTree(callerWorkflow);
+
+      expect(result.calledWorkflows.every(call => call.status === 'unresolved')).toBe(true);
+      expect(result.hasUnresolvedWorkflows).toBe(true);
+    });
+  });
+
+  describe('composite actions', () => {
+    const workflowContent = `
+on: [push]
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: octo/toolkit/setup@v2
+      - uses: ./.github/actions/release
+`;
+
+    const files = {
+      'actions/checkout:action.yml@v4': 'runs:\n  using: node20\n  main: dist/index.js\n',
+      'octo/toolkit:setup/action.yaml@v2': `
+runs:
+  using: composite
+  steps:
+    - uses: ./scripts/bootstrap
+    - uses: someone/else@v1
+    - run: echo done
+      shell: bash
+`,
+      '.github/actions/release/action.yml': `
+runs:
+  using: composite
+  steps:
+    - uses: ./.github/actions/release
+`
+    };
+
+    const fetchContent = async ({ owner, repo, path, ref }) => {
+      const key = owner ? `${owner}/${repo}:${path}@${ref}` : path;
+      return files[key] === undefined ? null : files[key];
+    };
+
+    test('should parse action references', () => {
+      expect(analyzer.parseActionReference('octo/toolkit/setup@v2')).toEqual({
+        local: false, owner: 'octo', repo: 'toolkit', path: 'setup', ref: 'v2'
+      });
+      expect(analyzer.parseActionReference('.')).toEqual({
+        local: true, owner: null, repo: null, path: '', ref: null
+      });
+      expect(analyzer.parseActionReference('docker://alpine:3')).toBeNull();
+    });
+
+    test('should follow composite action steps transitively', async () => {
+      const result = await analyzer.analyzeWorkflowTree(workflowContent, { fetchContent, workflowPath: 'deploy.yml' });
+
+      expect(result.localActions).toContain('./scripts/bootstrap');
+      const bootstrap = result.actionBreakdown.local.find(action => action.path === './scripts/bootstrap');
+      expect(bootstrap.callChain).toEqual(['deploy.yml', 'octo/toolkit/setup@v2']);
+      expect(bootstrap.jobName).toBe('deploy');
+      expect(result.actionBreakdown.external.map(action => action.path)).toContain('someone/else@v1');
+    });
+
+    test('should build a dependency tree with the type of each action', async () => {
+      const result = await analyzer.analyzeWorkflowTree(workflowContent, { fetchContent, workflowPath: 'deploy.yml' });
+      const [checkout, setup, release] = result.dependencyTree.dependencies;
+
+      expect(checkout.using).toBe('node20');
+      expect(setup.using).toBe('composite');
+      expect(setup.dependencies.map(dependency => dependency.uses)).toEqual(['./scripts/bootstrap', 'someone/else@v1']);
+      expect(release.dependencies[0].status).toBe('cycle');
+    });
+
+    test('should report actions whose metadata cannot be found', async () => {
+      const result = await analyzer.analyzeWorkflowTree(workflowContent, { fetchContent });
+      const unresolved = result.calledActions.filter(action => !action.resolved).map(action => action.uses);
+
+      expect(unresolved).toEqual(['./scripts/bootstrap', 'someone/else@v1', './.github/actions/release']);
+      expect(result.hasUnresolvedActions).toBe(true);
+    });
+
+    test('should skip action resolution when disabled', async () => {
+      const result = await analyzer.analyzeWorkflowTree(workflowContent, { fetchContent, resolveActions: false });
+
+      expect(result.calledActions).toHaveLength(0);
+      expect(result.localActions).toEqual(['./.github/actions/release']);
+    });
+  });
+
+  describe('script injection', () => {
+    const workflowContent = `
+on: pull_request_target
+jobs:
+  greet:
+    runs-on: ubuntu-latest
+    steps:
+      - name: Greet
+        run: |
+          echo "Thanks for the contribution!"
+          echo "\${{ github.event.pull_request.title }}"
+      - uses: actions/github-script@v7
+        with:
+          script: core.info('\${{ github.head_ref }}')
+      - env:
+          TITLE: \${{ github.event.pull_request.title }}
+        run: echo "$TITLE \${{ github.event.pull_request.number }}"
+`;
+
+    test('should report untrusted contexts in run scripts and script inputs', () => {
+      const result = analyzer.getActionDetails(workflowContent);
+
+      expect(result.actionBreakdown.scriptInjections).toEqual([
+        expect.objectContaining({
+          path: '\${{ github.event.pull_request.title }}',
+          context: 'github.event.pull_request.title',
+          field: 'run',
+          jobName: 'greet',
+          stepName: 'Greet',
+          location: { line: 10, column: null, yamlPath: 'jobs.greet.steps[0].run' }
+        }),
+        expect.objectContaining({
+          context: 'github.head_ref',
+          field: 'with.script',
+          location: { line: 13, column: 19, yamlPath: 'jobs.greet.steps[1].with.script' }
+        })
+      ]);
+      expect(result.summary.scriptInjectionCount).toBe(2);
+    });
+
+    test('should follow composite actions', async () => {
+      const result = await analyzer.analyzeWorkflowTree('jobs:\n  build:\n    steps:\n      - uses: ./greet\n', {
+        workflowPath: 'build.yml',
+        fetchContent: async ({ path }) => (path === 'greet/action.yml'
+          ? 'runs:\n  using: composite\n  steps:\n    - run: echo "\${{ github.event.issue.body }}"\n      shell: bash\n'
+          : null)
+      });
+      const [injection] = result.actionBreakdown.scriptInjections;
+
+      expect(injection).toMatchObject({ context: 'github.event.issue.body', callChain: ['build.yml', './greet'], rootJob: 'build' });
+      expect(injection.file.path).toBe('greet/action.yml');
+    });
+  });
+
+  describe('rules', () => {
+    const onPush = {
+      id: 'on-push',
+      severity: 'notice',
+      workflow(workflow, context) {
+        return workflow.on === 'push' ? [{ message: 'runs on every push', location: context.locate('on') }] : [];
+      }
+    };
+    const noSudo = {
+      id: 'no-sudo',
+      severity: 'error',
+      step(step, context) {
+        return typeof step.run === 'string' && step.run.includes('sudo')
+          ? [{ message: `${context.jobName} runs sudo`, location: context.locate('run') }]
+          : [];
+      }
+    };
+
+    test('should collect the findings of built-in and custom rules', () => {
+      const details = new WorkflowAnalyzer({ rules: [onPush, noSudo], logger }).getActionDetails(`
+on: push
+jobs:
+  build:
+    steps:
+      - uses: ./my-action
+      - run: sudo make install
+`);
+
+      expect(details.findings).toEqual([
+        { ruleId: 'on-push', severity: 'notice', message: 'runs on every push', location: { line: 2, column: 5, yamlPath: 'on' } }
+      ]);
+      expect(details.jobs[0].steps.map(step => step.findings.map(finding => finding.ruleId))).toEqual([['local-action'], ['no-sudo']]);
+      expect(details.actionBreakdown.findings).toEqual([
+        expect.objectContaining({ ruleId: 'on-push', jobName: null, path: 'on' }),
+        expect.objectContaining({ ruleId: 'local-action', severity: 'warning', jobName: 'build', stepIndex: 0, path: 'jobs.build.steps[0].uses' }),
+        expect.objectContaining({ ruleId: 'no-sudo', message: 'build runs sudo', location: { line: 7, column: 14, yamlPath: 'jobs.build.steps[1].run' } })
+      ]);
+      expect(details.summary.findingCount).toBe(3);
+      expect(details.triggers).toEqual(['push']);
+      expect(details.localActions).toEqual(['./my-action']);
+    });
+
+    test('should run step rules on composite actions and keep workflow findings in scope', async () => {
+      const analyzer = new WorkflowAnalyzer({ rules: [onPush, noSudo], logger });
+      const files = {
+        'my-action/action.yml': 'runs:\n  using: composite\n  steps:\n    - run: sudo rm -rf /\n      shell: bash\n'
+      };
+      const tree = await analyzer.analyzeWorkflowTree(`
+on: push
+jobs:
+  lint:
+    steps:
+      - uses: ./my-action
+  deploy:
+    environment: production
+    steps: []
+`, { fetchContent: async ({ path }) => files[path] || null, workflowPath: 'deploy.yml', environment: 'production' });
+
+      expect(tree.actionBreakdown.findings.map(finding => finding.ruleId)).toEqual(['on-push']);
+      const unscoped = await analyzer.analyzeWorkflowTree(`
+jobs:
+  lint:
+    steps:
+      - uses: ./my-action
+`, { fetchContent: async ({ path }) => files[path] || null, workflowPath: 'deploy.yml' });
+      expect(unscoped.actionBreakdown.findings[1]).toMatchObject({
+        ruleId: 'no-sudo',
+        rootJob: 'lint',
+        file: { path: 'my-action/action.yml' },
+        location: { line: 4, yamlPath: 'runs.steps[0].run' }
+      });
+    });
+  });
+
+  describe('runners', () => {
+    test('should normalize runs-on into the runners of each job', () => {
+      const details = analyzer.getActionDetails(`
+jobs:
+  build:
+    runs-on: \${{ matrix.os }}
+    strategy:
+      matrix:
+        os: [ubuntu-latest, macos-14-xlarge]
+    steps: []
+  deploy:
+    runs-on:
+      group: deployers
+      labels: [self-hosted, linux]
+    steps: []
+  shared:
+    uses: ./.github/workflows/shared.yml
+`);
+
+      expect(details.jobs[1].runners).toEqual([
+        { labels: ['self-hosted', 'linux'], group: 'deployers', expression: null, type: 'self-hosted' }
+      ]);
+      expect(details.jobs[2].runners).toEqual([]);
+      expect(details.actionBreakdown.runners).toEqual([
+        expect.objectContaining({ path: 'ubuntu-latest', type: 'github-hosted', jobName: 'build', location: { line: 4, column: 14, yamlPath: 'jobs.build.runs-on' } }),
+        expect.objectContaining({ path: 'macos-14-xlarge', type: 'larger', jobName: 'build' }),
+        expect.objectContaining({ path: 'group deployers [self-hosted, linux]', type: 'self-hosted', jobName: 'deploy' })
+      ]);
+      expect(details.summary.runnerCount).toBe(3);
+    });
+  });
+
+  describe('container images', () => {
+    test('should list job container and service images', () => {
+      const details = analyzer.getActionDetails(`
+jobs:
+  test:
+    container: node:20
+    services:
+      redis:
+        image: redis:7
+  build:
+    container:
+      image: \${{ matrix.image }}
+    steps: []
+`);
+
+      expect(details.actionBreakdown.containerImages).toEqual([
+        { path: 'node:20', kind: 'container', service: null, jobName: 'test', location: { line: 4, column: 16, yamlPath: 'jobs.test.container' } },
+        { path: 'redis:7', kind: 'service', service: 'redis', jobName: 'test', location: { line: 7, column: 16, yamlPath: 'jobs.test.services.redis.image' } },
+        expect.objectContaining({ path: '${{ matrix.image }}', kind: 'container', jobName: 'build' })
+      ]);
+      expect(details.summary.containerImageCount).toBe(3);
+    });
+
+    test('should list the image of docker actions', () => {
+      const metadata = analyzer.analyzeActionMetadata('runs:\n  using: docker\n  image: docker://alpine:3.19\n', 'build');
+      const dockerfile = analyzer.analyzeActionMetadata('runs:\n  using: docker\n  image: Dockerfile\n', 'build');
+
+      expect(metadata.actionBreakdown.containerImages).toEqual([
+        { path: 'docker://alpine:3.19', kind: 'action', service: null, jobName: 'build', location: { line: 3, column: 10, yamlPath: 'runs.image' } }
+      ]);
+      expect(dockerfile.actionBreakdown.containerImages).toEqual([]);
+    });
+  });
+
+  describe('permissions', () => {
+    const workflowContent = `
+permissions:
+  contents: read
+jobs:
+  build:
+    steps: []
+  deploy:
+    permissions:
+      id-token: write
+    steps: []
+  release:
+    permissions: write-all
+    steps: []
+`;
+
+    test('should attach the effective permissions to each job', () => {
+      const result = analyzer.analyzeWorkflow(workflowContent);
+      const [build, deploy] = result.jobs;
+
+      expect(result.permissions.location).toEqual({ line: 3, column: 3, yamlPath: 'permissions' });
+      expect(build.permissions).toMatchObject({ source: 'workflow', scopes: expect.objectContaining({ contents: 'read' }) });
+      expect(deploy.permissions).toMatchObject({
+        source: 'job',
+        scopes: expect.objectContaining({ contents: 'none', 'id-token': 'write' }),
+        location: { line: 9, column: 7, yamlPath: 'jobs.deploy.permissions' }
+      });
+      expect(build.permissionFindings).toEqual([]);
+    });
+
+    test('should flag write-all and missing permissions', () => {
+      const result = analyzer.analyzeWorkflow(workflowContent);
+      const unrestricted = analyzer.analyzeWorkflow('jobs:\n  test:\n    steps: []\n');
+
+      expect(result.jobs[2].permissionFindings).toEqual([expect.objectContaining({ type: 'write-all' })]);
+      expect(unrestricted.jobs[0].permissions.source).toBe('default');
+      expect(unrestricted.jobs[0].permissionFindings).toEqual([
+        expect.objectContaining({ type: 'missing', location: { line: 2, column: 3, yamlPath: 'jobs.test' } })
+      ]);
+    });
+  });
+
+  describe('getRefType', () => {
+    test('should classify full commit SHAs', () => {
+      expect(analyzer.getRefType('actions/checkout@8f4b7f84864484a7bf31766abe9204da3cbe65b3')).toBe('sha');
+    });
+
+    test('should classify version-like refs as tags', () => {
+      expect(analyzer.getRefType('actions/checkout@v4')).toBe('tag');
+      expect(analyzer.getRefType('actions/checkout@v4.1.1')).toBe('tag');
+      expect(analyzer.getRefType('octo/shared/.github/workflows/x.yml@1.0.0-beta.1')).toBe('tag');
+    });
+
+    test('should classify other refs as branches', () => {
+      expect(analyzer.getRefType('octo/action@main')).toBe('branch');
+      expect(analyzer.getRefType('octo/action@8f4b7f8')).toBe('branch');
+    });
+
+    test('should report missing refs', () => {
+      expect(analyzer.getRefType('octo/action')).toBe('missing');
+      expect(analyzer.getRefType('octo/action@')).toBe('missing');
+    });
+
+    test('should ignore local and docker references', () => {
+      expect(analyzer.getRefType('./my-action')).toBeNull();
+      expect(analyzer.getRefType('docker://alpine:3')).toBeNull();
+    });
+
+    test('should attach the ref type to the action breakdown', () => {
+      const result = analyzer.getActionDetails(`
+jobs:
+  test:
+    steps:
+      - uses: actions/checkout@v4
+      - uses: ./local
+`);
+
+      expect(result.actionBreakdown.external[0].refType).toBe('tag');
+      expect(result.actionBreakdown.local[0].refType).toBeNull();
+    });
+  });
+
+  describe('scopeToEnvironment', () => {
+    const workflowContent = `
+on: [push]
+jobs:
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./scripts/lint-action
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: ./scripts/build-action
+  test:
+    needs: build
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+  deploy:
+    needs: [test]
+    environment:
+      name: Production
+      url: https://example.com
+    steps:
+      - uses: actions/checkout@v4
+  preview:
+    environment: \${{ inputs.target }}
+    steps:
+      - uses: ./scripts/preview
+  staging:
+    environment: staging
+    steps:
+      - uses: ./scripts/staging
+`;
+
+    test('should record environment and needs on job results', () => {
+      const result = analyzer.analyzeWorkflow(workflowContent);
+      const deploy = result.jobs.find(job => job.name === 'deploy');
+
+      expect(deploy.environment).toBe('Production');
+      expect(deploy.needs).toEqual(['test']);
+      expect(deploy.inScope).toBe(true);
+    });
+
+    test('should keep jobs targeting the environment and their upstream needs', () => {
+      const result = analyzer.scopeToEnvironment(analyzer.getActionDetails(workflowContent), 'production');
+      const reasons = Object.fromEntries(result.jobs.map(job => [job.name, [job.inScope, job.scopeReason]]));
+
+      expect(reasons).toEqual({
+        lint: [false, 'does not target environment "production"'],
+        build: [true, 'needed by test'],
+        test: [true, 'needed by deploy'],
+        deploy: [true, 'targets environment "production"'],
+        preview: [true, 'environment is an expression and cannot be evaluated'],
+        staging: [false, 'does not target environment "production"']
+      });
+      expect(result.localActions).toEqual(['./scripts/build-action', './scripts/preview']);
+      expect(result.scope.excludedJobs).toEqual(['lint', 'staging']);
+    });
+
+    test('should analyze all jobs when none targets the environment', () => {
+      const result = analyzer.scopeToEnvironment(analyzer.getActionDetails(`
+jobs:
+  build:
+    steps:
+      - uses: ./local
+`), 'production');
+
+      expect(result.jobs[0].inScope).toBe(true);
+      expect(result.jobs[0].scopeReason).toMatch(/no job targets environment/);
+      expect(result.hasLocalActions).toBe(true);
+    });
+
+    test('should scope jobs that call workflows deploying to the environment', async () => {
+      const result = await analyzer.analyzeWorkflowTree(`
+jobs:
+  lint:
+    steps:
+      - uses: ./scripts/lint-action
+  release:
+    uses: ./.github/workflows/release.yml
+`, {
+        environment: 'production',
+        fetchContent: async () => `
+jobs:
+  ship:
+    environment: production
+    steps:
+      - uses: ./scripts/ship
+`
+      });
+
+      expect(result.jobs.map(job => job.inScope)).toEqual([false, true]);
+      expect(result.jobs[1].scopeReason).toBe(
+        'calls ./.github/workflows/release.yml, which has a job targeting environment "production"'
+      );
+      expect(result.localActions).toEqual(['./scripts/ship']);
+      expect(result.calledActions.map(action => action.uses)).toEqual(['./scripts/ship']);
+    });
+  });
+
+  describe('locations', () => {
+    const workflowContent = `name: Deploy
+on: [push]
+jobs:
+  build:
+    uses: ./.github/workflows/build.yml
+  deploy:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: Local
+        uses: ./scripts/deploy
+`;
+
+    test('should record the line, column and YAML path of every action reference', () => {
+      const result = analyzer.getActionDetails(workflowContent);
+
+      expect(result.actionBreakdown.local[0].location).toEqual({
+        line: 11, column: 15, yamlPath: 'jobs.deploy.steps[1].uses'
+      });
+      expect(result.actionBreakdown.external[0].location).toEqual({
+        line: 9, column: 15, yamlPath: 'jobs.deploy.steps[0].uses'
+      });
+      expect(result.actionBreakdown.reusableWorkflows[0].location).toEqual({
+        line: 5, column: 11, yamlPath: 'jobs.build.uses'
+      });
+      expect(result.jobs[1].location).toEqual({ line: 6, column: 3, yamlPath: 'jobs.deploy' });
+    });
+
+    test('should attribute findings in called workflows to their file', async () => {
+      const result = await analyzer.analyzeWorkflowTree(workflowContent, {
+        workflowPath: '.github/workflows/deploy.yml',
+        resolveActions: false,
+        fetchContent: async () => 'jobs:\n  compile:\n    steps:\n      - uses: ./compile\n'
+      });
+      const compile = result.actionBreakdown.local.find(action => action.path === './compile');
+
+      expect(compile.file).toEqual({ owner: null, repo: null, path: '.github/workflows/build.yml', ref: null });
+      expect(compile.location).toEqual({ line: 4, column: 15, yamlPath: 'jobs.compile.steps[0].uses' });
+      expect(result.actionBreakdown.local[0].file.path).toBe('.github/workflows/deploy.yml');
+    });
   });
 });
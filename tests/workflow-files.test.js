@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findWorkflowFiles } = require('../src/workflow-files');
+
+describe('findWorkflowFiles', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-files-'));
+    const write = (file) => {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), 'on: push\n');
+    };
+
+    write('.github/workflows/deploy.yml');
+    write('.github/workflows/test.yaml');
+    write('.github/workflows/README.md');
+    write('.github/workflows/nested/release.yml');
+    write('node_modules/pkg/workflow.yml');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const relative = (files) => files.map(file => path.relative(root, file).split(path.sep).join('/'));
+
+  test('should find YAML files in directories recursively', () => {
+    const { files, missing } = findWorkflowFiles([path.join(root, '.github/workflows')]);
+
+    expect(relative(files)).toEqual([
+      '.github/workflows/deploy.yml',
+      '.github/workflows/nested/release.yml',
+      '.github/workflows/test.yaml'
+    ]);
+    expect(missing).toEqual([]);
+  });
+
+  test('should expand glob patterns and skip node_modules', () => {
+    const { files } = findWorkflowFiles([`${root}/**/*.yml`]);
+
+    expect(relative(files)).toEqual([
+      '.github/workflows/deploy.yml',
+      '.github/workflows/nested/release.yml'
+    ]);
+  });
+
+  test('should de-duplicate files and keep explicit files of any extension', () => {
+    const deploy = path.join(root, '.github/workflows/deploy.yml');
+    const readme = path.join(root, '.github/workflows/README.md');
+    const { files } = findWorkflowFiles([deploy, `${root}/.github/workflows/*.yml`, readme]);
+
+    expect(relative(files)).toEqual(['.github/workflows/README.md', '.github/workflows/deploy.yml']);
+  });
+
+  test('should report patterns that match nothing', () => {
+    const { files, missing } = findWorkflowFiles([path.join(root, 'missing.yml'), `${root}/*.json`]);
+
+    expect(files).toEqual([]);
+    expect(missing).toEqual([path.join(root, 'missing.yml'), `${root}/*.json`]);
+  });
+});
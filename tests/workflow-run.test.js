@@ -0,0 +1,103 @@
+const { createLogger } = require('../src/logger');
+const { getWorkflowRun, parseRunIdFromCallbackUrl } = require('../src/workflow-run');
+
+const logger = createLogger({ LOG_LEVEL: 'silent' });
+
+const payload = {
+  repository: { name: 'app', owner: { login: 'octo' } },
+  deployment: { id: 1701, sha: 'abc1234' },
+  deployment_callback_url: 'https://api.github.com/repos/octo/app/actions/runs/42/deployment_protection_rule'
+};
+
+const run = { id: 42, name: 'Deploy', path: '.github/workflows/deploy.yml', head_sha: 'abc1234' };
+
+// An installation whose API answers each route with the given data, or throws the given error
+function createInstallation(responses) {
+  return {
+    request: jest.fn(async route => {
+      const response = responses[route];
+      if (response instanceof Error) {
+        throw response;
+      }
+      return { data: response };
+    })
+  };
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+describe('workflow run', () => {
+  describe('parseRunIdFromCallbackUrl', () => {
+    test('should read the run ID from the callback URL', () => {
+      expect(parseRunIdFromCallbackUrl(payload.deployment_callback_url)).toBe(42);
+      expect(parseRunIdFromCallbackUrl('https://api.github.com/repos/octo/app/deployments/1701')).toBeNull();
+      expect(parseRunIdFromCallbackUrl(undefined)).toBeNull();
+    });
+  });
+
+  describe('getWorkflowRun', () => {
+    test('should return the run from the callback URL', async () => {
+      const installation = createInstallation({ 'GET /repos/{owner}/{repo}/actions/runs/{run_id}': run });
+
+      expect(await getWorkflowRun(installation, payload, logger)).toEqual({ workflowRun: run });
+      expect(installation.request).toHaveBeenCalledWith('GET /repos/{owner}/{repo}/actions/runs/{run_id}', {
+        owner: 'octo',
+        repo: 'app',
+        run_id: 42
+      });
+    });
+
+    test('should not match a run that was not found', async () => {
+      const installation = createInstallation({ 'GET /repos/{owner}/{repo}/actions/runs/{run_id}': httpError(404) });
+
+      expect(await getWorkflowRun(installation, payload, logger)).toEqual({
+        workflowRun: null,
+        reason: 'Workflow run 42 from the deployment callback URL was not found'
+      });
+    });
+
+    test('should not match without a run ID in the callback URL', async () => {
+      const installation = createInstallation({});
+
+      expect(await getWorkflowRun(installation, { ...payload, deployment_callback_url: undefined }, logger)).toEqual({
+        workflowRun: null,
+        reason: 'Could not determine the workflow run from the deployment callback URL'
+      });
+      expect(installation.request).not.toHaveBeenCalled();
+    });
+
+    test('should not match a run for another commit', async () => {
+      const installation = createInstallation({
+        'GET /repos/{owner}/{repo}/actions/runs/{run_id}': { ...run, head_sha: 'def5678' },
+        'GET /repos/{owner}/{repo}/deployments/{deployment_id}': { id: 1701, sha: 'abc1234' }
+      });
+      const reason = 'Workflow run 42 is for commit def5678 but the deployment is for abc1234';
+
+      expect(await getWorkflowRun(installation, payload, logger)).toEqual({ workflowRun: null, reason });
+
+      // Without a SHA in the payload, the deployment is looked up
+      expect(await getWorkflowRun(installation, { ...payload, deployment: { id: 1701 } }, logger))
+        .toEqual({ workflowRun: null, reason });
+      expect(installation.request).toHaveBeenCalledWith('GET /repos/{owner}/{repo}/deployments/{deployment_id}', {
+        owner: 'octo',
+        repo: 'app',
+        deployment_id: 1701
+      });
+    });
+
+    test('should return dynamic runs without matching the deployment', async () => {
+      const dynamic = { id: 42, path: 'dynamic/pages/pages-build-deployment', head_sha: 'def5678' };
+      const installation = createInstallation({ 'GET /repos/{owner}/{repo}/actions/runs/{run_id}': dynamic });
+
+      expect(await getWorkflowRun(installation, payload, logger)).toEqual({ workflowRun: dynamic });
+    });
+
+    test('should fail when the run cannot be looked up', async () => {
+      const installation = createInstallation({ 'GET /repos/{owner}/{repo}/actions/runs/{run_id}': httpError(500) });
+
+      await expect(getWorkflowRun(installation, payload, logger)).rejects.toThrow('Could not look up the workflow run: HTTP 500');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { loadWithLocations } = require('../src/yaml-locations');
+
+describe('loadWithLocations', () => {
+  const content = `name: Deploy
+jobs:
+  deploy:
+    steps:
+      - name: Checkout  # comment
+        uses: actions/checkout@v4
+      - { uses: "./flow-action" }
+      -
+        uses:
+          ./next-line
+`;
+
+  test('should locate mapping keys and values', () => {
+    const { document, locations } = loadWithLocations(content);
+
+    expect(locations.ofKey(document, 'jobs')).toEqual({ line: 2, column: 1 });
+    expect(locations.ofKey(document.jobs, 'deploy')).toEqual({ line: 3, column: 3 });
+    expect(locations.ofValue(document, 'name')).toEqual({ line: 1, column: 7 });
+  });
+
+  test('should locate sequence items and values in block and flow style', () => {
+    const { document, locations } = loadWithLocations(content);
+    const steps = document.jobs.deploy.steps;
+
+    expect(locations.ofItem(steps, 0)).toEqual({ line: 5, column: 9 });
+    expect(locations.ofValue(steps[0], 'uses')).toEqual({ line: 6, column: 15 });
+    expect(locations.ofValue(steps[1], 'uses')).toEqual({ line: 7, column: 17 });
+    expect(locations.ofValue(steps[2], 'uses')).toEqual({ line: 10, column: 11 });
+  });
+
+  test('should return null for unknown nodes', () => {
+    const { document, locations } = loadWithLocations('<<: { a: 1 }\nb: 2\n');
+
+    expect(locations.ofKey(document, 'a')).toBeNull();
+    expect(locations.ofKey({}, 'a')).toBeNull();
+    expect(locations.ofItem(null, 0)).toBeNull();
+  });
+
+  test('should throw on invalid YAML', () => {
+    expect(() => loadWithLocations('a: [1')).toThrow();
+  });
+});